@@ -0,0 +1,135 @@
+// adaptive_scheduler.js - Runs the note and email pages of a generation through one queue, with a number of
+// tabs open at the same time that follows how Salesforce responds: one more tab after a run of quick loads,
+// half as many after a timeout or a slow load. The bounds are the "Parallel tabs" preferences.
+// Used by the background script (see fetchAllDetailsViaTabs()).
+
+if (typeof globalThis.psmhAdaptiveScheduler === 'undefined') {
+    const DEFAULT_MIN = 1;
+    const DEFAULT_MAX = 6;
+    // Highest value offered by the preferences.
+    const UPPER_LIMIT = 10;
+    // An attempt this quick counts towards one more tab; one this slow (or failed) halves the tabs.
+    const FAST_MS = 6000;
+    const SLOW_MS = 15000;
+
+    const psmhAdaptiveScheduler = {
+        DEFAULT_MIN,
+        DEFAULT_MAX,
+        UPPER_LIMIT,
+
+        /**
+         * Creates the scheduler of one queue.
+         * @param {object} [bounds]
+         * @param {number} [bounds.min=DEFAULT_MIN] - Fewest tabs at the same time.
+         * @param {number} [bounds.max=DEFAULT_MAX] - Most tabs at the same time. Raised to min if lower.
+         * @returns {object} The scheduler.
+         */
+        create({ min = DEFAULT_MIN, max = DEFAULT_MAX } = {}) {
+            const lowest = Math.min(UPPER_LIMIT, Math.max(1, Math.floor(Number(min)) || DEFAULT_MIN));
+            const highest = Math.min(UPPER_LIMIT, Math.max(lowest, Math.floor(Number(max)) || DEFAULT_MAX));
+            // Start halfway: Salesforce may already be slow.
+            let limit = Math.max(lowest, Math.ceil(highest / 2));
+            let quickStreak = 0;
+            let lastDecreaseAt = 0;
+            let wake = () => {};
+
+            const scheduler = {
+                /**
+                 * The number of tabs allowed at the same time.
+                 * @returns {number}
+                 */
+                get limit() {
+                    return limit;
+                },
+
+                /**
+                 * Records how an attempt to read a page went, and adapts the limit.
+                 * Attempts started before the last decrease don't decrease it again: they were slowed down by the same load.
+                 * @param {number} startedAt - Date.now() when the attempt started.
+                 * @param {boolean} succeeded
+                 */
+                recordAttempt(startedAt, succeeded) {
+                    const durationMs = Date.now() - startedAt;
+                    if (!succeeded || durationMs > SLOW_MS) {
+                        quickStreak = 0;
+                        if (startedAt >= lastDecreaseAt && limit > lowest) {
+                            limit = Math.max(lowest, Math.floor(limit / 2));
+                            lastDecreaseAt = Date.now();
+                            globalThis.psmhLogger?.info(`Scheduler: ${succeeded ? 'Slow load' : 'Failed load'} (${durationMs} ms), down to ${limit} tab(s).`);
+                        }
+                        return;
+                    }
+                    if (durationMs > FAST_MS) {
+                        quickStreak = 0;
+                        return;
+                    }
+                    // One more tab once as many quick loads as there are tabs in a row.
+                    if (++quickStreak >= limit && limit < highest) {
+                        limit++;
+                        quickStreak = 0;
+                        globalThis.psmhLogger?.debug(`Scheduler: Quick loads, up to ${limit} tab(s).`);
+                        wake();
+                    }
+                },
+
+                /**
+                 * Runs a worker on every task, never more at the same time than the current limit.
+                 * Worker errors are logged and don't stop the queue. A worker can call retryLater(delayMs) to run
+                 * its task again after a delay: the task leaves its slot to the next ones meanwhile, and goes back
+                 * to the front of the queue when the delay is over.
+                 * @param {Array} tasks - Taken from the front as workers start; what is left when cancelled stays in it.
+                 * @param {function(*, function(number): void): Promise<void>} worker - Called with the task and retryLater.
+                 * @param {object} [options]
+                 * @param {AbortSignal} [options.signal] - No task starts once aborted, the tasks waiting for a retry
+                 *   are put back in the queue; resolves when the running ones end.
+                 * @returns {Promise<void>}
+                 */
+                run(tasks, worker, { signal } = {}) {
+                    return new Promise(resolve => {
+                        let running = 0;
+                        // Tasks waiting to be retried: timer ID -> task.
+                        const delayed = new Map();
+                        const onAbort = () => {
+                            delayed.forEach((task, timer) => clearTimeout(timer));
+                            tasks.unshift(...delayed.values());
+                            delayed.clear();
+                            startTasks();
+                        };
+                        const startTasks = () => {
+                            while (running < limit && tasks.length > 0 && !signal?.aborted) {
+                                const task = tasks.shift();
+                                const retryLater = (delayMs) => {
+                                    const timer = setTimeout(() => {
+                                        delayed.delete(timer);
+                                        tasks.unshift(task);
+                                        startTasks();
+                                    }, delayMs);
+                                    delayed.set(timer, task);
+                                };
+                                running++;
+                                Promise.resolve()
+                                    .then(() => worker(task, retryLater))
+                                    .catch(error => globalThis.psmhLogger?.error('Scheduler: Task failed.', error))
+                                    .finally(() => {
+                                        running--;
+                                        startTasks();
+                                    });
+                            }
+                            if (running === 0 && delayed.size === 0 && (tasks.length === 0 || signal?.aborted)) {
+                                signal?.removeEventListener('abort', onAbort);
+                                resolve();
+                            }
+                        };
+                        signal?.addEventListener('abort', onAbort, { once: true });
+                        wake = startTasks;
+                        startTasks();
+                    });
+                }
+            };
+            return scheduler;
+        }
+    };
+
+    globalThis.psmhAdaptiveScheduler = psmhAdaptiveScheduler;
+}
+// End of file
@@ -0,0 +1,158 @@
+// archive.js - Lists the reports kept in the local archive (see report_archive.js)
+// and lets the user reopen, export, redact or delete them.
+const logger = globalThis.psmhLogger;
+const reportArchive = globalThis.psmhArchive;
+const dateFormat = globalThis.psmhDates;
+const i18n = globalThis.psmhI18n;
+logger.info("Archive: Script loaded.");
+
+const filterInput = document.getElementById('psmh-archive-filter');
+const rowsBody = document.getElementById('psmh-archive-rows');
+const statusDiv = document.getElementById('psmh-archive-status');
+
+let archivedReports = [];
+let dateSettings = dateFormat.DEFAULT_SETTINGS;
+
+function setArchiveStatus(message, type = '') {
+    statusDiv.textContent = message;
+    statusDiv.className = type;
+}
+
+/**
+ * Creates a table cell with the given text.
+ */
+function createCell(text) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+}
+
+/**
+ * Creates an action button bound to one archived report.
+ */
+function createActionButton(label, action, report) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', () => action(report));
+    return button;
+}
+
+/**
+ * Renders the archived reports matching the filter, grouped by record and newest first.
+ */
+function renderReports() {
+    const query = filterInput.value.trim().toLowerCase();
+    const reports = archivedReports
+        .filter(report => !query || `${report.recordNumber} ${report.subject || ''}`.toLowerCase().includes(query))
+        .sort((a, b) => a.recordNumber.localeCompare(b.recordNumber) || b.generatedAt.localeCompare(a.generatedAt));
+
+    rowsBody.textContent = '';
+    if (reports.length === 0) {
+        const row = document.createElement('tr');
+        const cell = createCell(i18n.t(archivedReports.length === 0 ? 'archiveEmpty' : 'archiveNoMatch'));
+        cell.colSpan = 6;
+        cell.className = 'psmh-archive-empty';
+        row.appendChild(cell);
+        rowsBody.appendChild(row);
+        return;
+    }
+
+    reports.forEach((report, index) => {
+        const row = document.createElement('tr');
+        if (index > 0 && reports[index - 1].recordNumber !== report.recordNumber) row.className = 'psmh-case-first';
+        row.appendChild(createCell(`${report.objectType || 'Case'} ${report.recordNumber}`));
+        row.appendChild(createCell(report.subject || i18n.t('archiveNotAvailable')));
+        row.appendChild(createCell(report.status || i18n.t('archiveNotAvailable')));
+        row.appendChild(createCell(String(report.itemCount)));
+        row.appendChild(createCell(dateFormat.format(report.generatedAt, dateSettings)));
+
+        const actionsCell = document.createElement('td');
+        actionsCell.className = 'psmh-archive-actions';
+        actionsCell.appendChild(createActionButton(i18n.t('archiveOpen'), openReport, report));
+        actionsCell.appendChild(createActionButton(i18n.t('archiveExportJson'), exportReport, report));
+        actionsCell.appendChild(createActionButton(i18n.t('archiveRedact'), redactReport, report));
+        actionsCell.appendChild(createActionButton(i18n.t('archiveDelete'), deleteReport, report));
+        row.appendChild(actionsCell);
+        rowsBody.appendChild(row);
+    });
+}
+
+/**
+ * Reads an archived snapshot, reporting a missing one in the status line.
+ */
+async function readSnapshot(report) {
+    const snapshot = await reportArchive.get(report.recordNumber, report.generatedAt);
+    if (!snapshot) {
+        setArchiveStatus(i18n.t('archiveReportMissing', report.recordNumber), 'error');
+        await loadReports();
+    }
+    return snapshot;
+}
+
+/**
+ * Opens an archived report in the report page (see report.js).
+ */
+function openReport(report) {
+    const params = new URLSearchParams({ recordNumber: report.recordNumber, generatedAt: report.generatedAt });
+    chrome.tabs.create({ url: chrome.runtime.getURL(`report.html?${params}`) });
+}
+
+async function exportReport(report) {
+    const snapshot = await readSnapshot(report);
+    if (!snapshot) return;
+    const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = globalThis.psmhSnapshot.fileName(snapshot.caseDetails, 'json').replace(/\.json$/, `_${snapshot.generatedAt.replace(/[:.]/g, '-')}.json`);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Opens the redaction preview of an archived report (see redact.js).
+ */
+function redactReport(report) {
+    const params = new URLSearchParams({ recordNumber: report.recordNumber, generatedAt: report.generatedAt });
+    chrome.tabs.create({ url: chrome.runtime.getURL(`redact.html?${params}`) });
+}
+
+async function deleteReport(report) {
+    const generated = dateFormat.format(report.generatedAt, dateSettings);
+    if (!confirm(i18n.t('archiveConfirmDelete', [report.recordNumber, generated]))) return;
+    await reportArchive.delete(report.recordNumber, report.generatedAt);
+    setArchiveStatus(i18n.t('archiveDeleted', [report.recordNumber, generated]), 'success');
+    await loadReports();
+}
+
+/**
+ * (Re)loads the list of archived reports.
+ */
+async function loadReports() {
+    try {
+        dateSettings = dateFormat.normalizeSettings((await chrome.storage.sync.get('dateSettings')).dateSettings);
+        archivedReports = await reportArchive.list();
+        logger.info(`Archive: ${archivedReports.length} report(s) in the archive.`);
+    } catch (error) {
+        logger.error("Archive: Could not read the archive.", error);
+        setArchiveStatus(i18n.t('archiveReadFailed', error.message), 'error');
+        archivedReports = [];
+    }
+    renderReports();
+}
+
+/**
+ * Translates the page in the language chosen in the panel preferences, then lists the reports.
+ */
+async function initArchivePage() {
+    await i18n.loadPreferred();
+    i18n.translatePage();
+    filterInput.addEventListener('input', renderReports);
+    await loadReports();
+}
+
+initArchivePage();
+
+// End of file
@@ -0,0 +1,101 @@
+// attachment_scraper.js - Collects attached files (name, size, type, links) from a Salesforce record page.
+// Injected before note_scraper.js, email_scraper.js and file_list_scraper.js.
+
+if (typeof globalThis.psmhAttachments === 'undefined') {
+    const FILE_SERVER = 'https://myatos.file.force.com';
+
+    const FILE_LINK_SELECTOR = [
+        'a[href*="/ContentDocument/"]',
+        'a[href*="/sfc/servlet.shepherd/"]',
+        'a[href*="/lightning/r/Attachment/"]',
+        'a[href*="/servlet/servlet.FileDownload"]'
+    ].join(', ');
+
+    // Files related lists / attachment areas of notes, emails and cases.
+    const ATTACHMENT_CONTAINER_SELECTOR = [
+        'article[aria-label*="Files"]',
+        'article[aria-label*="Attachments"]',
+        'lst-related-list-single-container:has(span[title="Files"])',
+        'lst-related-list-single-container:has(span[title="Notes & Attachments"])',
+        'article.emailuiEmailMessage'
+    ].join(', ');
+
+    const SIZE_REGEX = /\b\d+(?:[.,]\d+)?\s?(?:bytes|[KMG]?B|[KMG]o|octets)\b/i;
+    const TYPE_REGEX = /\b(pdf|docx?|xlsx?|pptx?|txt|csv|rtf|png|jpe?g|gif|bmp|svg|zip|7z|rar|gz|tar|msg|eml|log|xml|json|html?|mp4|wav)\b/i;
+    const CONTENT_DOCUMENT_ID_REGEX = /\b(069[a-zA-Z0-9]{12}(?:[a-zA-Z0-9]{3})?)\b/;
+
+    const psmhAttachments = {
+        ATTACHMENT_CONTAINER_SELECTOR,
+
+        /**
+         * Builds the direct download URL of a Salesforce file from its ContentDocument ID.
+         * @param {string} contentDocumentId - A 15 or 18 character ID starting with 069.
+         * @returns {string}
+         */
+        downloadUrl(contentDocumentId) {
+            return `${FILE_SERVER}/sfc/servlet.shepherd/document/download/${contentDocumentId}`;
+        },
+
+        /**
+         * Scrapes the file links found under a root element.
+         * @param {ParentNode} [root=document] - Where to look (a record page, a related list...).
+         * @returns {Array<{name: string, size: string|null, type: string|null, url: string, viewUrl: string}>}
+         */
+        scrape(root = document) {
+            const attachments = [];
+            const seen = new Set();
+
+            root.querySelectorAll(FILE_LINK_SELECTOR).forEach(link => {
+                const href = link.getAttribute('href');
+                if (!href) return;
+                const viewUrl = new URL(href, window.location.origin).href;
+                const documentId = viewUrl.match(CONTENT_DOCUMENT_ID_REGEX)?.[1] || null;
+                const key = documentId || viewUrl;
+                if (seen.has(key)) return;
+
+                const name = (link.getAttribute('title') || link.textContent || '').trim();
+                if (!name || /^(view all|download|preview|upload files?)$/i.test(name)) return;
+                seen.add(key);
+
+                // Size and type are displayed next to the link ("12 KB • pdf" or in table columns).
+                const row = link.closest('tr, li, .slds-tile, .forceContentFileDroppableZone, .slds-media') || link.parentElement;
+                const rowText = (row?.textContent || '').replace(name, ' ');
+                const extension = name.includes('.') ? name.split('.').pop() : null;
+
+                attachments.push({
+                    name,
+                    size: rowText.match(SIZE_REGEX)?.[0] || null,
+                    type: (rowText.match(TYPE_REGEX)?.[1] || (extension && TYPE_REGEX.test(extension) ? extension : null))?.toLowerCase() || null,
+                    url: documentId ? this.downloadUrl(documentId) : viewUrl,
+                    viewUrl
+                });
+            });
+
+            globalThis.psmhLogger?.debug(`Attachment Scraper: Found ${attachments.length} attachment(s).`, attachments);
+            return attachments;
+        },
+
+        /**
+         * Waits briefly for an attachments area to render, then scrapes the whole page.
+         * Records without attachments simply don't have such an area, hence the short timeout.
+         * @param {number} [timeout=3000]
+         * @returns {Promise<Array>}
+         */
+        async scrapeRecordPage(timeout = 3000) {
+            const startTime = Date.now();
+            while (!document.querySelector(ATTACHMENT_CONTAINER_SELECTOR) && Date.now() - startTime < timeout) {
+                await new Promise(resolve => setTimeout(resolve, 250));
+            }
+            const attachments = [];
+            document.querySelectorAll(ATTACHMENT_CONTAINER_SELECTOR).forEach(container => {
+                this.scrape(container).forEach(attachment => {
+                    if (!attachments.some(existing => existing.url === attachment.url)) attachments.push(attachment);
+                });
+            });
+            return attachments;
+        }
+    };
+
+    globalThis.psmhAttachments = psmhAttachments;
+}
+// End of file
@@ -3,22 +3,76 @@
 // The logger is now imported as an ES module.
 // The global psmhLogger will be initialized by logger.js itself.
 import './logger.js';
+import './html_parser.js';
+import './html_sanitizer.js';
+import './markdown_export.js';
+import './case_snapshot.js';
+import './idb_store.js';
+import './report_archive.js';
+import './snapshot_diff.js';
+import './image_inliner.js';
+import './timeline_metrics.js';
+import './work_orders.js';
+import './date_format.js';
+import './i18n.js';
+import './record_links.js';
+import './item_cache.js';
+import './generation_progress.js';
+import './adaptive_scheduler.js';
+import './scraper_window.js';
 const logger = globalThis.psmhLogger;
+const markdownExport = globalThis.psmhMarkdown;
+const caseSnapshot = globalThis.psmhSnapshot;
+const reportArchive = globalThis.psmhArchive;
+const snapshotDiff = globalThis.psmhSnapshotDiff;
+const htmlSanitizer = globalThis.psmhSanitizer;
+const imageInliner = globalThis.psmhImageInliner;
+const timelineMetrics = globalThis.psmhMetrics;
+const workOrders = globalThis.psmhWorkOrders;
+const dateFormat = globalThis.psmhDates;
+const i18n = globalThis.psmhI18n;
+const recordLinks = globalThis.psmhRecordLinks;
+const itemCache = globalThis.psmhItemCache;
+const generationProgress = globalThis.psmhProgress;
+const adaptiveScheduler = globalThis.psmhAdaptiveScheduler;
+const scraperWindow = globalThis.psmhScraperWindow;
 
 logger.info("Background service worker started.");
 
 // A Set to keep track of tab IDs used for scraping.
 const scraperTabIds = new Set();
 
+// The scraper tabs of each cancellable job: AbortSignal -> Set of tab IDs (see closeScraperTabs()).
+const jobTabIds = new WeakMap();
+
+// Only one batch generation runs at a time.
+let batchRunning = false;
+
+// Full View generations in progress: panel tab ID -> AbortController (see "cancelFullViewGeneration").
+const generationControllers = new Map();
+
+// Attempts per note or email page, and the delay before the first retry (doubled before each next one).
+const ITEM_ATTEMPTS = 3;
+const ITEM_RETRY_DELAY_MS = 2000;
+
 // Set default settings on first install.
 chrome.runtime.onInstalled.addListener(async (details) => {
     if (details.reason === 'install') {
-        logger.info("First install: Setting defaults for log level, Alt+C shortcut, and From address.");
+        logger.info("First install: Setting defaults for log level, Alt+C shortcut, From address, image size limit, Work Order deep mode, data source, full refresh and parallel tabs.");
         await chrome.storage.sync.set({
             logLevel: 'INFO',
             closeOnAltC: true,
-            preferredFromAddress: 'PSM-Support-Email <psm-support-email@atos.net>'
+            preferredFromAddress: 'PSM-Support-Email <psm-support-email@atos.net>',
+            inlineImageMaxKB: globalThis.psmhImageInliner.DEFAULT_MAX_KB,
+            workOrderDeepMode: false,
+            dataBackend: 'auto',
+            forceFullRefresh: false,
+            scrapeConcurrencyMin: globalThis.psmhAdaptiveScheduler.DEFAULT_MIN,
+            scrapeConcurrencyMax: globalThis.psmhAdaptiveScheduler.DEFAULT_MAX
         });
+    } else if (details.reason === 'update') {
+        // The "Scraping window" preference was removed: the scraper window is always minimized.
+        await chrome.storage.sync.remove('scraperWindowMode');
     }
 });
 
@@ -48,7 +102,7 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
             // Then inject the scripts
             chrome.scripting.executeScript({
                 target: { tabId: tabId },
-                files: ["content.js", "panel_injector.js"]
+                files: ["date_format.js", "i18n.js", "adaptive_scheduler.js", "content.js", "panel_injector.js"]
             }).catch(err => logger.error(`Failed to inject scripts into tab ${tabId}:`, err));
         }
     }
@@ -56,170 +110,389 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 
 /**
- * Parses a date string into a Date object.
- * Handles "DD/MM/YYYY HH:MM" format first, then falls back to generic parsing.
+ * Parses a date displayed by Salesforce into a Date object (see date_format.js).
  * @param {string} dateString - The date string to parse.
+ * @param {object} dateSettings - From getDateSettings().
  * @returns {Date|null} - A Date object or null if parsing fails.
  */
-function parseDateString(dateString) {
+function parseDateString(dateString, dateSettings) {
     if (!dateString) return null;
-    logger.debug(`Attempting to parse date string: "${dateString}"`);
+    const dateObject = dateFormat.parse(dateString, dateSettings);
+    if (dateObject) {
+        logger.debug(`Parsed date string "${dateString}" (${dateSettings.dateOrder}):`, dateObject);
+    } else {
+        logger.warn(`Could not parse date format "${dateString}"`);
+    }
+    return dateObject;
+}
 
-    const match = dateString.match(/(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2})/);
-    if (match) {
-        try {
-            const day = parseInt(match[1]);
-            const month = parseInt(match[2]) - 1; // JS months are 0-indexed
-            const year = parseInt(match[3]);
-            const hour = parseInt(match[4]);
-            const minute = parseInt(match[5]);
-
-            if (year > 1970 && month >= 0 && month < 12 && day >= 1 && day <= 31 && hour >= 0 && hour < 24 && minute >= 0 && minute < 60) {
-                const dateObject = new Date(year, month, day, hour, minute);
-                if (!isNaN(dateObject.getTime())) {
-                    logger.debug("Successfully parsed date with regex:", dateObject);
-                    return dateObject;
+/**
+ * Reads the date settings of the preferences and resolves an 'auto' date order: detected from the
+ * dates of the current case, or else the order detected last time (storage.local "detectedDateOrder").
+ * @param {Array<string>} [dateStrings] - Dates displayed by Salesforce for the current case.
+ * @returns {Promise<object>} Settings for psmhDates, with a definite date order.
+ */
+async function getDateSettings(dateStrings = []) {
+    const { dateSettings } = await chrome.storage.sync.get('dateSettings');
+    const settings = dateFormat.normalizeSettings(dateSettings);
+    if (settings.dateOrder !== 'auto') return settings;
+
+    const detectedOrder = dateFormat.detectDateOrder(dateStrings);
+    if (detectedOrder) {
+        logger.info(`BG: Detected the Salesforce date order: ${detectedOrder}.`);
+        await chrome.storage.local.set({ detectedDateOrder: detectedOrder });
+        return dateFormat.resolveSettings(settings, detectedOrder);
+    }
+    const { detectedDateOrder } = await chrome.storage.local.get('detectedDateOrder');
+    return dateFormat.resolveSettings(settings, detectedDateOrder);
+}
+
+/**
+ * Settles like a promise, but rejects as soon as the signal aborts: a page closed by a cancellation never answers.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * "Tags" a scraper tab: no panel is injected in it, and it belongs to the job of the signal.
+ * @param {number} tabId
+ * @param {AbortSignal} [signal] - The job's signal.
+ */
+function trackScraperTab(tabId, signal) {
+    scraperTabIds.add(tabId);
+    if (!signal) return;
+    if (!jobTabIds.has(signal)) jobTabIds.set(signal, new Set());
+    jobTabIds.get(signal).add(tabId);
+}
+
+/**
+ * "Untags" a scraper tab.
+ * @param {number} tabId
+ * @param {AbortSignal} [signal] - The job's signal.
+ */
+function untrackScraperTab(tabId, signal) {
+    scraperTabIds.delete(tabId);
+    if (signal) jobTabIds.get(signal)?.delete(tabId);
+}
+
+/**
+ * Closes the scraper tabs of a cancelled job. The tabs of other jobs and the scraper window stay open.
+ * @param {AbortSignal} signal - The job's signal.
+ * @returns {Promise<void>}
+ */
+async function closeScraperTabs(signal) {
+    const tabIds = [...(jobTabIds.get(signal) || [])];
+    jobTabIds.delete(signal);
+    tabIds.forEach(tabId => scraperTabIds.delete(tabId));
+    await Promise.all(tabIds.map(tabId => scraperWindow.closeTab(tabId)));
+    logger.info(`BG: Closed ${tabIds.length} scraper tab(s) of the cancelled job.`);
+}
+
+/**
+ * Opens a "View All" related list page in the scraper window, injects a list scraper and waits for its result.
+ * @param {string} url - The related list page.
+ * @param {Array<string>} scraperFiles - The scripts to inject, in order.
+ * @param {string} resultType - The message type the scraper answers with, e.g. 'noteListScrapeResult'.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops waiting for the scraper when the generation is cancelled.
+ * @returns {Promise<*>} The scraper's data.
+ */
+async function scrapeListPage(url, scraperFiles, resultType, { signal } = {}) {
+    signal?.throwIfAborted();
+    const listTab = await scraperWindow.openTab(url);
+    trackScraperTab(listTab.id, signal);
+    logger.debug(`BG: List tab ${listTab.id} created for ${resultType}.`);
+
+    let listener = null;
+    try {
+        const resultPromise = new Promise(resolve => {
+            listener = (msg, sender) => {
+                if (sender.tab?.id === listTab.id && msg.type === resultType) {
+                    chrome.runtime.onMessage.removeListener(listener);
+                    resolve(msg);
                 }
-            }
-        } catch (e) {
-            logger.error(`Error parsing matched date parts "${dateString}":`, e);
+                return true;
+            };
+            chrome.runtime.onMessage.addListener(listener);
+        });
+        await chrome.scripting.executeScript({ target: { tabId: listTab.id }, files: scraperFiles });
+        const response = await untilAborted(resultPromise, signal);
+        return response.data;
+    } finally {
+        chrome.runtime.onMessage.removeListener(listener);
+        // Not tracked anymore: already closed by a cancellation.
+        if (scraperTabIds.has(listTab.id)) {
+            await scraperWindow.closeTab(listTab.id);
+            untrackScraperTab(listTab.id, signal);
         }
     }
+}
+
+/**
+ * Collects the notes and emails of every Work Order of the case (deep mode).
+ * @param {object} workOrdersData - The structured Work Orders data (see work_orders.js).
+ * @param {number} senderTabId - The tab showing the generation status.
+ * @param {object} dateSettings - From getDateSettings().
+ * @param {object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Open every item, even those in the item cache.
+ * @param {AbortSignal} [options.signal] - Cancels the collection.
+ * @param {object} [options.progress] - Progress tracker (see generation_progress.js).
+ * @returns {Promise<Array>} Unified items, each with the `workOrder` number it belongs to.
+ */
+async function fetchWorkOrderItems(workOrdersData, senderTabId, dateSettings, { forceRefresh = false, signal, progress } = {}) {
+    const items = [];
+    for (const [index, row] of workOrdersData.rows.entries()) {
+        signal?.throwIfAborted();
+        const recordNumber = workOrders.recordNumber(row);
+        const listUrls = workOrders.relatedListUrls(row.url);
+        if (!listUrls) {
+            logger.warn(`BG: No record URL for Work Order ${recordNumber}, skipping its notes and emails.`);
+            continue;
+        }
+        updateStatusOnTab(senderTabId, i18n.t('statusWorkOrderItems', [recordNumber, index + 1, workOrdersData.rows.length]), "info");
+        try {
+            const notesToFetch = await scrapeListPage(listUrls.notesViewAllUrl, ['logger.js', 'note_list_scraper.js'], 'noteListScrapeResult', { signal }) || [];
+            const emailsToFetch = await scrapeListPage(listUrls.emailsViewAllUrl, ['logger.js', 'email_list_scraper.js'], 'emailListScrapeResult', { signal }) || [];
+            const detailsMap = await fetchAllDetailsViaTabs([...notesToFetch, ...emailsToFetch], senderTabId, dateSettings, { forceRefresh, signal, progress });
+            const workOrderItems = Object.values(detailsMap);
+            workOrderItems.forEach(item => { item.workOrder = recordNumber; });
+            logger.info(`BG: Work Order ${recordNumber}: ${notesToFetch.length} note(s), ${emailsToFetch.length} email(s).`);
+            items.push(...workOrderItems);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            logger.error(`BG: Could not collect the items of Work Order ${recordNumber}.`, error);
+        }
+    }
+    return items;
+}
+
+/**
+ * Opens a note or email page in a background tab, injects its scraper and waits for the result.
+ * @param {string} itemUrl
+ * @param {'Note'|'Email'} itemType
+ * @param {Array<string>} scraperFiles - The scripts to inject, in order.
+ * @param {AbortSignal} [signal] - Stops waiting for the page when the generation is cancelled.
+ * @returns {Promise<object>} The scraper's message.
+ * @throws {Error} If the page does not load or the scraper does not answer in time.
+ */
+async function scrapeItemPage(itemUrl, itemType, scraperFiles, signal) {
+    let tempTab = null;
+    try {
+        tempTab = await scraperWindow.openTab(itemUrl);
+        const tempTabId = tempTab.id;
+        if (!tempTabId) throw new Error("Failed to create temp tab.");
+        
+        trackScraperTab(tempTabId, signal);
+
+        await untilAborted(new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                reject(new Error(`Timeout waiting for tab ${tempTabId} to load`));
+            }, 12000);
+            const listener = (tabId, changeInfo) => {
+                if (tabId === tempTabId && changeInfo.status === 'complete') {
+                    clearTimeout(timeout);
+                    chrome.tabs.onUpdated.removeListener(listener);
+                    resolve();
+                }
+            };
+            chrome.tabs.onUpdated.addListener(listener);
+        }), signal);
+
+        const resultPromise = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                chrome.runtime.onMessage.removeListener(listener);
+                reject(new Error(`Timeout waiting for scrape result from tab ${tempTabId}`));
+            }, 14000);
+            const expectedResponseType = itemType === 'Note' ? 'noteScrapeResult' : 'emailScrapeResult';
+            const listener = (message, sender) => {
+                if (sender.tab?.id === tempTabId && message.type === expectedResponseType) {
+                    clearTimeout(timeout);
+                    chrome.runtime.onMessage.removeListener(listener);
+                    resolve(message);
+                }
+                return true;
+            };
+            chrome.runtime.onMessage.addListener(listener);
+        });
 
-    const parsedFallback = Date.parse(dateString);
-    if (!isNaN(parsedFallback)) {
-        logger.warn(`Used Date.parse fallback for "${dateString}"`);
-        return new Date(parsedFallback);
+        // IMPORTANT: Inject logger.js (and helpers) before the main scraper script
+        await chrome.scripting.executeScript({ target: { tabId: tempTabId }, files: scraperFiles });
+        return await untilAborted(resultPromise, signal);
+    } finally {
+        // Not tracked anymore: already closed by a cancellation.
+        if (tempTab?.id && scraperTabIds.has(tempTab.id)) {
+            await scraperWindow.closeTab(tempTab.id);
+            untrackScraperTab(tempTab.id, signal);
+        }
     }
+}
 
-    logger.warn(`Could not parse date format "${dateString}"`);
-    return null;
+/**
+ * The timeline entry of a note or email that could not be read. fetchError marks it for "Retry failed items".
+ * @param {'Note'|'Email'} itemType
+ * @param {string} itemUrl
+ * @param {Date|null} dateObject - The date from the "View All" list.
+ * @param {Error} error
+ * @returns {object} A unified item.
+ */
+function failedItem(itemType, itemUrl, dateObject, error) {
+    const message = error?.message || 'Unknown error';
+    return { type: itemType, title: `[Error processing item]`, author: 'System', content: message, isPublic: null, attachments: [], dateObject: dateObject || null, url: itemUrl, fetchError: message };
 }
 
-async function fetchAllDetailsViaTabs(itemsToFetch, itemType, senderTabId) {
-    logger.info(`Starting CONCURRENT tab automation for ${itemsToFetch.length} ${itemType}(s) from sender tab ${senderTabId}.`);
+/**
+ * Opens every note and email in a background tab and scrapes it. Items unchanged since they were last
+ * scraped (same dates in the "View All" list) are taken from the item cache instead.
+ * Notes and emails share one queue; the number of tabs open at the same time adapts to how fast the pages
+ * load (see adaptive_scheduler.js).
+ * @param {Array<{type: 'Note'|'Email', url: string, dateStr: string, lastModifiedStr?: string}>} itemsToFetch - Entries of "View All" lists.
+ * @param {number|null} senderTabId - The tab showing the generation status.
+ * @param {object} dateSettings - From getDateSettings().
+ * @param {object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Open every item, even those in the cache.
+ * @param {AbortSignal} [options.signal] - Cancels the queued items; items being read are abandoned.
+ * @param {object} [options.progress] - Progress tracker (see generation_progress.js).
+ * @returns {Promise<object>} Unified items by URL.
+ * @throws {Error} The signal's reason, if cancelled.
+ */
+async function fetchAllDetailsViaTabs(itemsToFetch, senderTabId, dateSettings, { forceRefresh = false, signal, progress } = {}) {
+    logger.info(`Starting adaptive tab automation for ${itemsToFetch.length} item(s) from sender tab ${senderTabId}.`);
     const resultsMap = {};
-    const scraperScript = itemType === 'Note' ? 'note_scraper.js' : 'email_scraper.js';
+    const scraperFilesByType = {
+        Note: ['logger.js', 'attachment_scraper.js', 'note_scraper.js'],
+        Email: ['logger.js', 'email_cleaner.js', 'attachment_scraper.js', 'email_scraper.js']
+    };
 
-    const CONCURRENCY_LIMIT = 4;
-    const taskQueue = [...itemsToFetch];
+    // Reuse the items that did not change since they were last scraped.
+    let cachedItems = new Map();
+    if (!forceRefresh) {
+        try {
+            cachedItems = await itemCache.getFresh(itemsToFetch);
+            await itemCache.touch([...cachedItems.keys()]);
+        } catch (error) {
+            logger.warn("BG: Could not read the item cache, opening every item.", error);
+        }
+    }
+    cachedItems.forEach((item, url) => { resultsMap[url] = item; });
+    if (cachedItems.size > 0) {
+        logger.info(`BG: ${cachedItems.size}/${itemsToFetch.length} item(s) unchanged, taken from the item cache.`);
+        const cachedCounts = ['Note', 'Email'].map(itemType => {
+            const ofType = itemsToFetch.filter(itemInfo => itemInfo.type === itemType);
+            return [ofType.filter(itemInfo => cachedItems.has(itemInfo.url)).length, ofType.length];
+        });
+        updateStatusOnTab(senderTabId, i18n.t('statusCachedItems', [...cachedCounts[0], ...cachedCounts[1]]), "info");
+    }
+    progress?.addItems(itemsToFetch.length, cachedItems.size);
+    const scrapedEntries = [];
+
+    const { scrapeConcurrencyMin, scrapeConcurrencyMax } = await chrome.storage.sync.get(['scrapeConcurrencyMin', 'scrapeConcurrencyMax']);
+    const scheduler = adaptiveScheduler.create({ min: scrapeConcurrencyMin, max: scrapeConcurrencyMax });
+    // One task per item; the attempt count and start time are kept in it across retries.
+    const taskQueue = itemsToFetch.filter(itemInfo => !cachedItems.has(itemInfo.url)).map(itemInfo => ({ itemInfo, attempt: 1, startedAt: null }));
+    const totalToScrape = taskQueue.length;
     let itemIndex = 0;
 
-    const processNextItem = async () => {
-        const itemInfo = taskQueue.shift();
-        if (!itemInfo) return;
-
-        const currentIndex = ++itemIndex;
+    const processItem = async (task, retryLater) => {
+        const { itemInfo } = task;
         const itemUrl = itemInfo.url;
-        let tempTab = null;
+        const itemType = itemInfo.type === 'Email' ? 'Email' : 'Note';
 
-        try {
+        if (task.startedAt === null) {
+            const currentIndex = ++itemIndex;
             if (senderTabId) {
                 chrome.tabs.sendMessage(senderTabId, {
                     action: "logUrlProcessing",
                     itemType: itemType,
-                    index: currentIndex, total: itemsToFetch.length
+                    index: currentIndex, total: totalToScrape
                 }).catch(err => logger.warn(`Could not send log to tab ${senderTabId}: ${err.message}`));
             }
+            logger.info(`Processing ${itemType} ${currentIndex}/${totalToScrape}: ${itemUrl}`);
+            task.startedAt = Date.now();
+            progress?.itemStarted();
+        }
 
-            logger.info(`Processing ${itemType} ${currentIndex}/${itemsToFetch.length}: ${itemUrl}`);
-            tempTab = await chrome.tabs.create({ url: itemUrl, active: false });
-            const tempTabId = tempTab.id;
-            if (!tempTabId) throw new Error("Failed to create temp tab.");
-            
-            scraperTabIds.add(tempTabId); // "Tag" the tab
-
-            await new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    chrome.tabs.onUpdated.removeListener(listener);
-                    reject(new Error(`Timeout waiting for tab ${tempTabId} to load`));
-                }, 12000);
-                const listener = (tabId, changeInfo) => {
-                    if (tabId === tempTabId && changeInfo.status === 'complete') {
-                        clearTimeout(timeout);
-                        chrome.tabs.onUpdated.removeListener(listener);
-                        resolve();
-                    }
-                };
-                chrome.tabs.onUpdated.addListener(listener);
-            });
-
-            const resultPromise = new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    chrome.runtime.onMessage.removeListener(listener);
-                    reject(new Error(`Timeout waiting for scrape result from tab ${tempTabId}`));
-                }, 14000);
-                const expectedResponseType = itemType === 'Note' ? 'noteScrapeResult' : 'emailScrapeResult';
-                const listener = (message, sender) => {
-                    if (sender.tab?.id === tempTabId && message.type === expectedResponseType) {
-                        clearTimeout(timeout);
-                        chrome.runtime.onMessage.removeListener(listener);
-                        resolve(message);
-                    }
-                    return true;
-                };
-                chrome.runtime.onMessage.addListener(listener);
-            });
-
-            // IMPORTANT: Inject logger.js before the main scraper script
-            await chrome.scripting.executeScript({ target: { tabId: tempTabId }, files: ['logger.js', scraperScript] });
-            const scrapeResult = await resultPromise;
-            
-            const parsedDate = parseDateString(itemInfo.dateStr);
-            let unifiedResult;
-
-            if (itemType === 'Note') {
-                unifiedResult = {
-                    type: 'Note',
-                    title: scrapeResult.title || 'Note',
-                    author: scrapeResult.author || 'Unknown Author',
-                    content: scrapeResult.description || '[No Content]',
-                    isPublic: scrapeResult.isPublic,
-                    dateObject: parsedDate,
-                    url: itemUrl
-                };
-            } else { // Email
-                unifiedResult = {
-                    type: 'Email',
-                    title: scrapeResult.subject || 'Email Subject Not Found',
-                    author: scrapeResult.from || 'Unknown Sender',
-                    content: scrapeResult.bodyHTML || '[Email Body Not Found]',
-                    to: scrapeResult.to || 'Unknown Recipient(s)',
-                    isPublic: null,
-                    dateObject: parsedDate,
-                    url: itemUrl
-                };
-            }
-            
-            logger.debug(`--- Fetched ${itemType} Data ---`, unifiedResult);
-            resultsMap[itemUrl] = unifiedResult;
-
+        // Salesforce pages sometimes load too slowly: each item gets a few attempts, further and further apart.
+        // Between two attempts, the item leaves its tab to the next ones.
+        let scrapeResult;
+        const attemptStartedAt = Date.now();
+        try {
+            scrapeResult = await scrapeItemPage(itemUrl, itemType, scraperFilesByType[itemType], signal);
+            scheduler.recordAttempt(attemptStartedAt, true);
         } catch (error) {
-            logger.error(`Error processing ${itemType} ${itemUrl} in tab ${tempTab?.id}:`, error);
-            resultsMap[itemUrl] = { type: itemType, title: `[Error processing item]`, author: 'System', content: error.message, dateObject: parseDateString(itemInfo.dateStr) || new Date(), url: itemUrl };
-        } finally {
-            if (tempTab?.id) {
-                try { 
-                    await chrome.tabs.remove(tempTab.id); 
-                    scraperTabIds.delete(tempTab.id); // "Untag" the tab
-                }
-                catch (e) { logger.warn(`Error closing temp tab ${tempTab.id}:`, e.message); }
+            if (signal?.aborted) return;
+            scheduler.recordAttempt(attemptStartedAt, false);
+            if (task.attempt < ITEM_ATTEMPTS) {
+                const delay = ITEM_RETRY_DELAY_MS * 2 ** (task.attempt - 1);
+                logger.warn(`Attempt ${task.attempt}/${ITEM_ATTEMPTS} failed for ${itemType} ${itemUrl} (${error.message}). Retrying in ${delay} ms.`);
+                task.attempt++;
+                retryLater(delay);
+                return;
             }
+            logger.error(`Error processing ${itemType} ${itemUrl} after ${ITEM_ATTEMPTS} attempts:`, error);
+            resultsMap[itemUrl] = failedItem(itemType, itemUrl, parseDateString(itemInfo.dateStr, dateSettings), error);
+            progress?.itemFinished(Date.now() - task.startedAt, true);
+            return;
         }
-    };
-
-    const runners = [];
-    const runner = async () => {
-        while (taskQueue.length > 0) {
-            await processNextItem();
+        if (signal?.aborted) return;
+
+        const parsedDate = parseDateString(itemInfo.dateStr, dateSettings);
+
+        let unifiedResult;
+        if (itemType === 'Note') {
+            unifiedResult = {
+                type: 'Note',
+                title: scrapeResult.title || 'Note',
+                author: scrapeResult.author || 'Unknown Author',
+                content: scrapeResult.description || '[No Content]',
+                isPublic: scrapeResult.isPublic,
+                attachments: scrapeResult.attachments || [],
+                dateObject: parsedDate,
+                url: itemUrl
+            };
+        } else { // Email
+            unifiedResult = {
+                type: 'Email',
+                title: scrapeResult.subject || 'Email Subject Not Found',
+                author: scrapeResult.from || 'Unknown Sender',
+                content: scrapeResult.bodyHTML || '[Email Body Not Found]',
+                quotedContent: scrapeResult.quotedHTML || null,
+                to: scrapeResult.to || 'Unknown Recipient(s)',
+                isPublic: null,
+                attachments: scrapeResult.attachments || [],
+                dateObject: parsedDate,
+                url: itemUrl
+            };
         }
+        
+        logger.debug(`--- Fetched ${itemType} Data ---`, unifiedResult);
+        resultsMap[itemUrl] = unifiedResult;
+        scrapedEntries.push({ itemInfo, item: unifiedResult });
+        progress?.itemFinished(Date.now() - task.startedAt);
     };
-    for (let i = 0; i < CONCURRENCY_LIMIT; i++) {
-        runners.push(runner());
+
+    await scheduler.run(taskQueue, processItem, { signal });
+
+    // Items that failed are not cached: they are opened again next time.
+    if (scrapedEntries.length > 0) {
+        await itemCache.putAll(scrapedEntries).catch(error => logger.warn("BG: Could not update the item cache.", error));
+    }
+    if (signal?.aborted) {
+        logger.info(`BG: Item collection cancelled, ${taskQueue.length} item(s) left in the queue.`);
+        signal.throwIfAborted();
     }
-    await Promise.all(runners);
 
-    logger.info(`Finished processing all ${itemsToFetch.length} ${itemType}(s) via tabs.`);
+    logger.info(`Finished processing all ${itemsToFetch.length} item(s) via tabs (last limit: ${scheduler.limit} tab(s)).`);
     return resultsMap;
 }
 
@@ -243,6 +516,567 @@ function updateStatusOnTab(tabId, message, type = 'info') {
     }
 }
 
+/**
+ * Shows the progress of a Full View generation in the panel of its tab, and on the extension badge of every tab,
+ * so that it can be followed while working in another tab.
+ * @param {number} tabId - The tab of the panel.
+ * @param {object} state - From the progress tracker (see generation_progress.js).
+ */
+function reportProgress(tabId, state) {
+    chrome.tabs.sendMessage(tabId, { action: "generationProgress", progress: state }).catch(err => logger.debug(`Could not send progress to tab ${tabId}: ${err.message}.`));
+    chrome.action.setBadgeText({ text: generationProgress.badgeText(state) }).catch(() => {});
+    chrome.action.setBadgeBackgroundColor({ color: state.failed > 0 ? '#b55f00' : '#1a5f90' }).catch(() => {});
+}
+
+/**
+ * Removes the progress badge once no Full View generation is running (ended, failed or cancelled).
+ */
+function clearProgressBadge() {
+    if (generationControllers.size > 0) return;
+    chrome.action.setBadgeText({ text: '' }).catch(() => {});
+}
+
+/**
+ * Finds the Salesforce ID of a case from its number, using the "case by number" report (see case_finder.js).
+ * @param {string} caseNumber - The 8-digit case number.
+ * @param {object} [options]
+ * @param {number} [options.senderTabId] - The tab to log progress to.
+ * @param {boolean} [options.keepTabOnFailure=true] - Show the report tab in its own window for debugging when the case is not found.
+ * @returns {Promise<string>} The case ID.
+ * @throws {Error} If the case was not found.
+ */
+async function findCaseId(caseNumber, { senderTabId, keepTabOnFailure = true } = {}) {
+    const reportUrl = recordLinks.caseLookupUrl(caseNumber);
+    let found = false;
+    let tempTab = null;
+
+    try {
+        logToTab(senderTabId, `Opening report in the scraper window...`);
+        tempTab = await scraperWindow.openTab(reportUrl, { active: true });
+        const tempTabId = tempTab.id;
+        scraperTabIds.add(tempTabId); // "Tag" the tab
+
+        if (!tempTabId) throw new Error("Failed to create temporary report tab.");
+
+        logToTab(senderTabId, `Waiting for report tab to finish loading...`);
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                reject(new Error(`Timeout (30s) waiting for tab ${tempTabId} to load.`));
+            }, 30000);
+
+            const listener = (tabId, changeInfo, tab) => {
+                if (tabId === tempTabId && tab.status === 'complete') {
+                    if (tab.url?.includes('Report')) {
+                        clearTimeout(timeout);
+                        chrome.tabs.onUpdated.removeListener(listener);
+                        logger.info(`Tab ${tempTabId} loaded successfully.`);
+                        resolve();
+                    }
+                }
+            };
+            chrome.tabs.onUpdated.addListener(listener);
+        });
+
+        const resultPromise = new Promise((resolve, reject) => {
+             const messageListener = (msg, sender) => {
+                if (sender.tab?.id === tempTabId && (msg.type === 'caseIdFound' || msg.type === 'caseIdNotFound')) {
+                    chrome.runtime.onMessage.removeListener(messageListener);
+                    resolve(msg);
+                }
+                return true;
+            };
+            chrome.runtime.onMessage.addListener(messageListener);
+        });
+
+        logToTab(senderTabId, `Injecting finder script into report tab...`);
+        // IMPORTANT: Inject logger.js before the main finder script
+        await chrome.scripting.executeScript({ target: { tabId: tempTabId }, files: ['logger.js', 'case_finder.js'] });
+
+        logToTab(senderTabId, `Waiting for finder script to report back...`);
+        const result = await resultPromise;
+
+        if (result.type !== 'caseIdFound' || !result.caseId) {
+            throw new Error(`Failed to find Case ID. Reason: ${result.reason}.`);
+        }
+        logToTab(senderTabId, `Success! Found Case ID: ${result.caseId}.`);
+        found = true;
+        return result.caseId;
+    } catch (error) {
+        logger.error(`Could not find case ${caseNumber}:`, error);
+        logToTab(senderTabId, `Error: ${error.message}`);
+        if (tempTab?.id && keepTabOnFailure) {
+            logger.error("The report tab will remain open for debugging.");
+            await scraperWindow.showTab(tempTab.id).catch(err => logger.warn(`Could not show the report tab: ${err.message}`));
+        }
+        throw error;
+    } finally {
+        if (tempTab?.id) {
+            scraperTabIds.delete(tempTab.id); // "Untag" the tab before closing or leaving open
+            if (found || !keepTabOnFailure) {
+                await scraperWindow.closeTab(tempTab.id);
+                logger.info(`Closed temporary tab ${tempTab.id}`);
+            }
+        }
+    }
+}
+
+/**
+ * Opens a record page in the scraper window for scraping, with content.js injected.
+ * The page is hidden: scrapeInitialPage falls back on the record URL for the related lists it does not render.
+ * @param {string} url - The Case or Work Order page.
+ * @returns {Promise<{tabId: number}>} Close the tab with closeRecordPage() when done.
+ */
+async function openRecordPage(url) {
+    const { id: tabId } = await scraperWindow.openTab(url);
+    scraperTabIds.add(tabId); // "Tag" the tab: no panel is injected in it
+
+    try {
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                reject(new Error(`Timeout (30s) waiting for the record page to load.`));
+            }, 30000);
+            const listener = (updatedTabId, changeInfo) => {
+                if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                    clearTimeout(timeout);
+                    chrome.tabs.onUpdated.removeListener(listener);
+                    resolve();
+                }
+            };
+            chrome.tabs.onUpdated.addListener(listener);
+        });
+        await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+    } catch (error) {
+        // The caller gets no page to close: a tab left open would keep the scraper window open too.
+        await closeRecordPage({ tabId });
+        throw error;
+    }
+    return { tabId };
+}
+
+/**
+ * Closes a record page opened by openRecordPage().
+ * @param {{tabId: number}} recordPage
+ * @returns {Promise<void>}
+ */
+async function closeRecordPage(recordPage) {
+    await scraperWindow.closeTab(recordPage.tabId);
+    scraperTabIds.delete(recordPage.tabId); // "Untag" the tab
+}
+
+/**
+ * Generates the Full View of several cases, one after the other, and saves each one to the archive.
+ * Each case's outcome is sent to the panel as it completes ("batchProgress").
+ * @param {Array<string>} caseNumbers - 8-digit case numbers.
+ * @param {number} panelTabId - The tab whose panel started the batch.
+ * @returns {Promise<Array<{caseNumber: string, status: string, message: string, subject: string|null, report: object|null}>>}
+ *   The per-case results. "report" is {recordNumber, generatedAt} of the archived report, or {snapshot} when it could not be archived.
+ */
+async function runBatchGeneration(caseNumbers, panelTabId) {
+    const results = caseNumbers.map(caseNumber => ({ caseNumber, status: 'pending', message: '', subject: null, report: null }));
+    const sendProgress = () => {
+        const progress = results.map(({ caseNumber, status, message }) => ({ caseNumber, status, message }));
+        chrome.tabs.sendMessage(panelTabId, { action: "batchProgress", results: progress })
+            .catch(err => logger.warn(`Could not send batch progress to tab ${panelTabId}: ${err.message}.`));
+    };
+
+    for (const [index, result] of results.entries()) {
+        const statusPrefix = i18n.t('statusBatchPrefix', [index + 1, results.length, result.caseNumber]);
+        result.status = 'running';
+        sendProgress();
+        let recordPage = null;
+        try {
+            updateStatusOnTab(panelTabId, statusPrefix + i18n.t('statusFindingTheCase'), "info");
+            const caseId = await findCaseId(result.caseNumber, { senderTabId: panelTabId, keepTabOnFailure: false });
+            recordPage = await openRecordPage(`https://myatos.lightning.force.com/lightning/r/Case/${caseId}/view`);
+            const reportData = await collectReportData(recordPage.tabId, panelTabId, { statusPrefix, preparePage: true });
+            const { snapshot, archived } = await archiveReport(reportData);
+            result.status = 'success';
+            result.message = i18n.t(archived ? 'itemCount' : 'itemCountNotArchived', reportData.timelineItems.length);
+            result.subject = reportData.caseDetails.subject;
+            result.report = archived ? { recordNumber: snapshot.caseDetails.recordNumber, generatedAt: snapshot.generatedAt } : { snapshot };
+        } catch (error) {
+            logger.error(`BG: Batch generation failed for case ${result.caseNumber}.`, error);
+            result.status = 'error';
+            result.message = error.message;
+        } finally {
+            if (recordPage) await closeRecordPage(recordPage);
+        }
+        sendProgress();
+    }
+    return results;
+}
+
+/**
+ * Collects the data of an open Case or Work Order page: its details, related lists, and every note and email.
+ * The "dataBackend" preference chooses how: through the Salesforce API ('api'), by scanning the pages in
+ * tabs ('tabs'), or through the API with the tabs as fallback ('auto', the default).
+ * @param {number} recordTabId - The tab showing the record, with content.js injected.
+ * @param {number} statusTabId - The tab whose panel shows the progress.
+ * @param {object} [options]
+ * @param {string} [options.statusPrefix=''] - Prepended to every status message (batch runs).
+ * @param {boolean} [options.preparePage=false] - Scroll the page first so that its related lists load (tabs only).
+ * @param {AbortSignal} [options.signal] - Cancels the collection (see "cancelFullViewGeneration").
+ * @param {object} [options.progress] - Progress tracker (see generation_progress.js).
+ * @returns {Promise<{caseDetails: object, timelineItems: Array, workOrdersData: object}>}
+ * @throws {Error} If the record could not be read, or the signal's reason if cancelled.
+ */
+async function collectReportData(recordTabId, statusTabId, { statusPrefix = '', preparePage = false, signal, progress } = {}) {
+    const setStatus = (text, type = 'info') => updateStatusOnTab(statusTabId, statusPrefix + text, type);
+    const { dataBackend = 'auto', workOrderDeepMode = false, forceFullRefresh = false } = await chrome.storage.sync.get(['dataBackend', 'workOrderDeepMode', 'forceFullRefresh']);
+
+    let reportData = null;
+    if (dataBackend !== 'tabs') {
+        try {
+            reportData = await collectReportDataViaApi(recordTabId, setStatus, { workOrderDeepMode, signal, progress });
+        } catch (error) {
+            if (dataBackend === 'api' || signal?.aborted) throw error;
+            logger.warn(`BG: Salesforce API not available, scanning the pages instead: ${error.message}`);
+            setStatus(i18n.t('statusApiFallback', error.message), 'warn');
+        }
+    }
+    if (!reportData) {
+        reportData = await collectReportDataViaTabs(recordTabId, statusTabId, setStatus, { preparePage, workOrderDeepMode, forceRefresh: forceFullRefresh, signal, progress });
+    }
+    signal?.throwIfAborted();
+    progress?.startPhase('assembly');
+
+    // Embed Salesforce-hosted images so the report works offline and in PDF.
+    const { inlineImageMaxKB = imageInliner.DEFAULT_MAX_KB } = await chrome.storage.sync.get('inlineImageMaxKB');
+    if (inlineImageMaxKB > 0) {
+        setStatus(i18n.t('statusEmbeddingImages'));
+        await inlineReportImages(reportData.caseDetails, reportData.timelineItems, inlineImageMaxKB * 1024);
+    }
+
+    return reportData;
+}
+
+/**
+ * Reads the record, its notes, emails, Work Orders and files through the Salesforce REST API.
+ * The requests are sent by the record page (see salesforce_api.js), with the Salesforce session of the user.
+ * @param {number} recordTabId - The tab showing the record, with content.js injected.
+ * @param {function(string, string=)} setStatus
+ * @param {object} [options]
+ * @param {boolean} [options.workOrderDeepMode=false] - Also read each Work Order's own notes and emails.
+ * @param {AbortSignal} [options.signal] - Stops waiting for the record page when cancelled.
+ * @param {object} [options.progress] - Progress tracker (see generation_progress.js).
+ * @returns {Promise<{caseDetails: object, timelineItems: Array, workOrdersData: object}>}
+ * @throws {Error} If the API can't be used (no session, API access disabled, unknown objects...).
+ */
+async function collectReportDataViaApi(recordTabId, setStatus, { workOrderDeepMode = false, signal, progress } = {}) {
+    progress?.startPhase('page');
+    setStatus(i18n.t('statusApiFetching'));
+    await chrome.scripting.executeScript({ target: { tabId: recordTabId }, files: ['email_cleaner.js', 'attachment_scraper.js', 'salesforce_api.js'] });
+    const response = await untilAborted(chrome.tabs.sendMessage(recordTabId, { action: "fetchRecordViaApi", includeWorkOrderItems: workOrderDeepMode }), signal);
+    if (!response || response.error || !response.data) {
+        throw new Error(response?.error || 'No response from the record page.');
+    }
+
+    const { caseDetails, timelineItems, workOrdersData } = response.data;
+    caseDetails.caseUrl = response.caseUrl;
+    // Messages carry dates as ISO 8601 strings.
+    timelineItems.forEach(item => { item.dateObject = item.dateObject ? new Date(item.dateObject) : null; });
+    // The lists and the items come in the same answer: nothing is left to read.
+    progress?.startPhase('items');
+    progress?.addItems(timelineItems.length, timelineItems.length);
+    const caseItems = timelineItems.filter(item => !item.workOrder);
+    setStatus(i18n.t('statusFoundItems', [caseItems.filter(item => item.type === 'Note').length, caseItems.filter(item => item.type === 'Email').length]));
+    logger.info(`BG: Read ${timelineItems.length} items and ${workOrdersData.rows.length} work order(s) through the API.`);
+    return { caseDetails, timelineItems, workOrdersData: workOrders.normalize(workOrdersData) };
+}
+
+/**
+ * Scans the record page and its related list pages, then opens every note and email in a tab.
+ * @param {number} recordTabId - The tab showing the record, with content.js injected.
+ * @param {number} statusTabId - The tab whose panel shows the progress.
+ * @param {function(string, string=)} setStatus
+ * @param {object} [options]
+ * @param {boolean} [options.preparePage=false] - Scroll the page first so that its related lists load.
+ * @param {boolean} [options.workOrderDeepMode=false] - Also collect each Work Order's own notes and emails.
+ * @param {boolean} [options.forceRefresh=false] - Open every note and email, even those in the item cache.
+ * @param {AbortSignal} [options.signal] - Cancels the collection.
+ * @param {object} [options.progress] - Progress tracker (see generation_progress.js).
+ * @returns {Promise<{caseDetails: object, timelineItems: Array, workOrdersData: object}>}
+ * @throws {Error} If the record page could not be scraped.
+ */
+async function collectReportDataViaTabs(recordTabId, statusTabId, setStatus, { preparePage = false, workOrderDeepMode = false, forceRefresh = false, signal, progress } = {}) {
+    progress?.startPhase('page');
+    setStatus(i18n.t('statusScanningPage'));
+    logger.info("BG: Sending 'scrapeInitialPage' message to content script.");
+    const initialDataResults = await chrome.tabs.sendMessage(recordTabId, { action: "scrapeInitialPage", prepare: preparePage });
+
+    if (!initialDataResults || initialDataResults.error || !initialDataResults.caseDetails) {
+        logger.error("Failed to get a response from scrapeInitialPage.", initialDataResults);
+        throw new Error(`Could not scrape initial case details. Reason: ${initialDataResults?.error || 'Unknown'}`);
+    }
+    logger.info("BG: Received 'scrapeInitialPage' results:", initialDataResults);
+
+
+    const { caseDetails, notesViewAllUrl, emailsViewAllUrl, workOrdersViewAllUrl, filesViewAllUrl } = initialDataResults;
+    let notesToFetch = [];
+    let emailsToFetch = [];
+    let workOrdersData = { count: 0, columns: [], rows: [] };
+
+    // Process Notes list
+    if (notesViewAllUrl) {
+        progress?.startPhase('notesList');
+        setStatus(i18n.t('statusNotesListFound'));
+        logger.info("NOTES_LOG (BG): Opening the notes list in the scraper window.");
+        notesToFetch = await scrapeListPage(notesViewAllUrl, ['logger.js', 'note_list_scraper.js'], 'noteListScrapeResult', { signal }) || [];
+        logger.info(`NOTES_LOG (BG): Received ${notesToFetch.length} note items from scraper.`, notesToFetch);
+        progress?.finishPhase('notesList', notesToFetch.length);
+    } else {
+        logger.warn("NOTES_LOG (BG): No 'View All' URL for Notes was found.");
+    }
+
+    // Process Emails list
+    if (emailsViewAllUrl) {
+        progress?.startPhase('emailsList');
+        setStatus(i18n.t('statusEmailsListFound'));
+        logger.info("BG: Opening Emails 'View All' page in hidden tab:", emailsViewAllUrl);
+        emailsToFetch = await scrapeListPage(emailsViewAllUrl, ['logger.js', 'email_list_scraper.js'], 'emailListScrapeResult', { signal }) || [];
+        logger.info(`BG: Received ${emailsToFetch.length} emails from scraper.`);
+        progress?.finishPhase('emailsList', emailsToFetch.length);
+    } else {
+         logger.warn("BG: No 'View All' URL for Emails was found.");
+    }
+    
+    // Process Work Orders list
+    if (workOrdersViewAllUrl) {
+        progress?.startPhase('workOrders');
+        setStatus(i18n.t('statusWorkOrdersListFound'));
+        workOrdersData = workOrders.normalize(await scrapeListPage(workOrdersViewAllUrl, ['logger.js', 'work_order_list_scraper.js'], 'workOrderScrapeResult', { signal }));
+        logger.info(`BG: Received ${workOrdersData.rows.length} work order(s) from scraper.`);
+        progress?.finishPhase('workOrders', workOrdersData.rows.length);
+    }
+
+    // Process the Case's Files list
+    caseDetails.attachments = [];
+    if (filesViewAllUrl) {
+        progress?.startPhase('files');
+        setStatus(i18n.t('statusFilesListFound'));
+        caseDetails.attachments = await scrapeListPage(filesViewAllUrl, ['logger.js', 'attachment_scraper.js', 'file_list_scraper.js'], 'fileListScrapeResult', { signal }) || [];
+        logger.info(`BG: Received ${caseDetails.attachments.length} case file(s) from scraper.`);
+        progress?.finishPhase('files', caseDetails.attachments.length);
+    }
+
+    setStatus(i18n.t('statusFoundItems', [notesToFetch.length, emailsToFetch.length]));
+    const dateSettings = await getDateSettings([...notesToFetch, ...emailsToFetch].map(item => item.dateStr).concat(caseDetails.createdDateStr));
+
+    // Notes and emails go through one queue, as many at the same time as Salesforce keeps up with.
+    progress?.startPhase('items');
+    const detailsMap = await fetchAllDetailsViaTabs([...notesToFetch, ...emailsToFetch], statusTabId, dateSettings, { forceRefresh, signal, progress });
+    logger.info("BG: All details fetched.", detailsMap);
+    const allItems = Object.values(detailsMap);
+
+    // Deep mode: also collect each Work Order's own notes and emails.
+    if (workOrderDeepMode && workOrdersData.rows.length > 0) {
+        allItems.push(...await fetchWorkOrderItems(workOrdersData, statusTabId, dateSettings, { forceRefresh, signal, progress }));
+    }
+
+    return { caseDetails, timelineItems: allItems, workOrdersData };
+}
+
+/**
+ * Keeps collected data in the local archive, so the report page can render it and the report can be reopened later without Salesforce.
+ * @param {{caseDetails: object, timelineItems: Array, workOrdersData: object}} reportData - From collectReportData().
+ * @returns {Promise<{snapshot: object, archived: boolean}>} archived is false if the archive could not be written.
+ */
+async function archiveReport({ caseDetails, timelineItems, workOrdersData }) {
+    const snapshot = caseSnapshot.create(caseDetails, timelineItems, workOrdersData, new Date());
+    try {
+        await reportArchive.save(snapshot);
+        return { snapshot, archived: true };
+    } catch (error) {
+        logger.error("BG: Could not save the report to the archive.", error);
+        return { snapshot, archived: false };
+    }
+}
+
+/**
+ * Reads an archived report and the report of the same case that precedes it.
+ * @param {string} recordNumber
+ * @param {string|null} [generatedAt] - ISO 8601 generation time; the latest report of the case when missing.
+ * @returns {Promise<{snapshot: object, previousSnapshot: object|null}>}
+ * @throws {Error} If the report is not in the archive.
+ */
+async function readArchivedReport(recordNumber, generatedAt = null) {
+    const reports = await reportArchive.list(recordNumber); // Newest first
+    const index = generatedAt ? reports.findIndex(report => report.generatedAt === generatedAt) : 0;
+    const snapshot = index >= 0 && reports[index] ? await reportArchive.get(recordNumber, reports[index].generatedAt) : null;
+    if (!snapshot) {
+        throw new Error(`The report for ${recordNumber}${generatedAt ? ` generated on ${new Date(generatedAt).toLocaleString()}` : ''} is not in the archive.`);
+    }
+    const previousReport = reports[index + 1];
+    const previousSnapshot = previousReport ? await reportArchive.get(recordNumber, previousReport.generatedAt) : null;
+    return { snapshot, previousSnapshot };
+}
+
+/**
+ * Renders a snapshot as a Full View report.
+ * Internal reports highlight what changed since the previous report of the case.
+ * @param {object} snapshot - A snapshot created by psmhSnapshot.create().
+ * @param {object} [options]
+ * @param {'internal'|'customer'} [options.audience='internal']
+ * @param {object|null} [options.previousSnapshot] - The previous report of the case, if any.
+ * @returns {Promise<string>} The complete HTML document.
+ */
+async function renderSnapshotHtml(snapshot, { audience = 'internal', previousSnapshot = null } = {}) {
+    const { caseDetails, timelineItems, workOrdersData, generatedAt } = caseSnapshot.parse(snapshot);
+    const dateSettings = await getDateSettings();
+    const supportAddresses = await getSupportAddresses();
+    if (audience === 'customer') {
+        const customerView = toCustomerView(caseDetails, timelineItems, supportAddresses);
+        logger.info(`BG: Customer view keeps ${customerView.timelineItems.length} of ${timelineItems.length} item(s).`);
+        return buildFullViewHtml(customerView.caseDetails, customerView.timelineItems, customerView.workOrdersData, { generatedAt, audience: 'customer', dateSettings });
+    }
+
+    let changes = null;
+    if (previousSnapshot) {
+        try {
+            changes = snapshotDiff.compare(previousSnapshot, snapshot);
+            logger.info(`BG: Compared with the report of ${previousSnapshot.generatedAt}: ${changes.newCount} new, ${changes.editedCount} edited item(s).`);
+        } catch (error) {
+            logger.warn("BG: Could not compare with the previous report.", error);
+        }
+    }
+    return buildFullViewHtml(caseDetails, timelineItems, workOrdersData, { generatedAt, changes, supportAddresses, dateSettings });
+}
+
+/**
+ * Keeps what a report page shows in the session storage, for reports that are not in the archive
+ * (saved .json files, redacted copies, batches). The data is cleared when the browser closes.
+ * @param {string} prefix - 'report' or 'batch'.
+ * @param {object} value
+ * @returns {Promise<string>} The key to open the report page with.
+ */
+async function storeSessionReport(prefix, value) {
+    const key = `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await chrome.storage.session.set({ [key]: value });
+    return key;
+}
+
+/**
+ * Builds the document shown by the report page (report.html) from its URL parameters.
+ * @param {object} params
+ * @param {string} [params.recordNumber] - An archived report: the latest one of the case, or the one of params.generatedAt.
+ * @param {string} [params.generatedAt]
+ * @param {'internal'|'customer'} [params.audience='internal']
+ * @param {string} [params.report] - Session key of a snapshot that is not in the archive.
+ * @param {string} [params.batch] - Session key of batch results.
+ * @returns {Promise<{html: string, refreshable: boolean, generatedAt?: string, failedCount?: number}>} refreshable tells whether
+ *   the report can be regenerated from Salesforce; archived reports also give their generation time and their items that could not be read.
+ * @throws {Error} If the report no longer exists.
+ */
+async function renderReportPage(params) {
+    await i18n.loadPreferred();
+    const audience = params.audience === 'customer' ? 'customer' : 'internal';
+    if (params.recordNumber) {
+        const { snapshot, previousSnapshot } = await readArchivedReport(params.recordNumber, params.generatedAt || null);
+        const html = await renderSnapshotHtml(snapshot, { audience, previousSnapshot });
+        const failedCount = snapshot.timeline.filter(item => item.fetchError && item.url).length;
+        return { html, refreshable: Boolean(recordPageUrl(snapshot.caseDetails?.caseUrl)), generatedAt: snapshot.generatedAt, failedCount };
+    }
+
+    const key = params.report || params.batch;
+    const stored = key ? (await chrome.storage.session.get(key))[key] : null;
+    if (!stored) {
+        throw new Error("This report is no longer available (it is kept until the browser closes). Open it again from the archive or the .json file.");
+    }
+    if (params.report) {
+        return { html: await renderSnapshotHtml(stored.snapshot, { audience: stored.audience || audience }), refreshable: false };
+    }
+
+    const results = [];
+    for (const result of stored.results) {
+        let html = null;
+        try {
+            if (result.report?.snapshot) {
+                html = await renderSnapshotHtml(result.report.snapshot);
+            } else if (result.report) {
+                const { snapshot, previousSnapshot } = await readArchivedReport(result.report.recordNumber, result.report.generatedAt);
+                html = await renderSnapshotHtml(snapshot, { previousSnapshot });
+            }
+        } catch (error) {
+            logger.warn(`BG: Could not render the batch report of case ${result.caseNumber}.`, error);
+            results.push({ ...result, status: 'error', message: error.message });
+            continue;
+        }
+        results.push({ ...result, html });
+    }
+    return { html: buildBatchReportHtml(results, new Date(stored.generatedAt), await getDateSettings()), refreshable: false };
+}
+
+/**
+ * Checks that a URL saved in a snapshot is a Salesforce record page that can be opened for scraping.
+ * @param {string} url
+ * @returns {string|null} The URL, or null.
+ */
+function recordPageUrl(url) {
+    return /^https:\/\/myatos(--preprod\.sandbox)?\.lightning\.force\.com\/lightning\/r\/(Case|WorkOrder)\/[a-zA-Z0-9]{15,18}\/view/.test(url || '') ? url : null;
+}
+
+/**
+ * Regenerates the report of a case from Salesforce and adds it to the archive.
+ * The record page is opened from the URL saved in the latest archived report.
+ * @param {string} recordNumber
+ * @returns {Promise<void>}
+ * @throws {Error} If the record page can't be scraped or the new report can't be archived.
+ */
+async function refreshArchivedReport(recordNumber) {
+    const { snapshot } = await readArchivedReport(recordNumber);
+    const url = recordPageUrl(snapshot.caseDetails?.caseUrl);
+    if (!url) throw new Error(`The report for ${recordNumber} has no Salesforce link to refresh from.`);
+
+    logger.info(`BG: Refreshing the report of ${recordNumber} from ${url}.`);
+    const recordPage = await openRecordPage(url);
+    try {
+        const reportData = await collectReportData(recordPage.tabId, null, { preparePage: true });
+        const { archived } = await archiveReport(reportData);
+        if (!archived) throw new Error("The new report could not be saved to the archive.");
+    } finally {
+        await closeRecordPage(recordPage);
+    }
+}
+
+/**
+ * Reads again the notes and emails of an archived report that could not be read, and patches them into the report.
+ * The report keeps its generation time: it replaces the archived one.
+ * @param {string} recordNumber
+ * @param {string} generatedAt - ISO 8601 generation time of the report.
+ * @returns {Promise<{retried: number, fixed: number}>}
+ * @throws {Error} If the report is not in the archive or can't be saved.
+ */
+async function retryFailedItems(recordNumber, generatedAt) {
+    const { snapshot } = await readArchivedReport(recordNumber, generatedAt);
+    const { caseDetails, timelineItems, workOrdersData } = caseSnapshot.parse(snapshot);
+    const failedItems = timelineItems.filter(item => item.fetchError && item.url);
+    if (failedItems.length === 0) return { retried: 0, fixed: 0 };
+
+    logger.info(`BG: Retrying ${failedItems.length} failed item(s) of the report of ${recordNumber} (${generatedAt}).`);
+    const dateSettings = await getDateSettings();
+    const retriedItems = new Map(); // URL -> unified item
+    const itemsToFetch = failedItems.map(item => ({ type: item.type, url: item.url, dateStr: null }));
+    const resultsMap = await fetchAllDetailsViaTabs(itemsToFetch, null, dateSettings, { forceRefresh: true });
+    Object.entries(resultsMap).forEach(([url, item]) => { if (!item.fetchError) retriedItems.set(url, item); });
+    if (retriedItems.size === 0) return { retried: failedItems.length, fixed: 0 };
+
+    const fixedItems = [...retriedItems.values()];
+    const { inlineImageMaxKB = imageInliner.DEFAULT_MAX_KB } = await chrome.storage.sync.get('inlineImageMaxKB');
+    if (inlineImageMaxKB > 0) {
+        await inlineReportImages({ ...caseDetails }, fixedItems, inlineImageMaxKB * 1024);
+    }
+    // The list date was read when the report was generated: it is kept, like the Work Order an item belongs to.
+    const patchedItems = timelineItems.map(item => {
+        const retried = item.fetchError ? retriedItems.get(item.url) : null;
+        return retried ? { ...retried, dateObject: item.dateObject, workOrder: item.workOrder } : item;
+    });
+    await reportArchive.save(caseSnapshot.create(caseDetails, patchedItems, workOrdersData, new Date(snapshot.generatedAt)));
+    logger.info(`BG: ${retriedItems.size} of ${failedItems.length} failed item(s) read and patched into the report.`);
+    return { retried: failedItems.length, fixed: retriedItems.size };
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     logger.debug("Background received message:", message);
 
@@ -251,235 +1085,168 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             const initialTabId = sender.tab?.id;
             if (!initialTabId) {
                 logger.error("Could not get sender tab ID for 'startFullViewGeneration'");
+                sendResponse({ status: "error" });
                 return;
             }
-
-            updateStatusOnTab(initialTabId, "Scanning page for details...", "info");
-            logger.info("BG: Sending 'scrapeInitialPage' message to content script.");
-            const initialDataResults = await chrome.tabs.sendMessage(initialTabId, { action: "scrapeInitialPage" });
-
-            if (!initialDataResults || initialDataResults.error || !initialDataResults.caseDetails) {
-                updateStatusOnTab(initialTabId, `Error: Could not scrape initial case details. Reason: ${initialDataResults?.error || 'Unknown'}`, 'error');
-                logger.error("Failed to get a response from scrapeInitialPage.", initialDataResults);
+            if (generationControllers.has(initialTabId)) {
+                logger.warn(`BG: A Full View generation is already running for tab ${initialTabId}.`);
+                await i18n.loadPreferred();
+                sendResponse({ status: "busy", message: i18n.t('statusGenerationAlreadyRunning') });
                 return;
             }
-            logger.info("BG: Received 'scrapeInitialPage' results:", initialDataResults);
-
-
-            const { caseDetails, notesViewAllUrl, emailsViewAllUrl, workOrdersViewAllUrl } = initialDataResults;
-            let notesToFetch = [];
-            let emailsToFetch = [];
-            let workOrdersData = { html: '<p>No related work orders found.</p>', count: 0 };
-
-            // Process Notes list
-            if (notesViewAllUrl) {
-                updateStatusOnTab(initialTabId, "Found Notes list, getting all items...", "info");
-                logger.info("NOTES_LOG (BG): Creating a small, FOCUSED popup window to ensure Notes component loads.");
-                const noteListWindow = await chrome.windows.create({ url: notesViewAllUrl, focused: true, type: 'popup', width: 500, height: 600 });
-                const noteListTabId = noteListWindow.tabs[0].id;
-                scraperTabIds.add(noteListTabId); // "Tag" the tab
-                logger.info("NOTES_LOG (BG): Notes window/tab created with ID:", noteListTabId);
-                
-                await chrome.scripting.executeScript({ target: { tabId: noteListTabId }, files: ['logger.js', 'note_list_scraper.js'] });
-                logger.info("NOTES_LOG (BG): Injected note_list_scraper.js. Waiting for response...");
-
-                const noteListResponse = await new Promise(resolve => { const listener = (msg, sender) => { if (sender.tab?.id === noteListTabId && msg.type === 'noteListScrapeResult') { chrome.runtime.onMessage.removeListener(listener); resolve(msg); } return true; }; chrome.runtime.onMessage.addListener(listener); });
-                notesToFetch = noteListResponse.data || [];
-                logger.info(`NOTES_LOG (BG): Received ${notesToFetch.length} note items from scraper.`, notesToFetch);
-                await chrome.windows.remove(noteListWindow.id);
-                scraperTabIds.delete(noteListTabId); // "Untag" the tab
-                logger.info("NOTES_LOG (BG): Closed notes list window.");
-            } else {
-                logger.warn("NOTES_LOG (BG): No 'View All' URL for Notes was found.");
-            }
 
-            // Process Emails list
-            if (emailsViewAllUrl) {
-                updateStatusOnTab(initialTabId, "Found Emails list, getting all items...", "info");
-                logger.info("BG: Opening Emails 'View All' page in hidden tab:", emailsViewAllUrl);
-                const emailListTab = await chrome.tabs.create({ url: emailsViewAllUrl, active: false });
-                const emailListTabId = emailListTab.id;
-                scraperTabIds.add(emailListTabId); // "Tag" the tab
-                logger.debug("BG: Emails tab created with ID:", emailListTabId);
-
-                await chrome.scripting.executeScript({ target: { tabId: emailListTabId }, files: ['logger.js', 'email_list_scraper.js'] });
-                logger.debug("BG: Injected email_list_scraper.js. Waiting for response...");
-
-                const emailListResponse = await new Promise(resolve => { const listener = (msg, sender) => { if (sender.tab?.id === emailListTabId && msg.type === 'emailListScrapeResult') { chrome.runtime.onMessage.removeListener(listener); resolve(msg); } return true; }; chrome.runtime.onMessage.addListener(listener); });
-                emailsToFetch = emailListResponse.data || [];
-                logger.info(`BG: Received ${emailsToFetch.length} emails from scraper.`);
-                await chrome.tabs.remove(emailListTabId);
-                scraperTabIds.delete(emailListTabId); // "Untag" the tab
-                logger.debug("BG: Closed emails list tab.");
-            } else {
-                 logger.warn("BG: No 'View All' URL for Emails was found.");
-            }
-            
-            // Process Work Orders list
-            if (workOrdersViewAllUrl) {
-                updateStatusOnTab(initialTabId, "Found Work Orders list, getting table...", "info");
-                const woListTab = await chrome.tabs.create({ url: workOrdersViewAllUrl, active: false });
-                const woListTabId = woListTab.id;
-                scraperTabIds.add(woListTabId); // "Tag" the tab
-                await chrome.scripting.executeScript({ target: { tabId: woListTabId }, files: ['logger.js', 'work_order_list_scraper.js'] });
-                const woListResponse = await new Promise(resolve => { const listener = (msg, sender) => { if (sender.tab?.id === woListTabId && msg.type === 'workOrderScrapeResult') { chrome.runtime.onMessage.removeListener(listener); resolve(msg); } return true; }; chrome.runtime.onMessage.addListener(listener); });
-                workOrdersData = woListResponse.data || workOrdersData;
-                await chrome.tabs.remove(woListTabId);
-                scraperTabIds.delete(woListTabId); // "Untag" the tab
+            // The panel's Cancel button aborts the controller (see "cancelFullViewGeneration").
+            const controller = new AbortController();
+            generationControllers.set(initialTabId, controller);
+            const progress = generationProgress.create(state => reportProgress(initialTabId, state));
+            try {
+                await i18n.loadPreferred();
+                const reportData = await collectReportData(initialTabId, initialTabId, { signal: controller.signal, progress });
+                controller.signal.throwIfAborted();
+                updateStatusOnTab(initialTabId, i18n.t('statusAssemblingReport'), "info");
+                const { snapshot, archived } = await archiveReport(reportData);
+                progress.finish();
+                const audience = message.audience === 'customer' ? 'customer' : null;
+                if (archived) {
+                    openReportWindow({ recordNumber: snapshot.caseDetails.recordNumber, audience });
+                    updateStatusOnTab(initialTabId, i18n.t('statusReportGenerated'), "success");
+                } else {
+                    openReportWindow({ report: await storeSessionReport('report', { snapshot, audience }) });
+                    updateStatusOnTab(initialTabId, i18n.t('statusReportNotArchived'), "warn");
+                }
+                sendResponse({ status: "success" });
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    // The status line already says "cancelled".
+                    logger.info("BG: Full View generation cancelled.");
+                    sendResponse({ status: "cancelled" });
+                    return;
+                }
+                logger.error("BG: Full View generation failed.", error);
+                updateStatusOnTab(initialTabId, i18n.t('statusError', error.message), 'error');
+                sendResponse({ status: "error" });
+            } finally {
+                generationControllers.delete(initialTabId);
+                clearProgressBadge();
             }
+        })();
+        return true; // Indicates async response
+    }
 
-            updateStatusOnTab(initialTabId, `Found ${notesToFetch.length} notes, ${emailsToFetch.length} emails. Fetching content...`, "info");
-
-            let noteDetailsMap, emailDetailsMap;
-            const totalItems = notesToFetch.length + emailsToFetch.length;
-
-            if (totalItems <= 5) {
-                logger.info(`BG: Total items (${totalItems}) is 5 or less. Fetching in parallel for speed.`);
-                const notesPromise = fetchAllDetailsViaTabs(notesToFetch, 'Note', initialTabId);
-                const emailsPromise = fetchAllDetailsViaTabs(emailsToFetch, 'Email', initialTabId);
-                [noteDetailsMap, emailDetailsMap] = await Promise.all([notesPromise, emailsPromise]);
-            } else {
-                logger.info(`BG: Total items (${totalItems}) is more than 5. Fetching sequentially for stability.`);
-                updateStatusOnTab(initialTabId, `Fetching ${notesToFetch.length} notes...`, "info");
-                noteDetailsMap = await fetchAllDetailsViaTabs(notesToFetch, 'Note', initialTabId);
-                
-                updateStatusOnTab(initialTabId, `Fetching ${emailsToFetch.length} emails...`, "info");
-                emailDetailsMap = await fetchAllDetailsViaTabs(emailsToFetch, 'Email', initialTabId);
+    if (message.action === "cancelFullViewGeneration") {
+        const controller = generationControllers.get(sender.tab?.id);
+        if (!controller) {
+            sendResponse({ status: "error", message: "No generation in progress." });
+            return false;
+        }
+        logger.info(`BG: Cancelling the Full View generation of tab ${sender.tab.id}.`);
+        controller.abort();
+        (async () => {
+            await closeScraperTabs(controller.signal);
+            updateStatusOnTab(sender.tab.id, i18n.t('statusGenerationCancelled'), 'warn');
+            sendResponse({ status: "success" });
+        })();
+        return true; // Indicates async response
+    }
+
+
+    if (message.action === "startBatchGeneration" && Array.isArray(message.caseNumbers)) {
+        const panelTabId = sender.tab?.id;
+        if (batchRunning) {
+            sendResponse({ status: "error", message: i18n.t('errorBatchRunning') });
+            return false;
+        }
+        batchRunning = true;
+        logger.info(`BG: Starting batch generation for ${message.caseNumbers.length} case(s).`);
+        sendResponse({ status: "started" });
+
+        (async () => {
+            try {
+                await i18n.loadPreferred();
+                const results = await runBatchGeneration(message.caseNumbers, panelTabId);
+                const failedCount = results.filter(result => result.status !== 'success').length;
+                openReportWindow({ batch: await storeSessionReport('batch', { generatedAt: new Date().toISOString(), results }) });
+                updateStatusOnTab(panelTabId, i18n.t('statusBatchFinished', [results.length - failedCount, failedCount]), failedCount ? 'warn' : 'success');
+            } catch (error) {
+                logger.error("BG: Batch generation stopped.", error);
+                updateStatusOnTab(panelTabId, i18n.t('statusBatchStopped', error.message), 'error');
+            } finally {
+                batchRunning = false;
             }
-            
-            logger.info("BG: All details fetched.", { noteDetailsMap, emailDetailsMap });
-            
-            const allItems = [...Object.values(noteDetailsMap), ...Object.values(emailDetailsMap)];
-            
-            // Build and open the final HTML
-            updateStatusOnTab(initialTabId, "Assembling final report...", "info");
-            const finalHtml = buildFullViewHtml(caseDetails, allItems, workOrdersData);
-            const dataUrl = 'data:text/html;charset=UTF-8,' + encodeURIComponent(finalHtml);
-            chrome.windows.create({ url: dataUrl, type: 'normal' });
-            updateStatusOnTab(initialTabId, "Report generated successfully!", "success");
+        })();
+        return false;
+    }
 
+    if (message.action === "openSnapshotReport" && message.snapshot) {
+        (async () => {
+            try {
+                const { caseDetails } = caseSnapshot.parse(message.snapshot); // Validates the snapshot before opening the page
+                logger.info(`Opening report for ${caseDetails.objectType} ${caseDetails.recordNumber} from a JSON snapshot.`);
+                openReportWindow({ report: await storeSessionReport('report', { snapshot: message.snapshot }) });
+                sendResponse({ status: "success" });
+            } catch (error) {
+                logger.error("Could not open report from snapshot:", error);
+                sendResponse({ status: "error", message: error.message });
+            }
         })();
         return true; // Indicates async response
     }
 
+    // From the report page (report.js)
+    if (message.action === "renderReport" && message.params) {
+        (async () => {
+            try {
+                const { html, refreshable, generatedAt, failedCount } = await renderReportPage(message.params);
+                sendResponse({ status: "success", html, refreshable, generatedAt, failedCount });
+            } catch (error) {
+                logger.error("Could not render the report page:", error);
+                sendResponse({ status: "error", message: error.message });
+            }
+        })();
+        return true; // Indicates async response
+    }
 
-    if (message.action === "openFullViewTab" && message.htmlContent) {
-        const dataUrl = 'data:text/html;charset=UTF-8,' + encodeURIComponent(message.htmlContent);
-        chrome.tabs.create({ url: dataUrl });
-        return false;
+    if (message.action === "refreshReport" && message.recordNumber) {
+        (async () => {
+            try {
+                await refreshArchivedReport(message.recordNumber);
+                sendResponse({ status: "success" });
+            } catch (error) {
+                logger.error(`Could not refresh the report of ${message.recordNumber}:`, error);
+                sendResponse({ status: "error", message: error.message });
+            }
+        })();
+        return true; // Indicates async response
     }
 
-    if (message.action === "fetchItemDetails" && message.items) {
-        if (message.items.length === 0) {
-            logger.info("fetchItemDetails called with 0 items. Responding immediately.");
-            sendResponse({ status: "success", details: {} });
-            return false;
-        }
-        const itemType = message.items[0].type;
-        fetchAllDetailsViaTabs(message.items, itemType, sender.tab?.id)
-            .then(resultsMap => {
-                sendResponse({ status: "success", details: resultsMap });
-            })
-            .catch(error => {
-                logger.error("fetchAllDetailsViaTabs failed:", error);
+    if (message.action === "retryFailedItems" && message.recordNumber && message.generatedAt) {
+        (async () => {
+            try {
+                const { retried, fixed } = await retryFailedItems(message.recordNumber, message.generatedAt);
+                sendResponse({ status: "success", retried, fixed });
+            } catch (error) {
+                logger.error(`Could not retry the failed items of ${message.recordNumber}:`, error);
                 sendResponse({ status: "error", message: error.message });
-            });
-        return true;
+            }
+        })();
+        return true; // Indicates async response
     }
 
     if (message.action === "findAndOpenCase" && message.caseNumber) {
         logger.info(`Received findAndOpenCase for case number: ${message.caseNumber}`);
         logToTab(sender.tab?.id, `Received request to find Case ${message.caseNumber}.`);
         const senderTabId = sender.tab?.id; // Get the original tab ID
-        const caseNumber = message.caseNumber;
-        const reportUrl = `https://myatos.lightning.force.com/lightning/r/Report/00ObD0000026ectUAA/view?fv0=${caseNumber}`;
-        let closeReportTabOnSuccess = false;
-        let tempTab = null;
 
         (async () => {
             try {
-                logToTab(senderTabId, `Opening report in a temporary tab...`);
-                tempTab = await chrome.tabs.create({ url: reportUrl, active: true });
-                const tempTabId = tempTab.id;
-                scraperTabIds.add(tempTabId); // "Tag" the tab
-                
-                if (senderTabId) {
-                    logToTab(senderTabId, `Switching focus back to this tab.`);
-                    await chrome.tabs.update(senderTabId, { active: true });
-                    logger.debug(`Switched focus back to original tab ID: ${senderTabId}`);
-                }
-
-                if (!tempTabId) throw new Error("Failed to create temporary report tab.");
-
-                logToTab(senderTabId, `Waiting for report tab to finish loading...`);
-                await new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        chrome.tabs.onUpdated.removeListener(listener);
-                        reject(new Error(`Timeout (30s) waiting for tab ${tempTabId} to load.`));
-                    }, 30000);
-
-                    const listener = (tabId, changeInfo, tab) => {
-                        if (tabId === tempTabId && tab.status === 'complete') {
-                            if (tab.url?.includes('Report')) {
-                                clearTimeout(timeout);
-                                chrome.tabs.onUpdated.removeListener(listener);
-                                logger.info(`Tab ${tempTabId} loaded successfully.`);
-                                resolve();
-                            }
-                        }
-                    };
-                    chrome.tabs.onUpdated.addListener(listener);
-                });
-
-                const resultPromise = new Promise((resolve, reject) => {
-                     const messageListener = (msg, sender) => {
-                        if (sender.tab?.id === tempTabId && (msg.type === 'caseIdFound' || msg.type === 'caseIdNotFound')) {
-                            chrome.runtime.onMessage.removeListener(messageListener);
-                            resolve(msg);
-                        }
-                        return true;
-                    };
-                    chrome.runtime.onMessage.addListener(messageListener);
-                });
-
-                logToTab(senderTabId, `Injecting finder script into report tab...`);
-                // IMPORTANT: Inject logger.js before the main finder script
-                await chrome.scripting.executeScript({ target: { tabId: tempTabId }, files: ['logger.js', 'case_finder.js'] });
-
-                logToTab(senderTabId, `Waiting for finder script to report back...`);
-                const result = await resultPromise;
-
-                if (result.type === 'caseIdFound' && result.caseId) {
-                    logToTab(senderTabId, `Success! Found Case ID: ${result.caseId}.`);
-                    const finalCaseUrl = `https://myatos.lightning.force.com/lightning/r/Case/${result.caseId}/view`;
-                    logToTab(senderTabId, `Opening final Case page...`);
-                    await chrome.tabs.create({ url: finalCaseUrl, active: true });
-                    closeReportTabOnSuccess = true; // Set flag to close the temp tab
-                } else {
-                    logToTab(senderTabId, `Error: Failed to find Case ID. Reason: ${result.reason}.`);
-                    logger.error(`Failed to find Case ID. Reason: ${result.reason}. The report tab will remain open for debugging.`);
-                    await chrome.tabs.update(tempTabId, { active: true });
-                    return;
-                }
-
+                const caseId = await findCaseId(message.caseNumber, { senderTabId });
+                const finalCaseUrl = `https://myatos.lightning.force.com/lightning/r/Case/${caseId}/view`;
+                logToTab(senderTabId, `Opening final Case page...`);
+                await chrome.tabs.create({ url: finalCaseUrl, active: true });
+                sendResponse({ status: "success" });
             } catch (error) {
                 logger.error("Error in findAndOpenCase flow:", error);
-                logToTab(senderTabId, `A critical error occurred: ${error.message}`);
-                if (tempTab?.id) {
-                    await chrome.tabs.update(tempTab.id, { active: true });
-                }
-            } finally {
-                 if (tempTab?.id) {
-                    scraperTabIds.delete(tempTab.id); // "Untag" the tab before closing or leaving open
-                    if (closeReportTabOnSuccess) {
-                        try {
-                            await chrome.tabs.remove(tempTab.id);
-                            logger.info(`Successfully closed temporary tab ${tempTab.id}`);
-                        } catch (e) {
-                            logger.warn(`Could not close temp tab ${tempTab.id}: ${e.message}`);
-                        }
-                    }
-                }
+                sendResponse({ status: "error", message: error.message });
             }
         })();
         return true;
@@ -487,16 +1254,294 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return false;
 });
 
+/**
+ * Fixes relative image URLs from Salesforce servers.
+ * @param {string} html - Scraped rich text.
+ * @returns {string}
+ */
+function fixSalesforceImageUrls(html) {
+    if (!html.includes('src="/sfc/')) return html;
+    const fileServer = 'https://myatos.file.force.com';
+    return html.replace(/src="\/sfc\//g, `src="${fileServer}/sfc/`);
+}
+
+/**
+ * Keeps only what the customer has seen: the case's public notes and the emails exchanged with the customer
+ * (see psmhMetrics.isCustomerFacing()), without internal details. Items that could not be read are left out,
+ * and so is the quoted history of emails: forwarded threads can contain internal discussions.
+ * @param {object} caseDetails
+ * @param {Array} timelineItems - The unified notes/emails.
+ * @param {Array<string>} supportAddresses - From getSupportAddresses().
+ * @returns {{caseDetails: object, timelineItems: Array, workOrdersData: object}} Copies, ready for buildFullViewHtml.
+ */
+function toCustomerView(caseDetails, timelineItems, supportAddresses) {
+    return {
+        caseDetails: { ...caseDetails, owner: null, creatorName: null, caseUrl: null, attachments: null },
+        timelineItems: timelineItems
+            .filter(item => !item.workOrder && !item.fetchError && timelineMetrics.isCustomerFacing(item, supportAddresses))
+            .map(item => ({ ...item, url: null, quotedContent: null })),
+        workOrdersData: { count: 0, columns: [], rows: [] }
+    };
+}
+
+/**
+ * Replaces the Salesforce images of the case description and of every timeline item with data: URIs.
+ * The objects are updated in place; images that can't be fetched keep their URL.
+ * @param {object} caseDetails
+ * @param {Array} timelineItems - The unified notes/emails.
+ * @param {number} maxBytes - Size limit per image.
+ */
+async function inlineReportImages(caseDetails, timelineItems, maxBytes) {
+    const options = { maxBytes, baseUrl: caseDetails.caseUrl, cache: new Map() };
+    caseDetails.description = await imageInliner.inlineImages(caseDetails.description, options);
+    for (const item of timelineItems) {
+        item.content = await imageInliner.inlineImages(item.content, options);
+        item.quotedContent = await imageInliner.inlineImages(item.quotedContent, options);
+    }
+    const dataUris = await Promise.all(options.cache.values());
+    logger.info(`BG: Embedded ${dataUris.filter(Boolean).length} of ${dataUris.length} image(s) (limit ${maxBytes} bytes each).`);
+}
+
+/**
+ * Renders a list of attachments as links.
+ * @param {Array|undefined} attachments - Scraped attachments ({name, size, type, url}).
+ * @returns {string} HTML, 'N/A' when the item predates attachment scraping.
+ */
+function renderAttachmentLinks(attachments) {
+    if (!Array.isArray(attachments)) return 'N/A';
+    if (attachments.length === 0) return i18n.t('reportNoAttachments');
+    return attachments.map(attachment => {
+        const details = [attachment.size, attachment.type].filter(Boolean).map(escapeHtml).join(', ');
+        return `<a href="${escapeHtml(htmlSanitizer.safeUrl(attachment.url))}" target="_blank">${escapeHtml(attachment.name)}</a>${details ? ` (${details})` : ''}`;
+    }).join(' &middot; ');
+}
+
+/**
+ * The translated name of a timeline item type ("Note", "Email").
+ * @param {string} [type]
+ * @returns {string}
+ */
+function itemTypeLabel(type) {
+    return i18n.t({ Note: 'typeNote', Email: 'typeEmail' }[type] || 'typeItem');
+}
+
+/**
+ * Builds the banner summarizing what changed since the previous report of the case.
+ * @param {object} changes - The result of psmhSnapshotDiff.compare().
+ * @param {object} dateSettings - From getDateSettings().
+ * @returns {string} HTML.
+ */
+function buildChangesBannerHtml(changes, dateSettings) {
+    const previousTime = dateFormat.format(changes.previousGeneratedAt, dateSettings);
+    const lines = [];
+
+    if (changes.newCount || changes.editedCount) {
+        lines.push(i18n.t('changesItems', [changes.newCount, changes.editedCount]));
+    }
+    if (changes.removedCount) {
+        lines.push(i18n.t('changesRemoved', changes.removedCount));
+    }
+    const fieldLabelKeys = { status: 'fieldStatus', owner: 'fieldOwner', subject: 'fieldSubject' };
+    changes.fieldChanges.forEach(change => {
+        const label = fieldLabelKeys[change.field] ? i18n.t(fieldLabelKeys[change.field]) : change.label;
+        lines.push(`${escapeHtml(label)}: <del>${escapeHtml(change.before || 'N/A')}</del> &rarr; <strong>${escapeHtml(change.after || 'N/A')}</strong>`);
+    });
+    const { countBefore, countAfter, added, removed, changed } = changes.workOrders;
+    if (countBefore !== countAfter || added.length || removed.length || changed.length) {
+        const details = [
+            added.length ? i18n.t('changesAdded', added.map(escapeHtml).join(', ')) : '',
+            removed.length ? i18n.t('changesRemovedWorkOrders', removed.map(escapeHtml).join(', ')) : '',
+            changed.length ? i18n.t('changesUpdated', changed.map(escapeHtml).join(', ')) : ''
+        ].filter(Boolean).join('; ');
+        lines.push(`${i18n.t('changesWorkOrders')} ${countBefore} &rarr; ${countAfter}${details ? ` (${details})` : ''}`);
+    }
+
+    if (lines.length === 0) {
+        return `<div class="changes-banner no-changes">${i18n.t('changesNone', previousTime)}</div>`;
+    }
+    return `<div class="changes-banner"><strong>${i18n.t('changesTitle', previousTime)}</strong><ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul></div>`;
+}
+
+/**
+ * Builds the list of the records referenced in the report (see record_links.js).
+ * @param {Array<{type: string, number: string, url: string, count: number, firstAnchor: string}>} references
+ * @returns {string} '' without references.
+ */
+function buildReferencedRecordsHtml(references) {
+    if (references.length === 0) return '';
+    const labels = {
+        case: number => i18n.t('reportReferenceCase', number),
+        workOrder: number => i18n.t('reportWorkOrder', number),
+        kb: number => i18n.t('reportReferenceKb', number)
+    };
+    const itemsHtml = references.map(reference => {
+        const caseAttributes = reference.type === 'case'
+            ? ` data-case-number="${escapeHtml(reference.number)}" title="${escapeHtml(i18n.t('reportReferenceCaseTitle'))}"`
+            : ` title="${escapeHtml(i18n.t('reportReferenceSearchTitle'))}"`;
+        const mentions = i18n.t('reportReferenceMentions', reference.count);
+        return `<li><a href="${escapeHtml(reference.url)}" target="_blank" class="record-reference"${caseAttributes}>${escapeHtml(labels[reference.type](reference.number))}</a>
+            <a href="#${escapeHtml(reference.firstAnchor)}" class="reference-mentions">${mentions}</a></li>`;
+    }).join('');
+    return `<div class="referenced-records"><strong>${i18n.t('reportReferencedRecords')}</strong> <ul>${itemsHtml}</ul></div>`;
+}
+
+/**
+ * Makes Work Order cells sortable as text: dates ("25/12/2024 14:30", "2024-12-25"...) become ISO strings.
+ * @param {string} text - The cell text.
+ * @param {object} dateSettings - From getDateSettings().
+ * @returns {string}
+ */
+function workOrderSortKey(text, dateSettings) {
+    if (!/^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}/.test(text)) return text;
+    const date = dateFormat.parse(text, dateSettings);
+    return date ? date.toISOString() : text;
+}
+
+/**
+ * Lists the From addresses used by the support team: the known PSM support mailboxes plus the preferred one.
+ * @returns {Promise<Array<string>>}
+ */
+async function getSupportAddresses() {
+    const { preferredFromAddress } = await chrome.storage.sync.get('preferredFromAddress');
+    return [...new Set([...timelineMetrics.DEFAULT_SUPPORT_ADDRESSES, ...(preferredFromAddress ? [preferredFromAddress] : [])])];
+}
+
+/**
+ * Builds the panel of response-time metrics shown at the top of internal reports.
+ * @param {object} metrics - The result of psmhMetrics.compute().
+ * @param {Date} now - When the report data was collected.
+ * @param {object} dateSettings - From getDateSettings().
+ * @returns {string} HTML.
+ */
+function buildMetricsPanelHtml(metrics, now, dateSettings) {
+    const formatDuration = (duration) => timelineMetrics.formatDuration(duration);
+    const formatDate = (date) => dateFormat.format(date, dateSettings);
+    const [longestIdle] = metrics.idlePeriods;
+    // [label, value, hint, warning]
+    const cards = [
+        [i18n.t('metricFirstResponse'), formatDuration(metrics.firstResponse), i18n.t('metricFirstResponseHint')],
+        [i18n.t('metricAverageResponse'), formatDuration(metrics.averageResponse), i18n.t('metricAverageResponseHint', metrics.responseCount)],
+        [i18n.t('metricLongestResponse'), formatDuration(metrics.maxResponse), i18n.t('metricLongestResponseHint')],
+        [i18n.t('metricAwaitingReply'), metrics.waitingSince ? formatDuration(now - metrics.waitingSince) : i18n.t('metricAwaitingReplyNo'),
+            metrics.waitingSince ? i18n.t('metricAwaitingReplySince', formatDate(metrics.waitingSince)) : i18n.t('metricAwaitingReplyNone'), Boolean(metrics.waitingSince)],
+        [i18n.t('metricIdlePeriods'), String(metrics.idlePeriods.length),
+            longestIdle ? i18n.t('metricIdlePeriodsLongest', [formatDuration(longestIdle.duration), formatDate(longestIdle.start), formatDate(longestIdle.end)]) : i18n.t('metricIdlePeriodsNone')],
+        [i18n.t('metricMessages'), `${metrics.customerCount} / ${metrics.supportCount}`, i18n.t('metricMessagesHint')]
+    ];
+    return `<div class="metrics-panel">${cards.map(([label, value, hint, warning]) => `
+            <div class="metric-card${warning ? ' metric-warning' : ''}"><div class="metric-label">${escapeHtml(label)}</div><div class="metric-value">${escapeHtml(value)}</div><div class="metric-hint">${escapeHtml(hint)}</div></div>`).join('')}
+        </div>`;
+}
+
+/**
+ * Builds the combined report of a batch run: a table of contents with each case's outcome,
+ * then every generated report. Each report is embedded in its own frame so that its toolbar,
+ * filters and downloads keep working independently.
+ * @param {Array<{caseNumber: string, status: string, message: string, subject: string|null, html: string|null}>} results
+ * @param {Date} generatedAt
+ * @param {object} [dateSettings] - From getDateSettings().
+ * @returns {string} The complete HTML document.
+ */
+function buildBatchReportHtml(results, generatedAt, dateSettings = dateFormat.DEFAULT_SETTINGS) {
+    const generatedTime = dateFormat.format(generatedAt, dateSettings, { seconds: true });
+    const succeeded = results.filter(result => result.status === 'success');
+    const failedCount = results.length - succeeded.length;
+
+    const tocRowsHtml = results.map((result, index) => {
+        const caseHtml = result.html ? `<a href="#batch-case-${index}">${escapeHtml(result.caseNumber)}</a>` : escapeHtml(result.caseNumber);
+        const outcomeHtml = result.status === 'success'
+            ? `<span class="outcome success">${i18n.t('batchOk')}</span> ${escapeHtml(result.message)}`
+            : `<span class="outcome error">${i18n.t('batchFailed')}</span> ${escapeHtml(result.message)}`;
+        return `<tr><td>${index + 1}</td><td>${caseHtml}</td><td>${escapeHtml(result.subject || '')}</td><td>${outcomeHtml}</td></tr>`;
+    }).join('');
+
+    const sectionsHtml = results.map((result, index) => (result.html ? `
+        <section class="batch-case" id="batch-case-${index}">
+            <h2>${escapeHtml(i18n.t('batchReportCaseHeading', [result.caseNumber, result.subject || 'N/A']))} <a href="#batch-toc" class="back-link">${i18n.t('batchReportContents')}</a></h2>
+            <iframe class="batch-report" title="${escapeHtml(i18n.t('batchReportCaseFrame', result.caseNumber))}" srcdoc="${escapeHtml(result.html)}"></iframe>
+        </section>` : '')).join('');
+
+    const titleText = i18n.t('batchReportTitle', results.length);
+
+    return `
+    <!DOCTYPE html>
+    <html lang="${i18n.language()}">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${titleText}</title>
+        <style>
+            body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; line-height: 1.4; padding: 15px 25px; margin: 0; color: #333; background-color: #f9f9f9; }
+            h1, h2 { border-bottom: 1px solid #ccc; padding-bottom: 6px; color: #1a5f90; font-weight: 600; }
+            h1 { font-size: 1.7em; } h2 { font-size: 1.4em; margin-top: 40px; }
+            .batch-summary { padding: 8px 12px; margin-bottom: 20px; border-radius: 5px; background-color: #eef3f8; border: 1px solid #d1e0ee; }
+            table.toc { border-collapse: collapse; background-color: #fff; width: 100%; font-size: 0.95em; }
+            table.toc th, table.toc td { text-align: left; padding: 5px 10px; border-bottom: 1px solid #e5e5e5; }
+            table.toc th { background-color: #eef3f8; color: #1a5f90; }
+            .outcome { font-weight: bold; margin-right: 4px; }
+            .outcome.success { color: #006421; }
+            .outcome.error { color: #c70000; }
+            .back-link { font-size: 0.6em; font-weight: normal; margin-left: 10px; }
+            iframe.batch-report { width: 100%; height: 800px; border: 1px solid #e1e5eb; border-radius: 5px; background-color: #fff; }
+        </style>
+    </head>
+    <body>
+        <h1 id="batch-toc">${titleText}</h1>
+        <div class="batch-summary">${i18n.t('reportGenerated', generatedTime)} &middot; ${i18n.t('batchReportOutcome', [succeeded.length, failedCount])}</div>
+        <table class="toc">
+            <thead><tr><th>#</th><th>${i18n.t('batchReportCase')}</th><th>${i18n.t('batchReportSubject')}</th><th>${i18n.t('batchReportResult')}</th></tr></thead>
+            <tbody>${tocRowsHtml}</tbody>
+        </table>
+        ${sectionsHtml}
+        <script>
+            // Size each embedded report to its content so the page scrolls as one document.
+            document.querySelectorAll('iframe.batch-report').forEach(frame => {
+                const fitToContent = () => {
+                    const frameDocument = frame.contentDocument;
+                    if (frameDocument && frameDocument.documentElement) {
+                        frame.style.height = (frameDocument.documentElement.scrollHeight + 20) + 'px';
+                    }
+                };
+                frame.addEventListener('load', () => {
+                    fitToContent();
+                    new ResizeObserver(fitToContent).observe(frame.contentDocument.body);
+                });
+            });
+        </script>
+    </body>
+    </html>`;
+}
+
+/**
+ * Opens the report page (report.html) in a new browser window.
+ * Archived reports get a stable address: report.html?recordNumber=... always shows the latest report of the case.
+ * @param {object} params - What the page shows (see renderReportPage()). Empty values are left out of the URL.
+ */
+function openReportWindow(params) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+    chrome.windows.create({ url: chrome.runtime.getURL(`report.html?${query}`), type: 'normal' });
+}
+
 /**
  * Builds the final HTML for the "Full View" tab.
  * @param {object} caseDetails - The basic details scraped from the case page.
  * @param {Array} timelineItems - The fully processed array of notes and/or emails.
- * @param {object} workOrdersData - The scraped data for the work orders table.
+ * @param {object} workOrdersData - The structured Work Orders data (see work_orders.js).
+ * @param {object} [options]
+ * @param {Date} [options.generatedAt] - When the data was collected (defaults to now). Set when re-rendering a snapshot.
+ * @param {object} [options.changes] - Changes since the previous report of the case (see snapshot_diff.js).
+ * @param {'internal'|'customer'} [options.audience='internal'] - 'customer' renders a neutral header without
+ *   internal details. The data itself must already be filtered with toCustomerView().
+ * @param {Array<string>} [options.supportAddresses] - From addresses of the support team, for the response-time metrics.
+ * @param {object} [options.dateSettings] - How dates are read and displayed (see getDateSettings()).
  * @returns {string} The complete HTML document as a string.
  */
-function buildFullViewHtml(caseDetails, timelineItems = [], workOrdersData = {count: 0, html: ''}) {
-    const now = new Date();
-    const generatedTime = now.toLocaleString('en-US', { dateStyle: 'short', timeStyle: 'medium' });
+function buildFullViewHtml(caseDetails, timelineItems = [], workOrdersData = { count: 0, columns: [], rows: [] }, options = {}) {
+    const now = options.generatedAt || new Date();
+    const dateSettings = options.dateSettings || dateFormat.DEFAULT_SETTINGS;
+    const isCustomerView = options.audience === 'customer';
+    const generatedTime = dateFormat.format(now, dateSettings, { seconds: true });
+    const timeZoneLabel = dateFormat.timeZoneLabel(dateSettings, now);
     
     const safeRecordNumber = escapeHtml(caseDetails.recordNumber || 'N/A');
     const safeSubject = escapeHtml(caseDetails.subject || 'N/A');
@@ -504,92 +1549,194 @@ function buildFullViewHtml(caseDetails, timelineItems = [], workOrdersData = {co
     const safeAccountName = escapeHtml(caseDetails.accountName || 'N/A');
 
     // Use the exact URL captured from the page when the process started.
-    const caseUrl = caseDetails.caseUrl || '#'; // Fallback to '#' if URL is missing
-    const titleHtml = `<a href="${caseUrl}" target="_blank" style="text-decoration: none; color: inherit;">${safeObjectType} ${safeRecordNumber}: ${safeSubject}</a>`;
+    const caseUrl = escapeHtml(htmlSanitizer.safeUrl(caseDetails.caseUrl)); // Falls back to '#' if the URL is missing or unsafe
+    const markdownSource = markdownExport.buildFullViewMarkdown(caseDetails, timelineItems, workOrdersData, generatedTime, { audience: options.audience, dateSettings });
+    const snapshot = caseSnapshot.create(caseDetails, timelineItems, workOrdersData, now);
+    // The customer view has no link to Salesforce: the customer can't open it.
+    const titleHtml = isCustomerView
+        ? `${safeObjectType} ${safeRecordNumber}: ${safeSubject}`
+        : `<a href="${caseUrl}" target="_blank" style="text-decoration: none; color: inherit;">${safeObjectType} ${safeRecordNumber}: ${safeSubject}</a>`;
+
+    const processedNotes = timelineItems.filter(i => i.type === 'Note');
+    const processedEmails = timelineItems.filter(i => i.type === 'Email');
 
-    const woCount = workOrdersData.count;
+    // Combine and sort all items by date, the undated ones last
+    const sortedTimelineItems = dateFormat.sortByDate(timelineItems);
+
+    // Items collected in deep mode are nested under their Work Order.
+    const workOrderThreads = new Map(); // Work Order number -> { anchor, entries: [{item, index}] }
+    sortedTimelineItems.forEach((item, index) => {
+        if (!item.workOrder) return;
+        if (!workOrderThreads.has(item.workOrder)) workOrderThreads.set(item.workOrder, { anchor: `wo-thread-${workOrderThreads.size}`, entries: [] });
+        workOrderThreads.get(item.workOrder).entries.push({ item, index });
+    });
+
+    const workOrderTable = workOrders.normalize(workOrdersData);
+    const woCount = workOrderTable.count;
     const woScrollClass = woCount > 6 ? 'wo-table-scrollable' : '';
+    const woColumnsHtml = workOrderTable.columns.map((column, index) => `<th data-column="${index}" title="${escapeHtml(i18n.t('reportSortBy', column))}">${escapeHtml(column)}</th>`).join('');
+    const woRowsHtml = workOrderTable.rows.map(row => {
+        const cellsHtml = workOrderTable.columns.map((column, index) => {
+            const cell = row.cells[index] || { text: '', url: null };
+            const cellHtml = cell.url ? `<a href="${escapeHtml(htmlSanitizer.safeUrl(cell.url))}" target="_blank">${escapeHtml(cell.text)}</a>` : escapeHtml(cell.text);
+            return `<td data-sort="${escapeHtml(workOrderSortKey(cell.text, dateSettings))}">${cellHtml}</td>`;
+        }).join('');
+        const thread = workOrderThreads.get(workOrders.recordNumber(row));
+        const threadHtml = workOrderThreads.size === 0 ? '' : `<td>${thread ? `<a href="#${thread.anchor}">${i18n.t('itemCount', thread.entries.length)}</a>` : ''}</td>`;
+        return `<tr>${cellsHtml}${threadHtml}</tr>`;
+    }).join('');
+    // References to other records in the rich texts become links, listed under the case details.
+    // The customer view has no link to Salesforce.
+    const linker = isCustomerView ? null : recordLinks.createLinker({ recordNumber: caseDetails.recordNumber, workOrders: workOrderTable });
+    const linkReferences = (html, anchor) => (linker ? linker.linkHtml(html, anchor) : html);
+    const descriptionHtml = linkReferences(htmlSanitizer.sanitize(caseDetails.description), 'psmh-description');
+
     const workOrdersSummaryHtml = `
         <div class="wo-summary-container">
-            <h3>${woCount} Work Order(s)</h3>
-            ${woCount > 0 ? `<div class="${woScrollClass}">${workOrdersData.html}</div>` : '<p><i>No related work orders found.</i></p>'}
+            <h3>${i18n.t('reportWorkOrderCount', woCount)}</h3>
+            ${workOrderTable.rows.length > 0 ? `
+            <input type="search" id="psmh-wo-filter" placeholder="${i18n.t('reportFilterWorkOrders')}">
+            <div class="${woScrollClass}">
+                <table class="slds-table slds-table_bordered" id="psmh-wo-table">
+                    <thead><tr>${woColumnsHtml}${workOrderThreads.size > 0 ? `<th>${i18n.t('reportTimelineColumn')}</th>` : ''}</tr></thead>
+                    <tbody>${woRowsHtml}</tbody>
+                </table>
+            </div>` : `<p><i>${i18n.t('reportNoWorkOrders')}</i></p>`}
         </div>
     `;
-    
-    const processedNotes = timelineItems.filter(i => i.type === 'Note');
-    const processedEmails = timelineItems.filter(i => i.type === 'Email');
-
-    // Combine and sort all items by date
-    const validTimelineItems = timelineItems.filter(item => item.dateObject && !isNaN(new Date(item.dateObject).getTime()));
-    validTimelineItems.sort((a, b) => new Date(a.dateObject) - new Date(b.dateObject));
-
-    let timelineHtml = '';
-    if (validTimelineItems.length === 0) {
-        timelineHtml = "<p>No Notes or Emails found or extracted successfully.</p>";
-    } else {
-        validTimelineItems.forEach(item => {
-            let contentHtml = '';
-            if (item.content && (item.content.startsWith('Error:') || item.content.startsWith('[Fetch Error') || item.content.startsWith('[Body Fetch Error') || item.content.startsWith('[Content'))) {
-               contentHtml = `<span class="error-message">${escapeHtml(item.content)}</span>`;
-            } else {
-               contentHtml = item.content || '<i>[Content Missing]</i>';
-               // For "New Case" emails, reduce the large font size and remove useless spans.
-               if (item.type === 'Email' && item.title && item.title.startsWith('New Case')) {
-                   contentHtml = contentHtml.replace(/size="5"/g, 'size="3"');
-                   contentHtml = contentHtml.replace(/<span style="background-color: rgb\(255, 255, 255\);">/g, '');
-                   contentHtml = contentHtml.replace(/<\/span>/g, '');
-               }
-
-               // Fix for relative image URLs from Salesforce servers
-               if (contentHtml.includes('src="/sfc/')) {
-                   const fileServer = 'https://myatos.file.force.com';
-                   contentHtml = contentHtml.replace(/src="\/sfc\//g, `src="${fileServer}/sfc/`);
-               }
-            }
 
-            let visibilityLabel = '';
-            if (item.type === 'Note') {
-                if (item.isPublic === true) visibilityLabel = `<span class="item-visibility public">(public)</span>`;
-                else if (item.isPublic === false) visibilityLabel = `<span class="item-visibility internal">(internal)</span>`;
-            }
+    // Gather the Case's files and every item's attachments for the "All attachments" section.
+    const allAttachmentRows = [];
+    (caseDetails.attachments || []).forEach(attachment => {
+        allAttachmentRows.push({ attachment, sourceHtml: `${safeObjectType} ${safeRecordNumber}` });
+    });
+    sortedTimelineItems.forEach((item, index) => {
+        (item.attachments || []).forEach(attachment => {
+            allAttachmentRows.push({ attachment, sourceHtml: `<a href="#timeline-item-${index}">${escapeHtml(itemTypeLabel(item.type))}: ${escapeHtml(item.title || 'N/A')}</a>` });
+        });
+    });
+    const allAttachmentsHtml = allAttachmentRows.length === 0 ? '' : `
+            <details class="all-attachments">
+                <summary>${i18n.t('reportAllAttachments', allAttachmentRows.length)}</summary>
+                <table>
+                    <thead><tr><th>${i18n.t('reportFile')}</th><th>${i18n.t('reportSize')}</th><th>${i18n.t('reportType')}</th><th>${i18n.t('reportAttachedTo')}</th></tr></thead>
+                    <tbody>${allAttachmentRows.map(({ attachment, sourceHtml }) => `
+                        <tr><td><a href="${escapeHtml(htmlSanitizer.safeUrl(attachment.url))}" target="_blank">${escapeHtml(attachment.name)}</a></td><td>${escapeHtml(attachment.size || '')}</td><td>${escapeHtml(attachment.type || '')}</td><td>${sourceHtml}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            </details>`;
+
+    const changes = options.changes || null;
+    const changesBannerHtml = changes ? buildChangesBannerHtml(changes, dateSettings) : '';
+    const failedCount = timelineItems.filter(item => item.fetchError).length;
+    const failedItemsBannerHtml = failedCount > 0 ? `<div class="failed-items-banner">${i18n.t('reportFailedItems', failedCount)}</div>` : '';
+
+    // Response times are for the support team only, not for the customer. Work Order items are not customer exchanges.
+    const metricsPanelHtml = isCustomerView ? '' : buildMetricsPanelHtml(timelineMetrics.compute(sortedTimelineItems.filter(item => !item.workOrder), {
+        caseCreatedAt: parseDateString(caseDetails.createdDateStr, dateSettings),
+        supportAddresses: options.supportAddresses,
+        now
+    }), now, dateSettings);
+
+    const timelineAuthors = [...new Set(sortedTimelineItems.map(item => item.author || 'N/A'))].sort((a, b) => a.localeCompare(b));
+    const authorOptionsHtml = timelineAuthors.map(author => `<option value="${escapeHtml(author)}">${escapeHtml(author)}</option>`).join('');
+
+    const renderTimelineItem = (item, index) => {
+        let contentHtml = '';
+        if (item.fetchError) {
+           contentHtml = `<span class="error-message">${escapeHtml(i18n.t('reportItemFetchFailed', item.fetchError))}</span>`;
+        } else if (item.content && (item.content.startsWith('Error:') || item.content.startsWith('[Fetch Error') || item.content.startsWith('[Body Fetch Error') || item.content.startsWith('[Content'))) {
+           contentHtml = `<span class="error-message">${escapeHtml(item.content)}</span>`;
+        } else {
+           // Scraped rich text is untrusted: only allow-listed markup reaches the report.
+           contentHtml = htmlSanitizer.sanitize(item.content) || `<i>${i18n.t('reportContentMissing')}</i>`;
+           // For "New Case" emails, reduce the large font size and remove useless spans.
+           if (item.type === 'Email' && item.title && item.title.startsWith('New Case')) {
+               contentHtml = contentHtml.replace(/size="5"/g, 'size="3"');
+               contentHtml = contentHtml.replace(/<span style="background-color: rgb\(255, 255, 255\);">/g, '');
+               contentHtml = contentHtml.replace(/<\/span>/g, '');
+           }
+
+           contentHtml = linkReferences(fixSalesforceImageUrls(contentHtml), `timeline-item-${index}`);
+
+           // Quoted history, signature and disclaimers are collapsed by default.
+           if (item.quotedContent) {
+               contentHtml += `<details class="quoted-text"><summary>${i18n.t('reportShowQuotedText')}</summary><div class="quoted-content">${linkReferences(fixSalesforceImageUrls(htmlSanitizer.sanitize(item.quotedContent)), `timeline-item-${index}`)}</div></details>`;
+           }
+        }
 
-            let formattedTimestamp = 'N/A';
-            if (item.dateObject) {
-                formattedTimestamp = new Date(item.dateObject).toLocaleString(undefined, {
-                    year: 'numeric', month: 'numeric', day: 'numeric',
-                    hour: '2-digit', minute: '2-digit', hour12: false
-                });
-            } else {
-                formattedTimestamp = escapeHtml(item.dateStr || 'Date Error');
-            }
+        let visibilityLabel = '';
+        if (item.type === 'Note' && !isCustomerView) {
+            if (item.isPublic === true) visibilityLabel = `<span class="item-visibility public">${i18n.t('reportPublic')}</span>`;
+            else if (item.isPublic === false) visibilityLabel = `<span class="item-visibility internal">${i18n.t('reportInternal')}</span>`;
+        }
 
-            const itemTypeClass = `type-${escapeHtml(item.type?.toLowerCase() || 'unknown')}`;
-            const itemTypeLabel = escapeHtml(item.type || 'Item');
-            const itemTitle = escapeHtml(item.title || 'N/A');
-            const itemAuthor = escapeHtml(item.author || 'N/A');
-            const itemTo = escapeHtml(item.to || 'N/A');
+        let formattedTimestamp = 'N/A';
+        if (item.dateObject) {
+            formattedTimestamp = dateFormat.format(item.dateObject, dateSettings);
+        } else {
+            formattedTimestamp = escapeHtml(item.dateStr || i18n.t('reportDateError'));
+        }
 
-            let headerMetaDetails = (item.type === 'Email')
-                ? `<span class="item-meta"><span class="item-meta-label">From:</span> <span class="item-meta-info">${itemAuthor}</span> | <span class="item-meta-label">To:</span> <span class="item-meta-info">${itemTo}</span></span>`
-                : `<span class="item-meta"><span class="item-meta-label">By:</span> <span class="item-meta-info"><strong>${itemAuthor}</strong></span></span>`;
+        const itemTypeClass = `type-${escapeHtml(item.type?.toLowerCase() || 'unknown')}`;
+        const typeLabel = escapeHtml(itemTypeLabel(item.type));
+        const itemTitle = escapeHtml(item.title || 'N/A');
+        const itemAuthor = escapeHtml(item.author || 'N/A');
+        const itemTo = escapeHtml(item.to || 'N/A');
+
+        let headerMetaDetails = (item.type === 'Email')
+            ? `<span class="item-meta"><span class="item-meta-label">${i18n.t('reportFrom')}</span> <span class="item-meta-info">${itemAuthor}</span> | <span class="item-meta-label">${i18n.t('reportTo')}</span> <span class="item-meta-info">${itemTo}</span></span>`
+            : `<span class="item-meta"><span class="item-meta-label">${i18n.t('reportBy')}</span> <span class="item-meta-info"><strong>${itemAuthor}</strong></span></span>`;
+
+        const itemDate = item.dateObject ? new Date(item.dateObject) : null;
+        const itemIsoDate = itemDate && !isNaN(itemDate.getTime()) ? itemDate.toISOString() : '';
+        const visibilityValue = item.isPublic === true ? 'public' : (item.isPublic === false ? 'internal' : '');
+        const changeValue = changes ? (changes.items[snapshotDiff.itemKey(item)] || '') : '';
+        const changeBadge = changeValue ? `<span class="item-change-badge ${changeValue}">${i18n.t(changeValue === 'new' ? 'reportNew' : 'reportEdited')}</span>` : '';
+
+        return `
+        <div class="timeline-item${changeValue ? ` item-${changeValue}` : ''}${item.fetchError ? ' item-failed' : ''}" id="timeline-item-${index}" data-type="${escapeHtml(item.type?.toLowerCase() || 'unknown')}" data-visibility="${visibilityValue}" data-author="${itemAuthor}" data-date="${itemIsoDate}" data-day="${itemIsoDate ? dateFormat.format(itemDate, { ...dateSettings, displayFormat: 'ISO' }, { dateOnly: true }) : ''}" data-change="${changeValue}" data-work-order="${escapeHtml(item.workOrder || '')}">
+            <div class="item-header">
+                ${changeBadge}<strong class="item-type-label ${itemTypeClass}">${typeLabel}</strong>
+                ${visibilityLabel} <span class="item-timestamp">[${formattedTimestamp}]</span> -
+                <span class="item-subject-title">${itemTitle}</span>
+                ${headerMetaDetails}
+            </div>
+            <div class="item-content">${contentHtml}</div>
+            <div class="item-attachments">${i18n.t('reportAttachments')} ${renderAttachmentLinks(item.attachments)}</div>
+        </div>`;
+    };
 
+    let timelineHtml = '';
+    if (sortedTimelineItems.length === 0) {
+        timelineHtml = `<p>${i18n.t('reportNoTimelineItems')}</p>`;
+    } else {
+        sortedTimelineItems.forEach((item, index) => {
+            if (!item.workOrder) {
+                timelineHtml += renderTimelineItem(item, index);
+                return;
+            }
+            // A Work Order's items are shown together, where its first item falls in the timeline.
+            const thread = workOrderThreads.get(item.workOrder);
+            if (thread.entries[0].item !== item) return;
             timelineHtml += `
-            <div class="timeline-item">
-                <div class="item-header">
-                    <strong class="item-type-label ${itemTypeClass}">${itemTypeLabel}</strong>
-                    ${visibilityLabel} <span class="item-timestamp">[${formattedTimestamp}]</span> -
-                    <span class="item-subject-title">${itemTitle}</span>
-                    ${headerMetaDetails}
-                </div>
-                <div class="item-content">${contentHtml}</div>
-                <div class="item-attachments">Attachments: ${escapeHtml(item.attachments || 'N/A')}</div>
+            <div class="wo-thread" id="${thread.anchor}">
+                <div class="wo-thread-header">${escapeHtml(i18n.t('reportWorkOrder', item.workOrder))} &middot; ${i18n.t('itemCount', thread.entries.length)}</div>
+                ${thread.entries.map(entry => renderTimelineItem(entry.item, entry.index)).join('')}
             </div>`;
         });
     }
 
+    const referencedRecordsHtml = linker ? buildReferencedRecordsHtml(linker.references()) : '';
+
+    // Texts the report's script writes, with their $1-$4 placeholders left for the script to fill.
+    const scriptMessages = {};
+    ['reportCollapseAll', 'reportExpandAll', 'reportTimelineCount', 'reportTimelineCountFiltered', 'reportNoResults']
+        .forEach(key => { scriptMessages[key] = i18n.t(key, ['$1', '$2', '$3', '$4']); });
+
     return `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${i18n.language()}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -615,12 +1762,30 @@ function buildFullViewHtml(caseDetails, timelineItems = [], workOrdersData = {co
             .wo-table-scrollable { max-height: 250px; overflow-y: auto; border: 1px solid #dddbda; border-radius: 4px; }
             .wo-summary-container .slds-table { font-size: 0.9em; }
             .wo-summary-container p i { color: #666; }
+            #psmh-wo-filter { margin-bottom: 6px; padding: 3px 6px; width: 220px; }
+            #psmh-wo-table th[data-column] { cursor: pointer; user-select: none; }
+            #psmh-wo-table th[data-order="asc"]::after { content: " \\25B2"; font-size: 0.8em; }
+            #psmh-wo-table th[data-order="desc"]::after { content: " \\25BC"; font-size: 0.8em; }
+            .wo-thread { border-left: 4px solid #8e6cbd; padding-left: 10px; margin-bottom: 15px; }
+            .wo-thread-header { font-weight: 600; color: #5b3d8a; margin-bottom: 8px; }
             .description-label { font-weight: 600; color: #005fb2; margin-bottom: 5px; display: block; }
             .record-details .description-content { white-space: pre-wrap; word-wrap: break-word; margin-top: 0px; padding: 10px 12px; background-color: #f1f1f1; border-radius: 4px; font-size: 0.95em; max-height: 400px; overflow-y: auto; border: 1px solid #e0e0e0; }
             .timeline-header { display: flex; justify-content: space-between; align-items: center; border-bottom: 1px solid #ccc; padding-bottom: 6px; margin-bottom: 15px; }
             .timeline-header h2 { margin: 0; border: none; padding: 0; }
             #toggle-all-timeline { cursor: pointer; font-size: 0.9em; color: #007bff; text-decoration: none; }
             #toggle-all-timeline:hover { text-decoration: underline; }
+            .report-toolbar { position: sticky; top: 0; z-index: 10; display: flex; flex-wrap: wrap; align-items: center; gap: 8px; padding: 8px 12px; margin: 0 -25px 15px; background-color: #eef3f8; border-bottom: 1px solid #d1e0ee; box-shadow: 0 2px 4px rgba(0,0,0,0.06); font-size: 0.9em; }
+            .report-toolbar input, .report-toolbar select { font-size: 1em; padding: 3px 5px; border: 1px solid #c9d3dd; border-radius: 4px; background-color: #fff; }
+            .report-toolbar input[type="search"] { width: 220px; }
+            .report-toolbar button { font-size: 1em; padding: 2px 8px; border: 1px solid #c9d3dd; border-radius: 4px; background-color: #fff; cursor: pointer; }
+            .report-toolbar label { color: #555; }
+            .toolbar-separator { width: 1px; align-self: stretch; background-color: #d1e0ee; }
+            #psmh-search-count { min-width: 70px; color: #555; }
+            #psmh-filter-reset { color: #007bff; text-decoration: none; }
+            #psmh-filter-reset:hover { text-decoration: underline; }
+            mark.psmh-hit { background-color: #fff176; color: inherit; padding: 0; }
+            mark.psmh-hit.psmh-hit-current { background-color: #ff9800; }
+            .timeline-item.filtered-out, .wo-thread.filtered-out { display: none; }
             .timeline-item { border: 1px solid #e1e5eb; padding: 12px 18px; margin-bottom: 10px; border-radius: 5px; background-color: #fff; box-shadow: 0 1px 2px rgba(0,0,0,0.04); position: relative; }
             .timeline-item.type-note { border-left: 5px solid #6b92dc; }
             .timeline-item.type-email { border-left: 5px solid #770101; }
@@ -634,10 +1799,40 @@ function buildFullViewHtml(caseDetails, timelineItems = [], workOrdersData = {co
             .item-meta { display: block; font-size: 0.85em; color: #666; margin-top: 3px; }
             .item-meta-label { color: #005fb2; font-weight: 600; }
             .item-meta-info { color: #555; margin-left: 3px; }
+            .referenced-records { margin: 0 0 15px; font-size: 0.95em; }
+            .referenced-records ul { display: inline; margin: 0; padding: 0; list-style: none; }
+            .referenced-records li { display: inline; margin-right: 12px; }
+            .referenced-records .reference-mentions { color: #666; font-size: 0.9em; }
+            a.record-reference { text-decoration: underline dotted; }
             .item-content { white-space: normal; word-wrap: break-word; overflow-wrap: break-word; color: #333; margin-top: 10px; font-size: 0.95em; line-height: 1.45; }
             .item-content a { color: #007bff; }
             .item-attachments { font-style: italic; color: #888; font-size: 0.85em; margin-top: 10px; }
+            .item-attachments a { color: #007bff; font-style: normal; }
+            .all-attachments { margin-top: 15px; }
+            .all-attachments summary { font-weight: 600; color: #005fb2; cursor: pointer; }
+            .all-attachments table { border-collapse: collapse; margin-top: 8px; font-size: 0.9em; width: 100%; }
+            .all-attachments th, .all-attachments td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+            .all-attachments th { color: #555; }
+            .quoted-text { margin-top: 10px; }
+            .quoted-text summary { cursor: pointer; color: #007bff; font-size: 0.85em; user-select: none; }
+            .quoted-text .quoted-content { margin-top: 6px; padding-left: 10px; border-left: 3px solid #ddd; color: #666; }
             .error-message { color: red; font-weight: bold; }
+            .changes-banner { background-color: #e8f5e9; border: 1px solid #b7dfb9; border-radius: 5px; padding: 8px 12px; margin-bottom: 25px; font-size: 0.95em; }
+            .changes-banner.no-changes { background-color: #f1f1f1; border-color: #e0e0e0; color: #555; }
+            .changes-banner ul { margin: 4px 0 0; padding-left: 20px; }
+            .failed-items-banner { background-color: #fdecea; border: 1px solid #f5c2c0; border-radius: 5px; padding: 8px 12px; margin-bottom: 25px; font-size: 0.95em; color: #8a1c1c; }
+            .timeline-item.item-failed { border-style: dashed; background-color: #fffafa; }
+            .metrics-panel { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 20px; }
+            .metric-card { flex: 1 1 150px; background-color: #fff; border: 1px solid #e1e5eb; border-left: 4px solid #005fb2; border-radius: 5px; padding: 8px 12px; }
+            .metric-card.metric-warning { border-left-color: #b55f00; }
+            .metric-label { font-size: 0.8em; color: #555; text-transform: uppercase; }
+            .metric-value { font-size: 1.4em; font-weight: 600; color: #1a5f90; }
+            .metric-hint { font-size: 0.8em; color: #777; }
+            .item-change-badge { display: inline-block; font-size: 0.75em; font-weight: bold; text-transform: uppercase; color: #fff; border-radius: 3px; padding: 1px 5px; margin-right: 6px; }
+            .item-change-badge.new { background-color: #2e7d32; }
+            .item-change-badge.edited { background-color: #b55f00; }
+            .timeline-item.item-new { box-shadow: 0 0 0 2px #a5d6a7; }
+            .timeline-item.item-edited { box-shadow: 0 0 0 2px #ffcc80; }
             .item-visibility { margin-left: 8px; font-size: 0.9em; font-weight: bold; text-transform: lowercase; padding: 1px 5px; border-radius: 3px; border: 1px solid transparent; }
             .item-visibility.public { color: #8e1b03; background-color: #fdd; border-color: #fbb; }
             .item-visibility.internal { color: #333; background-color: #eee; border-color: #ddd; }
@@ -646,6 +1841,8 @@ function buildFullViewHtml(caseDetails, timelineItems = [], workOrdersData = {co
             @media print {
                 body { padding: 10px; font-size: 12px; }
                 .generation-info, #toggle-all-timeline, .item-header { cursor: default; }
+                .report-toolbar { display: none !important; }
+                mark.psmh-hit { background-color: transparent; }
                 .copy-button { display: none !important; }
                 .record-details .description-content,
                 .wo-table-scrollable {
@@ -658,29 +1855,60 @@ function buildFullViewHtml(caseDetails, timelineItems = [], workOrdersData = {co
     <body>
         <h1>${titleHtml}</h1>
         <div class="meta-info-bar">
-            <div class="customer-account-info"><strong>Customer Account:</strong> ${safeAccountName}</div>
-            <div class="generation-info"><button id="psmh-save-pdf" class="copy-button">Save as PDF</button><span>Generated: ${generatedTime}</span></div>
+            <div class="customer-account-info"><strong>${i18n.t('reportCustomerAccount')}</strong> ${safeAccountName}</div>
+            <div class="generation-info"><button id="psmh-save-pdf" class="copy-button">${i18n.t('reportSavePdf')}</button><button id="psmh-save-md" class="copy-button" data-filename="${escapeHtml(caseSnapshot.fileName(caseDetails, 'md'))}">${i18n.t('reportDownloadMd')}</button><button id="psmh-save-json" class="copy-button" data-filename="${escapeHtml(caseSnapshot.fileName(caseDetails, 'json'))}">${i18n.t('reportDownloadJson')}</button><span>${i18n.t('reportGenerated', generatedTime)} &middot; ${escapeHtml(i18n.t('reportTimesIn', timeZoneLabel))}</span></div>
         </div>
+        ${metricsPanelHtml}
+        ${changesBannerHtml}
+        ${failedItemsBannerHtml}
         <div class="record-details">
             <div class="details-and-wo-wrapper">
                  <dl class="details-grid">
-                    <dt>Date Created:</dt><dd>${escapeHtml(caseDetails.createdDateStr || 'N/A')}</dd>
-                    <dt>Created By:</dt><dd>${escapeHtml(caseDetails.creatorName || 'N/A')}</dd>
-                    <dt>Status:</dt><dd>${escapeHtml(caseDetails.status || 'N/A')}</dd>
-                    <dt>Owner:</dt><dd>${escapeHtml(caseDetails.owner || 'N/A')}</dd>
+                    <dt>${i18n.t('reportDateCreated')}</dt><dd>${escapeHtml(dateFormat.reformat(caseDetails.createdDateStr, dateSettings) || 'N/A')}</dd>
+                    ${isCustomerView ? '' : `<dt>${i18n.t('reportCreatedBy')}</dt><dd>${escapeHtml(caseDetails.creatorName || 'N/A')}</dd>`}
+                    <dt>${i18n.t('reportStatus')}</dt><dd>${escapeHtml(caseDetails.status || 'N/A')}</dd>
+                    ${isCustomerView ? '' : `<dt>${i18n.t('reportOwner')}</dt><dd>${escapeHtml(caseDetails.owner || 'N/A')}</dd>`}
                  </dl>
-                 <div><h3>Work Orders</h3>${workOrdersSummaryHtml}</div>
+                 ${isCustomerView ? '' : `<div><h3>${i18n.t('reportWorkOrders')}</h3>${workOrdersSummaryHtml}</div>`}
             </div>
-            <div class="description-label">Description:</div>
-            <div class="description-content">${caseDetails.description || '<p><i>Description empty or not found.</i></p>'}</div>
+            ${referencedRecordsHtml}
+            <div class="description-label">${i18n.t('reportDescription')}</div>
+            <div class="description-content" id="psmh-description">${descriptionHtml || `<p><i>${i18n.t('reportDescriptionEmpty')}</i></p>`}</div>
+            ${allAttachmentsHtml}
+        </div>
+        <div class="report-toolbar" id="psmh-toolbar">
+            <input type="search" id="psmh-search" placeholder="${i18n.t('reportSearchPlaceholder')}" title="${i18n.t('reportSearchHint')}">
+            <button id="psmh-search-prev" title="${i18n.t('reportPreviousHit')}">&#9650;</button>
+            <button id="psmh-search-next" title="${i18n.t('reportNextHit')}">&#9660;</button>
+            <span id="psmh-search-count"></span>
+            <span class="toolbar-separator"></span>
+            <select id="psmh-filter-type" title="${i18n.t('reportType')}">
+                <option value="">${i18n.t('reportAllTypes')}</option><option value="note">${i18n.t('reportNotes')}</option><option value="email">${i18n.t('reportEmails')}</option>
+            </select>
+            ${isCustomerView ? '' : `<select id="psmh-filter-visibility" title="${i18n.t('reportFilterVisibility')}">
+                <option value="">${i18n.t('reportAnyVisibility')}</option><option value="public">${i18n.t('reportVisibilityPublic')}</option><option value="internal">${i18n.t('reportVisibilityInternal')}</option>
+            </select>`}
+            <select id="psmh-filter-author" title="${i18n.t('reportFilterAuthor')}">
+                <option value="">${i18n.t('reportAllAuthors')}</option>${authorOptionsHtml}
+            </select>
+            <label>${i18n.t('reportDateFrom')} <input type="date" id="psmh-filter-from"></label>
+            <label>${i18n.t('reportDateTo')} <input type="date" id="psmh-filter-to"></label>
+            ${changes ? `<label><input type="checkbox" id="psmh-filter-new"> ${i18n.t('reportOnlyNew')}</label>` : ''}
+            <a href="#" id="psmh-filter-reset">${i18n.t('reportReset')}</a>
         </div>
         <div class="timeline-header">
-            <h2>Timeline / ${timelineItems.length} items (${processedNotes.length} Notes, ${processedEmails.length} Emails)</h2>
-            <a href="#" id="toggle-all-timeline">Collapse All</a>
+            <h2 id="psmh-timeline-count" data-total="${timelineItems.length}" data-notes="${processedNotes.length}" data-emails="${processedEmails.length}">${i18n.t('reportTimelineCount', [timelineItems.length, processedNotes.length, processedEmails.length])}</h2>
+            <a href="#" id="toggle-all-timeline">${i18n.t('reportCollapseAll')}</a>
         </div>
         ${timelineHtml}
+        <script type="application/json" id="psmh-markdown-source">${toScriptJson(markdownSource)}</script>
+        <script type="application/json" id="psmh-snapshot">${toScriptJson(snapshot)}</script>
+        <script type="application/json" id="psmh-messages">${toScriptJson(scriptMessages)}</script>
         <script>
             document.addEventListener('DOMContentLoaded', () => {
+                const messages = JSON.parse(document.getElementById('psmh-messages').textContent);
+                const message = (key, values) => (values || []).reduce((text, value, index) => text.split('$' + (index + 1)).join(value), messages[key]);
+
                 const headers = document.querySelectorAll('.item-header');
                 headers.forEach(header => {
                     header.addEventListener('click', () => header.closest('.timeline-item').classList.toggle('collapsed'));
@@ -693,16 +1921,224 @@ function buildFullViewHtml(caseDetails, timelineItems = [], workOrdersData = {co
                         if (!items.length) return;
                         const shouldCollapse = !items[0].classList.contains('collapsed');
                         items.forEach(item => item.classList.toggle('collapsed', shouldCollapse));
-                        e.target.textContent = shouldCollapse ? 'Expand All' : 'Collapse All';
+                        e.target.textContent = message(shouldCollapse ? 'reportExpandAll' : 'reportCollapseAll');
+                    });
+                }
+
+                // --- Referenced cases: in the report page, the extension finds the case and opens it ---
+                // Outside of it (a saved document), the link opens the case lookup report.
+                document.querySelectorAll('a[data-case-number]').forEach(link => {
+                    link.addEventListener('click', (e) => {
+                        if (window.top === window) return;
+                        e.preventDefault();
+                        window.top.postMessage({ action: 'openReferencedCase', caseNumber: link.dataset.caseNumber }, '*');
+                    });
+                });
+
+                // --- Work Orders table: sort on header click, filter on any cell ---
+                const woTable = document.getElementById('psmh-wo-table');
+                if (woTable) {
+                    const woBody = woTable.tBodies[0];
+                    const woHeaders = Array.from(woTable.querySelectorAll('th[data-column]'));
+                    woHeaders.forEach(th => {
+                        th.addEventListener('click', () => {
+                            const column = Number(th.dataset.column);
+                            const ascending = th.dataset.order !== 'asc';
+                            woHeaders.forEach(other => other.removeAttribute('data-order'));
+                            th.dataset.order = ascending ? 'asc' : 'desc';
+                            Array.from(woBody.rows)
+                                .sort((a, b) => {
+                                    const result = a.cells[column].dataset.sort.localeCompare(b.cells[column].dataset.sort, undefined, { numeric: true, sensitivity: 'base' });
+                                    return ascending ? result : -result;
+                                })
+                                .forEach(row => woBody.appendChild(row));
+                        });
+                    });
+                    const woFilter = document.getElementById('psmh-wo-filter');
+                    woFilter.addEventListener('input', () => {
+                        const query = woFilter.value.trim().toLowerCase();
+                        Array.from(woBody.rows).forEach(row => { row.hidden = Boolean(query) && !row.textContent.toLowerCase().includes(query); });
                     });
                 }
 
+                // --- Timeline filters ---
+                const timelineItems = Array.from(document.querySelectorAll('.timeline-item'));
+                const timelineCount = document.getElementById('psmh-timeline-count');
+                const filterInputs = {
+                    type: document.getElementById('psmh-filter-type'),
+                    visibility: document.getElementById('psmh-filter-visibility'),
+                    author: document.getElementById('psmh-filter-author'),
+                    from: document.getElementById('psmh-filter-from'),
+                    to: document.getElementById('psmh-filter-to')
+                };
+                // Some filters are not rendered in every report variant.
+                Object.keys(filterInputs).forEach(key => { if (!filterInputs[key]) delete filterInputs[key]; });
+                const onlyNewCheckbox = document.getElementById('psmh-filter-new');
+
+                const updateTimelineCount = (filterActive) => {
+                    const { total, notes, emails } = timelineCount.dataset;
+                    if (!filterActive) {
+                        timelineCount.textContent = message('reportTimelineCount', [total, notes, emails]);
+                        return;
+                    }
+                    const visible = timelineItems.filter(item => !item.classList.contains('filtered-out'));
+                    const visibleNotes = visible.filter(item => item.dataset.type === 'note').length;
+                    const visibleEmails = visible.filter(item => item.dataset.type === 'email').length;
+                    timelineCount.textContent = message('reportTimelineCountFiltered', [visible.length, total, visibleNotes, visibleEmails]);
+                };
+
+                const applyFilters = () => {
+                    const type = filterInputs.type.value;
+                    const visibility = filterInputs.visibility ? filterInputs.visibility.value : '';
+                    const author = filterInputs.author.value;
+                    // Days are compared as displayed (YYYY-MM-DD in the report time zone), not in the browser's time zone
+                    const from = filterInputs.from.value;
+                    const to = filterInputs.to.value;
+                    const onlyNew = Boolean(onlyNewCheckbox && onlyNewCheckbox.checked);
+                    const filterActive = Boolean(type || visibility || author || from || to || onlyNew);
+
+                    timelineItems.forEach(item => {
+                        const matches = (!type || item.dataset.type === type)
+                            && (!visibility || item.dataset.visibility === visibility)
+                            && (!author || item.dataset.author === author)
+                            && (!from || item.dataset.day >= from)
+                            && (!to || item.dataset.day <= to)
+                            && (!onlyNew || item.dataset.change !== '');
+                        item.classList.toggle('filtered-out', !matches);
+                    });
+                    document.querySelectorAll('.wo-thread').forEach(thread => {
+                        thread.classList.toggle('filtered-out', !thread.querySelector('.timeline-item:not(.filtered-out)'));
+                    });
+                    updateTimelineCount(filterActive);
+                    runSearch();
+                };
+
+                Object.values(filterInputs).forEach(input => input.addEventListener('change', applyFilters));
+                if (onlyNewCheckbox) onlyNewCheckbox.addEventListener('change', applyFilters);
+                document.getElementById('psmh-filter-reset').addEventListener('click', (e) => {
+                    e.preventDefault();
+                    Object.values(filterInputs).forEach(input => { input.value = ''; });
+                    if (onlyNewCheckbox) onlyNewCheckbox.checked = false;
+                    searchInput.value = '';
+                    applyFilters();
+                });
+
+                // --- Timeline search ---
+                const searchInput = document.getElementById('psmh-search');
+                const searchCount = document.getElementById('psmh-search-count');
+                let searchHits = [];
+                let currentHitIndex = -1;
+                let searchDebounceTimer = null;
+
+                const clearHighlights = () => {
+                    document.querySelectorAll('mark.psmh-hit').forEach(mark => {
+                        const parent = mark.parentNode;
+                        parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                        parent.normalize();
+                    });
+                    searchHits = [];
+                    currentHitIndex = -1;
+                };
+
+                const highlightMatches = (root, query) => {
+                    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+                        acceptNode: node => {
+                            if (/^(SCRIPT|STYLE)$/.test(node.parentNode.nodeName)) return NodeFilter.FILTER_REJECT;
+                            return node.nodeValue.toLowerCase().includes(query) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+                        }
+                    });
+                    const textNodes = [];
+                    while (walker.nextNode()) textNodes.push(walker.currentNode);
+                    textNodes.forEach(textNode => {
+                        let remaining = textNode;
+                        let index;
+                        while ((index = remaining.nodeValue.toLowerCase().indexOf(query)) !== -1) {
+                            const matchNode = remaining.splitText(index);
+                            remaining = matchNode.splitText(query.length);
+                            const mark = document.createElement('mark');
+                            mark.className = 'psmh-hit';
+                            matchNode.parentNode.replaceChild(mark, matchNode);
+                            mark.appendChild(matchNode);
+                            searchHits.push(mark);
+                        }
+                    });
+                };
+
+                const goToHit = (index) => {
+                    if (!searchHits.length) return;
+                    if (currentHitIndex >= 0) searchHits[currentHitIndex].classList.remove('psmh-hit-current');
+                    currentHitIndex = (index + searchHits.length) % searchHits.length;
+                    const hit = searchHits[currentHitIndex];
+                    hit.classList.add('psmh-hit-current');
+                    hit.closest('.timeline-item')?.classList.remove('collapsed');
+                    const quotedText = hit.closest('details.quoted-text');
+                    if (quotedText) quotedText.open = true;
+                    hit.scrollIntoView({ block: 'center' });
+                    searchCount.textContent = (currentHitIndex + 1) + ' / ' + searchHits.length;
+                };
+
+                const runSearch = () => {
+                    clearHighlights();
+                    const query = searchInput.value.trim().toLowerCase();
+                    if (!query) {
+                        searchCount.textContent = '';
+                        return;
+                    }
+                    timelineItems
+                        .filter(item => !item.classList.contains('filtered-out'))
+                        .forEach(item => highlightMatches(item, query));
+                    if (searchHits.length) {
+                        goToHit(0);
+                    } else {
+                        searchCount.textContent = message('reportNoResults');
+                    }
+                };
+
+                searchInput.addEventListener('input', () => {
+                    clearTimeout(searchDebounceTimer);
+                    searchDebounceTimer = setTimeout(runSearch, 250);
+                });
+                searchInput.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        goToHit(currentHitIndex + (e.shiftKey ? -1 : 1));
+                    }
+                });
+                document.getElementById('psmh-search-next').addEventListener('click', () => goToHit(currentHitIndex + 1));
+                document.getElementById('psmh-search-prev').addEventListener('click', () => goToHit(currentHitIndex - 1));
+
                 const savePdfButton = document.getElementById('psmh-save-pdf');
                 if (savePdfButton) {
                     savePdfButton.addEventListener('click', () => {
                         window.print();
                     });
                 }
+
+                const downloadText = (text, fileName, mimeType) => {
+                    const link = document.createElement('a');
+                    link.href = URL.createObjectURL(new Blob([text], { type: mimeType }));
+                    link.download = fileName;
+                    document.body.appendChild(link);
+                    link.click();
+                    link.remove();
+                    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+                };
+
+                const saveMarkdownButton = document.getElementById('psmh-save-md');
+                if (saveMarkdownButton) {
+                    saveMarkdownButton.addEventListener('click', () => {
+                        const markdown = JSON.parse(document.getElementById('psmh-markdown-source').textContent);
+                        downloadText(markdown, saveMarkdownButton.dataset.filename, 'text/markdown;charset=utf-8');
+                    });
+                }
+
+                const saveJsonButton = document.getElementById('psmh-save-json');
+                if (saveJsonButton) {
+                    saveJsonButton.addEventListener('click', () => {
+                        const snapshot = JSON.parse(document.getElementById('psmh-snapshot').textContent);
+                        downloadText(JSON.stringify(snapshot, null, 2), saveJsonButton.dataset.filename, 'application/json;charset=utf-8');
+                    });
+                }
             });
         </script>
     </body>
@@ -719,6 +2155,15 @@ function escapeHtml(unsafe) {
     .replace(/"/g, "&quot;").replace(/'/g, "&#039;");
 }
 
+/**
+ * Serializes a value as JSON that is safe to embed inside a <script> element.
+ * @param {*} value - Any JSON-serializable value.
+ * @returns {string}
+ */
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
 
 logger.info("Background: Service worker listeners attached and ready.");
 
@@ -0,0 +1,165 @@
+// case_snapshot.js - Versioned, machine-readable snapshot of a generated Full View.
+//
+// A snapshot is a plain JSON document:
+// {
+//   "format": "psmh-case-snapshot",
+//   "version": 2,
+//   "generatedAt": "2025-08-07T09:30:00.000Z",       // ISO 8601, UTC
+//   "extensionVersion": "0.2",
+//   "caseDetails": {
+//     "objectType": "Case" | "WorkOrder", "recordNumber", "subject", "status", "owner",
+//     "creatorName", "accountName", "createdDateStr", "description" (HTML), "caseUrl",
+//     "attachments": [Attachment]                    // The Case's Files related list
+//   },
+//   "workOrders": { "count": 2, "columns": [...], "rows": [...] },   // See work_orders.js
+//   "timeline": [
+//     {
+//       "type": "Note" | "Email",
+//       "title", "author", "content" (HTML),
+//       "quotedContent": string | null,              // Emails only: quoted history, signature, disclaimers (HTML)
+//       "to": string | null,                         // Emails only
+//       "isPublic": true | false | null,             // Notes only, null for Emails
+//       "date": "2025-08-01T14:05:00.000Z" | null,   // The item's dateObject, serialized
+//       "url": "https://.../lightning/r/...",
+//       "attachments": [Attachment],
+//       "workOrder": string | null,                  // Work Order number for items collected in deep mode, null for the Case's own
+//       "fetchError": string | null                  // Why the item could not be read (its other fields are placeholders), null if it was
+//     }
+//   ]
+// }
+// where Attachment is { "name", "size": string | null, "type": string | null, "url" (download), "viewUrl" }.
+// Loading a snapshot (parse) turns "date" back into the `dateObject` used by the report builders.
+// Version 1 stored the work orders as a prebuilt table ("workOrders": { "count", "html" }); parse() converts it.
+// Relies on work_orders.js (and html_parser.js) being loaded first.
+
+if (typeof globalThis.psmhSnapshot === 'undefined') {
+    const SNAPSHOT_FORMAT = 'psmh-case-snapshot';
+    const SNAPSHOT_VERSION = 2;
+
+    const CASE_DETAIL_FIELDS = ['objectType', 'recordNumber', 'subject', 'status', 'owner', 'creatorName',
+        'accountName', 'createdDateStr', 'description', 'caseUrl'];
+
+    const toStringOrNull = (value) => (value === null || typeof value === 'undefined' ? null : String(value));
+
+    const psmhSnapshot = {
+        FORMAT: SNAPSHOT_FORMAT,
+        VERSION: SNAPSHOT_VERSION,
+
+        /**
+         * Builds a snapshot from the in-memory data model used by the report builders.
+         * @param {object} caseDetails - The basic details scraped from the case page.
+         * @param {Array} timelineItems - The unified notes/emails.
+         * @param {object} workOrdersData - The scraped work orders (see work_orders.js).
+         * @param {Date} [generatedAt=new Date()] - When the data was collected.
+         * @returns {object} The JSON-serializable snapshot.
+         */
+        create(caseDetails, timelineItems = [], workOrdersData = { count: 0, columns: [], rows: [] }, generatedAt = new Date()) {
+            const details = {};
+            CASE_DETAIL_FIELDS.forEach(field => { details[field] = toStringOrNull(caseDetails?.[field]); });
+            details.attachments = this.copyAttachments(caseDetails?.attachments);
+
+            return {
+                format: SNAPSHOT_FORMAT,
+                version: SNAPSHOT_VERSION,
+                generatedAt: new Date(generatedAt).toISOString(),
+                extensionVersion: globalThis.chrome?.runtime?.getManifest?.().version ?? null,
+                caseDetails: details,
+                workOrders: globalThis.psmhWorkOrders.normalize(workOrdersData),
+                timeline: timelineItems.map(item => {
+                    const date = item.dateObject ? new Date(item.dateObject) : null;
+                    return {
+                        type: item.type,
+                        title: toStringOrNull(item.title),
+                        author: toStringOrNull(item.author),
+                        content: toStringOrNull(item.content),
+                        quotedContent: toStringOrNull(item.quotedContent),
+                        to: toStringOrNull(item.to),
+                        isPublic: typeof item.isPublic === 'boolean' ? item.isPublic : null,
+                        date: date && !isNaN(date.getTime()) ? date.toISOString() : null,
+                        url: toStringOrNull(item.url),
+                        attachments: this.copyAttachments(item.attachments),
+                        workOrder: toStringOrNull(item.workOrder),
+                        fetchError: toStringOrNull(item.fetchError)
+                    };
+                })
+            };
+        },
+
+        /**
+         * Validates a snapshot (object or JSON text) and converts it back to the report data model.
+         * @param {object|string} input - The snapshot.
+         * @returns {{caseDetails: object, timelineItems: Array, workOrdersData: object, generatedAt: Date}}
+         * @throws {Error} If the input is not a supported snapshot.
+         */
+        parse(input) {
+            let snapshot = input;
+            if (typeof input === 'string') {
+                try {
+                    snapshot = JSON.parse(input);
+                } catch (e) {
+                    throw new Error(`Snapshot is not valid JSON: ${e.message}`);
+                }
+            }
+
+            if (!snapshot || typeof snapshot !== 'object' || snapshot.format !== SNAPSHOT_FORMAT) {
+                throw new Error(`Not a PSM Helper case snapshot (expected format "${SNAPSHOT_FORMAT}").`);
+            }
+            if (!Number.isInteger(snapshot.version) || snapshot.version > SNAPSHOT_VERSION) {
+                throw new Error(`Unsupported snapshot version ${snapshot.version}. This extension reads up to version ${SNAPSHOT_VERSION}.`);
+            }
+            if (!snapshot.caseDetails || typeof snapshot.caseDetails !== 'object' || !Array.isArray(snapshot.timeline)) {
+                throw new Error('Snapshot is missing "caseDetails" or "timeline".');
+            }
+
+            const generatedAt = new Date(snapshot.generatedAt);
+            return {
+                caseDetails: { ...snapshot.caseDetails, attachments: this.copyAttachments(snapshot.caseDetails.attachments) },
+                workOrdersData: globalThis.psmhWorkOrders.normalize(snapshot.workOrders),
+                timelineItems: snapshot.timeline.map(item => ({
+                    type: item.type,
+                    title: item.title,
+                    author: item.author,
+                    content: item.content,
+                    quotedContent: item.quotedContent ?? null,
+                    to: item.to,
+                    isPublic: item.isPublic,
+                    dateObject: item.date ? new Date(item.date) : null,
+                    url: item.url,
+                    attachments: this.copyAttachments(item.attachments),
+                    workOrder: item.workOrder ?? null,
+                    fetchError: item.fetchError ?? null
+                })),
+                generatedAt: isNaN(generatedAt.getTime()) ? null : generatedAt
+            };
+        },
+
+        /**
+         * Normalizes a list of attachments to the documented shape.
+         * @param {Array|undefined} attachments
+         * @returns {Array|null} null when the list was never scraped.
+         */
+        copyAttachments(attachments) {
+            if (!Array.isArray(attachments)) return null;
+            return attachments.map(attachment => ({
+                name: toStringOrNull(attachment.name),
+                size: toStringOrNull(attachment.size),
+                type: toStringOrNull(attachment.type),
+                url: toStringOrNull(attachment.url),
+                viewUrl: toStringOrNull(attachment.viewUrl)
+            }));
+        },
+
+        /**
+         * Suggests a file name for a snapshot download.
+         * @param {object} caseDetails
+         * @param {string} extension - e.g. 'json' or 'md'.
+         * @returns {string}
+         */
+        fileName(caseDetails, extension) {
+            return `${caseDetails?.objectType || 'Case'}_${caseDetails?.recordNumber || 'report'}.${extension}`.replace(/[^\w.-]+/g, '_');
+        }
+    };
+
+    globalThis.psmhSnapshot = psmhSnapshot;
+}
+// End of file
@@ -64,32 +64,6 @@ function escapeHtml(unsafe) {
     .replace(/"/g, "&quot;").replace(/'/g, "&#039;");
 }
 
-function parseDateStringFromTable(dateString) {
-  if (!dateString) return null;
-  let match = dateString.match(/(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2})/);
-  if (match) {
-    try {
-      const day = parseInt(match[1]);
-      const month = parseInt(match[2]) - 1;
-      const year = parseInt(match[3]);
-      const hour = parseInt(match[4]);
-      const minute = parseInt(match[5]);
-      if (year > 1970 && month >= 0 && month < 12 && day >= 1 && day <= 31 && hour >= 0 && hour < 24 && minute >= 0 && minute < 60) {
-        const dateObject = new Date(year, month, day, hour, minute);
-        if (!isNaN(dateObject.getTime())) {
-            return dateObject;
-        }
-      }
-    } catch (e) {
-      psmhLogger.error(`CS Error creating Date from matched parts: "${dateString}"`, e);
-      return null;
-    }
-  }
-  psmhLogger.warn(`CS Could not parse date format: "${dateString}"`);
-  return null;
-}
-
-
 // --- Functions to Extract Salesforce Record Details ---
 function findSubjectInContainer(container) {
     if (!container) return 'N/A';
@@ -247,12 +221,101 @@ document.addEventListener('keydown', (event) => {
     }
 });
 
+/**
+ * Scrolls through the record page so Salesforce loads its lazy related lists (Notes, Emails...).
+ * Must run before scraping: the "View All" links only exist once the lists are rendered.
+ */
+async function preparePageForScan() {
+    // Scroll down to trigger lazy loading of related lists, then scroll specific lists into view.
+    psmhLogger.debug("Scrolling to bottom and top to trigger lazy loads.");
+    window.scrollTo(0, document.body.scrollHeight);
+    // Wait for content to load. Not for a repaint: a page of the minimized scraper window is hidden and never repaints.
+    await new Promise(r => setTimeout(r, 1000));
+    window.scrollTo(0, 0);
+    await new Promise(r => setTimeout(r, 200));
+
+    psmhLogger.debug("Scrolling related lists into view to ensure they are loaded.");
+    const notesList = await waitForElement('lst-related-list-view-manager:has(span[title="Notes"])');
+    if (notesList) {
+        notesList.scrollIntoView({ block: 'center' });
+        await new Promise(r => setTimeout(r, 500));
+    }
+
+    const emailsList = await waitForElement('.forceRelatedListPreviewAdvancedGrid:has(span[title="Emails"])');
+    if (emailsList) {
+        emailsList.scrollIntoView({ block: 'center' });
+        await new Promise(r => setTimeout(r, 500));
+    }
+
+    window.scrollTo({ top: 0, behavior: 'auto' }); // Reset view to the top
+}
+
+/**
+ * Builds the "View All" URL of a related list from the record page URL. For the pages scraped in the minimized
+ * scraper window: Salesforce may not render their related lists, so their "View All" links can be missing.
+ * @param {string} relatedListName - The related list in the URL, e.g. 'PSM_Notes__r'.
+ * @returns {string|null} null if the page is not a Case or Work Order record.
+ */
+function relatedListViewAllUrl(relatedListName) {
+    const match = window.location.href.match(/^(https:\/\/[^/]+\/lightning\/r\/(?:Case|WorkOrder)\/[a-zA-Z0-9]{15,18})(\/|$)/);
+    return match ? `${match[1]}/related/${relatedListName}/view` : null;
+}
+
+/**
+ * Renders the progress of a Full View generation in the panel: a bar, one line per phase and the time left.
+ * @param {HTMLElement} container - The panel's progress component.
+ * @param {object} progress - A state of the progress tracker (see generation_progress.js).
+ */
+function renderGenerationProgress(container, progress) {
+    const phaseLabelKeys = {
+        page: 'progressPhasePage', notesList: 'progressPhaseNotesList', emailsList: 'progressPhaseEmailsList',
+        workOrders: 'progressPhaseWorkOrders', files: 'progressPhaseFiles', items: 'progressPhaseItems', assembly: 'progressPhaseAssembly'
+    };
+    container.textContent = '';
+    container.hidden = false;
+
+    const bar = document.createElement('div');
+    bar.className = 'psmh-progress-bar';
+    const fill = document.createElement('div');
+    fill.className = 'psmh-progress-fill';
+    fill.style.width = `${progress.percent}%`;
+    bar.appendChild(fill);
+
+    const summary = document.createElement('div');
+    summary.className = 'psmh-progress-summary';
+    const summaryParts = [`${progress.percent}%`];
+    if (progress.failed > 0) summaryParts.push(psmhI18n.t('progressFailed', progress.failed));
+    if (progress.etaMs !== null) {
+        const seconds = Math.ceil(progress.etaMs / 1000);
+        summaryParts.push(seconds < 90 ? psmhI18n.t('progressEtaSeconds', seconds) : psmhI18n.t('progressEtaMinutes', Math.round(seconds / 60)));
+    }
+    summary.textContent = summaryParts.join(' · ');
+
+    const phaseList = document.createElement('ul');
+    phaseList.className = 'psmh-progress-phases';
+    progress.phases.forEach(phase => {
+        const entry = document.createElement('li');
+        entry.className = `psmh-progress-${phase.status}`;
+        let detail = '';
+        if (phase.total !== null) detail = `${phase.done}/${phase.total}`;
+        else if (phase.count !== null) detail = psmhI18n.t('progressFound', phase.count);
+        if (phase.failed > 0) detail += ` (${psmhI18n.t('progressFailed', phase.failed)})`;
+        entry.textContent = psmhI18n.t(phaseLabelKeys[phase.id]) + (detail ? `: ${detail}` : '');
+        phaseList.appendChild(entry);
+    });
+
+    container.append(bar, summary, phaseList);
+}
+
 // --- Message Listener ---
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     psmhLogger.debug(`Content Script: Received message action="${message.action}"`);
     
     if (message.action === "scrapeInitialPage") {
         (async () => {
+            // Pages opened by the background script (batch generation) have not been scrolled by the panel
+            if (message.prepare) await preparePageForScan();
+
             // Use a more specific selector to find the active tab only within the main tab container
             const activeTabSelector = 'div.tabContainer li.slds-is-active[role="presentation"] a[role="tab"]';
             psmhLogger.info(`scrapeInitialPage: Searching for active tab with specific selector: "${activeTabSelector}"`);
@@ -300,6 +363,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 if (notesViewAllLink) {
                     notesViewAllUrl = new URL(notesViewAllLink.getAttribute('href'), window.location.origin).href;
                     psmhLogger.info(`NOTES_LOG: Found Notes "View All" URL: ${notesViewAllUrl}`);
+                } else if (message.prepare && !notesHeader) {
+                    notesViewAllUrl = relatedListViewAllUrl('PSM_Notes__r');
+                    psmhLogger.info(`NOTES_LOG: Notes list not rendered, using the "View All" URL of the record: ${notesViewAllUrl}`);
                 } else {
                     psmhLogger.warn("NOTES_LOG: Notes 'View All' link NOT found.");
                 }
@@ -316,6 +382,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 if (emailsViewAllLink) {
                     emailsViewAllUrl = new URL(emailsViewAllLink.getAttribute('href'), window.location.origin).href;
                     psmhLogger.info(`scrapeInitialPage: Emails "View All" URL found: ${emailsViewAllUrl}`);
+                } else if (message.prepare && !emailsHeader) {
+                    emailsViewAllUrl = relatedListViewAllUrl('EmailMessages');
+                    psmhLogger.info(`EMAILS_LOG: Emails list not rendered, using the "View All" URL of the record: ${emailsViewAllUrl}`);
                 } else {
                     psmhLogger.warn("EMAILS_LOG: Emails 'View All' link NOT found.");
                 }
@@ -336,16 +405,58 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                 }
             }
 
-            sendResponse({ caseDetails, notesViewAllUrl, emailsViewAllUrl, workOrdersViewAllUrl });
+            // Find the "View All" link for the Case's Files
+            let filesViewAllUrl = null;
+            const filesHeader = activeTabPanel.querySelector('article[aria-label="Files"] h2.slds-card__header-title');
+            if (filesHeader && filesHeader.textContent.includes('(0)')) {
+                psmhLogger.info("FILES_LOG: Found header with (0), skipping search.");
+            } else {
+                const filesViewAllLink = activeTabPanel.querySelector('a[href*="/related/AttachedContentDocuments/view"], a[href*="/related/CombinedAttachments/view"]');
+                if (filesViewAllLink) {
+                    filesViewAllUrl = new URL(filesViewAllLink.getAttribute('href'), window.location.origin).href;
+                    psmhLogger.info("FILES_LOG: Found 'View All' URL:", filesViewAllUrl);
+                } else {
+                    psmhLogger.warn("FILES_LOG: 'View All' link NOT found.");
+                }
+            }
+
+            sendResponse({ caseDetails, notesViewAllUrl, emailsViewAllUrl, workOrdersViewAllUrl, filesViewAllUrl });
+        })();
+        return true; // Keep the message channel open for the async response
+    }
+
+    // Reads the record through the Salesforce REST API (salesforce_api.js is injected by the background script)
+    if (message.action === "fetchRecordViaApi") {
+        (async () => {
+            const match = window.location.pathname.match(/\/lightning\/r\/(Case|WorkOrder)\/(\w+)/);
+            if (!match || typeof psmhSalesforceApi === 'undefined') {
+                sendResponse({ error: "This page is not a Case or Work Order record page." });
+                return;
+            }
+            try {
+                const data = await psmhSalesforceApi.fetchRecordData({
+                    baseUrl: window.location.origin,
+                    objectType: match[1],
+                    recordId: match[2],
+                    includeWorkOrderItems: message.includeWorkOrderItems === true
+                });
+                psmhLogger.info(`fetchRecordViaApi: ${data.timelineItems.length} items read through the API.`);
+                sendResponse({ data, caseUrl: window.location.href });
+            } catch (error) {
+                psmhLogger.warn(`fetchRecordViaApi: ${error.message}`);
+                sendResponse({ error: error.message, status: error.status || null });
+            }
         })();
         return true; // Keep the message channel open for the async response
     }
 
     if (message.action === "logUrlProcessing") {
         psmhLogger.info(`Progress: Fetching ${message.itemType} ${message.index}/${message.total}`);
+        // During a Full View generation the progress component shows the counts (see "generationProgress").
         const statusDiv = document.getElementById('psmh-status');
-        if (statusDiv) {
-            statusDiv.textContent = `Fetching ${message.itemType} ${message.index}/${message.total}...`;
+        const progressDiv = document.getElementById('psmh-progress');
+        if (statusDiv && (!progressDiv || progressDiv.hidden)) {
+            statusDiv.textContent = psmhI18n.t('statusFetchingItem', [message.index, message.total]);
             statusDiv.style.color = 'var(--psmh-status-warn)';
         }
         return false;
@@ -357,6 +468,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return false; // No response needed
     }
 
+    // Per-case outcome of a batch generation, shown in the panel's Batch modal
+    if (message.action === "batchProgress") {
+        const resultsList = document.getElementById('psmh-batch-results');
+        if (resultsList) {
+            resultsList.textContent = '';
+            const labelKeys = { pending: 'batchWaiting', running: 'batchRunning', success: 'batchOk', error: 'batchFailed' };
+            message.results.forEach(result => {
+                const entry = document.createElement('li');
+                entry.className = `psmh-batch-${result.status}`;
+                const label = labelKeys[result.status] ? psmhI18n.t(labelKeys[result.status]) : result.status;
+                entry.textContent = `${result.caseNumber}: ${label}${result.message ? ` (${result.message})` : ''}`;
+                resultsList.appendChild(entry);
+            });
+        }
+        return false;
+    }
+
+    // Phases, counts, failures and time left of a Full View generation (see generation_progress.js)
+    if (message.action === "generationProgress") {
+        const progressDiv = document.getElementById('psmh-progress');
+        if (progressDiv) renderGenerationProgress(progressDiv, message.progress);
+        return false;
+    }
+
     if (message.action === "updateStatus") {
         const statusDiv = document.getElementById('psmh-status');
         if (statusDiv) {
@@ -0,0 +1,245 @@
+// date_format.js - Reads the dates displayed by Salesforce and formats dates for display.
+// Salesforce shows dates in the locale and time zone of the user's profile: "25/12/2024 14:30" (en_GB, fr),
+// "12/25/2024 2:30 PM" (en_US), "2024-12-25 14:30" (ISO)... The date order is chosen in the panel
+// preferences or detected from the dates of a case. Times are read in the time zone of the Salesforce
+// profile, which may not be the browser's. Every date of the report and the panel is displayed with format().
+//
+// Settings, stored in chrome.storage.sync under "dateSettings" (see normalizeSettings()):
+// {
+//   "dateOrder": "auto" | "DMY" | "MDY" | "YMD",   // How Salesforce writes dates
+//   "timeZone": "" | "Europe/Paris" | ...,          // Time zone of the Salesforce profile, "" for the browser's
+//   "displayFormat": "DMY" | "MDY" | "ISO"          // How dates are displayed
+// }
+
+if (typeof globalThis.psmhDates === 'undefined') {
+    const DEFAULT_SETTINGS = {
+        dateOrder: 'auto',
+        timeZone: '',
+        displayFormat: 'DMY'
+    };
+
+    // The order assumed when it can't be detected: the format of the PSM team's profiles.
+    const FALLBACK_DATE_ORDER = 'DMY';
+
+    // Day, month and year in any order, optionally followed by a time ("14:30", "2:30 PM", "14:30:05").
+    const DATE_TIME_REGEX = /(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:,?\s*T?\s*(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\s*([ap])\.?\s?m\.?(?![a-z]))?)?/i;
+    // Complete ISO 8601 timestamps carry their own time zone.
+    const ISO_TIMESTAMP_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+    /**
+     * Tells whether a time zone name is known to the browser.
+     */
+    function isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * The calendar fields of an instant in a time zone ('' for the browser's).
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+     */
+    function zonedFields(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(date);
+        const get = (type) => Number(parts.find(part => part.type === type).value);
+        return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+    }
+
+    /**
+     * Offset (ms) of a time zone from UTC at a given instant.
+     */
+    function zoneOffset(date, timeZone) {
+        const fields = zonedFields(date, timeZone);
+        const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+        return asUtc - (date.getTime() - date.getMilliseconds());
+    }
+
+    /**
+     * The instant of a wall-clock time in a time zone. The offset is checked again at the result,
+     * so times next to a daylight saving change get the offset in force at that time.
+     */
+    function zonedTimeToDate(fields, timeZone) {
+        const wallTime = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+        const firstGuess = wallTime - zoneOffset(new Date(wallTime), timeZone);
+        return new Date(wallTime - zoneOffset(new Date(firstGuess), timeZone));
+    }
+
+    const pad = (value) => String(value).padStart(2, '0');
+
+    const psmhDates = {
+        DEFAULT_SETTINGS,
+        FALLBACK_DATE_ORDER,
+
+        /**
+         * Completes stored settings with the defaults and drops invalid values.
+         * @param {object} [settings]
+         * @returns {{dateOrder: string, timeZone: string, displayFormat: string}}
+         */
+        normalizeSettings(settings) {
+            const merged = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+            return {
+                dateOrder: ['auto', 'DMY', 'MDY', 'YMD'].includes(merged.dateOrder) ? merged.dateOrder : DEFAULT_SETTINGS.dateOrder,
+                timeZone: merged.timeZone && isValidTimeZone(merged.timeZone) ? merged.timeZone : '',
+                displayFormat: ['DMY', 'MDY', 'ISO'].includes(merged.displayFormat) ? merged.displayFormat : DEFAULT_SETTINGS.displayFormat
+            };
+        },
+
+        /**
+         * Replaces an 'auto' date order with the detected one.
+         * @param {object} settings - Normalized settings.
+         * @param {string|null} detectedOrder - From detectDateOrder(), now or on a previous case.
+         * @returns {object} Settings with a definite date order (FALLBACK_DATE_ORDER if nothing was detected).
+         */
+        resolveSettings(settings, detectedOrder) {
+            if (settings.dateOrder !== 'auto') return settings;
+            return { ...settings, dateOrder: detectedOrder || FALLBACK_DATE_ORDER };
+        },
+
+        /**
+         * Detects the date order from dates displayed by Salesforce. A day above 12 tells the order;
+         * dates where day and month could be swapped don't.
+         * @param {Array<string>} dateStrings
+         * @returns {'DMY'|'MDY'|'YMD'|null} null if the dates are ambiguous or conflicting.
+         */
+        detectDateOrder(dateStrings) {
+            const votes = new Set();
+            (dateStrings || []).forEach(dateString => {
+                const match = String(dateString || '').match(DATE_TIME_REGEX);
+                if (!match) return;
+                if (match[1].length === 4) votes.add('YMD');
+                else if (Number(match[1]) > 12 && Number(match[2]) <= 12) votes.add('DMY');
+                else if (Number(match[2]) > 12 && Number(match[1]) <= 12) votes.add('MDY');
+            });
+            return votes.size === 1 ? [...votes][0] : null;
+        },
+
+        /**
+         * Reads a date displayed by Salesforce.
+         * @param {string} dateString - e.g. "25/12/2024 14:30", "12/25/2024 2:30 PM", "2024-12-25", or an ISO 8601 timestamp.
+         * @param {object} [settings] - Normalized settings. An 'auto' date order reads as FALLBACK_DATE_ORDER:
+         *   resolve it with detectDateOrder() first.
+         * @returns {Date|null} null if the text is not a valid date.
+         */
+        parse(dateString, settings = DEFAULT_SETTINGS) {
+            if (!dateString) return null;
+            const text = String(dateString).trim();
+            if (ISO_TIMESTAMP_REGEX.test(text)) return new Date(text);
+
+            const match = text.match(DATE_TIME_REGEX);
+            if (!match) {
+                // Written-out dates ("Dec 25, 2024 2:30 PM"): read by the browser, in its own time zone.
+                const parsed = Date.parse(text);
+                return isNaN(parsed) ? null : new Date(parsed);
+            }
+
+            const [, first, second, third, hourText, minuteText, secondText, meridiem] = match;
+            const order = first.length === 4 ? 'YMD' : (settings.dateOrder === 'auto' ? FALLBACK_DATE_ORDER : settings.dateOrder);
+            const numbers = { DMY: [third, second, first], MDY: [third, first, second], YMD: [first, second, third] }[order].map(Number);
+            const fields = {
+                year: numbers[0] < 100 ? 2000 + numbers[0] : numbers[0],
+                month: numbers[1],
+                day: numbers[2],
+                hour: Number(hourText || 0),
+                minute: Number(minuteText || 0),
+                second: Number(secondText || 0)
+            };
+            if (meridiem) {
+                if (fields.hour < 1 || fields.hour > 12) return null;
+                fields.hour = (fields.hour % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+            }
+            if (fields.year <= 1970 || fields.month < 1 || fields.month > 12 || fields.day < 1 || fields.day > 31
+                || fields.hour > 23 || fields.minute > 59 || fields.second > 59) {
+                return null;
+            }
+
+            const date = settings.timeZone
+                ? zonedTimeToDate(fields, settings.timeZone)
+                : new Date(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+            // 31/02 would roll over to March: reject it.
+            const check = zonedFields(date, settings.timeZone);
+            return check.day === fields.day && check.month === fields.month ? date : null;
+        },
+
+        /**
+         * Formats a date for display, in the Salesforce time zone.
+         * @param {Date|string|null} date
+         * @param {object} [settings] - Normalized settings.
+         * @param {object} [options]
+         * @param {boolean} [options.seconds=false]
+         * @param {boolean} [options.dateOnly=false]
+         * @returns {string} e.g. "25/12/2024 14:30", "12/25/2024 2:30 PM" or "2024-12-25 14:30"; "N/A" without a valid date.
+         */
+        format(date, settings = DEFAULT_SETTINGS, { seconds = false, dateOnly = false } = {}) {
+            const value = date ? new Date(date) : null;
+            if (!value || isNaN(value.getTime())) return 'N/A';
+            const fields = zonedFields(value, settings.timeZone);
+
+            const datePart = {
+                DMY: `${pad(fields.day)}/${pad(fields.month)}/${fields.year}`,
+                MDY: `${pad(fields.month)}/${pad(fields.day)}/${fields.year}`,
+                ISO: `${fields.year}-${pad(fields.month)}-${pad(fields.day)}`
+            }[settings.displayFormat] || `${pad(fields.day)}/${pad(fields.month)}/${fields.year}`;
+            if (dateOnly) return datePart;
+
+            const secondsPart = seconds ? `:${pad(fields.second)}` : '';
+            if (settings.displayFormat === 'MDY') {
+                const hour12 = fields.hour % 12 || 12;
+                return `${datePart} ${hour12}:${pad(fields.minute)}${secondsPart} ${fields.hour < 12 ? 'AM' : 'PM'}`;
+            }
+            return `${datePart} ${pad(fields.hour)}:${pad(fields.minute)}${secondsPart}`;
+        },
+
+        /**
+         * Displays a date read from Salesforce in the display format.
+         * @param {string} dateString
+         * @param {object} [settings] - Normalized settings, with a definite date order.
+         * @returns {string} The formatted date, or the text as is if it is not a date.
+         */
+        reformat(dateString, settings = DEFAULT_SETTINGS) {
+            const date = this.parse(dateString, settings);
+            return date ? this.format(date, settings) : dateString;
+        },
+
+        /**
+         * Names the time zone dates are displayed in, with its current offset from UTC.
+         * @param {object} [settings] - Normalized settings.
+         * @param {Date} [at=new Date()] - The offset depends on daylight saving time.
+         * @returns {string} e.g. "Europe/Paris (UTC+01:00)".
+         */
+        timeZoneLabel(settings = DEFAULT_SETTINGS, at = new Date()) {
+            const name = settings.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const offsetMinutes = Math.round(zoneOffset(at, settings.timeZone) / 60000);
+            const sign = offsetMinutes < 0 ? '-' : '+';
+            return `${name} (UTC${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)})`;
+        },
+
+        /**
+         * Lists the time zones the browser knows, for the preferences.
+         * @returns {Array<string>}
+         */
+        timeZones() {
+            return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        },
+
+        /**
+         * Orders timeline items oldest first. Items without a valid date (the list date could not be read,
+         * or the item could not be) come last, in their original order.
+         * @param {Array<{dateObject: Date|string|null}>} items
+         * @returns {Array} A sorted copy.
+         */
+        sortByDate(items) {
+            const timeOf = item => (item.dateObject ? new Date(item.dateObject).getTime() : NaN);
+            const dated = items.filter(item => !isNaN(timeOf(item))).sort((a, b) => timeOf(a) - timeOf(b));
+            return [...dated, ...items.filter(item => isNaN(timeOf(item)))];
+        }
+    };
+
+    globalThis.psmhDates = psmhDates;
+}
+// End of file
@@ -0,0 +1,149 @@
+// mock_salesforce_api.js - A local stand-in for the Salesforce REST API used by salesforce_api.js:
+// the describe calls and the SOQL queries it sends, answered from the sample case below.
+//
+//   node dev/mock_salesforce_api.js                  Listens on http://localhost:8787
+//   PORT=9000 node dev/mock_salesforce_api.js
+//   MOCK_PAGE_SIZE=2 node dev/mock_salesforce_api.js  Splits query results in pages of 2 records (nextRecordsUrl)
+//   MOCK_UNAUTHORIZED=1 node dev/mock_salesforce_api.js  Answers 401 to everything, like an API without session
+//
+// Then, in Node.js 18 or later:
+//   require('./salesforce_api.js');
+//   psmhSalesforceApi.fetchRecordData({ baseUrl: 'http://localhost:8787', recordId: '500000000000001AAA', includeWorkOrderItems: true })
+//       .then(data => console.log(JSON.stringify(data, null, 2)));
+// Only the queries salesforce_api.js sends are understood: "SELECT ... FROM Object WHERE Field = 'id'" or "IN ('id', ...)".
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const PAGE_SIZE = Number(process.env.MOCK_PAGE_SIZE) || 2000;
+const UNAUTHORIZED = process.env.MOCK_UNAUTHORIZED === '1';
+const API_PREFIX = /^\/services\/data\/v\d+\.\d+/;
+
+const CASE_ID = '500000000000001AAA';
+const WORK_ORDER_ID = '0WO000000000001AAA';
+
+const DESCRIPTIONS = {
+    Case: {
+        name: 'Case',
+        fields: [{ name: 'CaseNumber', label: 'Case Number' }, { name: 'Subject', label: 'Subject' }, { name: 'Status', label: 'Status' }],
+        childRelationships: [
+            { relationshipName: 'PSM_Notes__r', childSObject: 'PSM_Note__c', field: 'Case__c' },
+            { relationshipName: 'EmailMessages', childSObject: 'EmailMessage', field: 'ParentId' }
+        ]
+    },
+    WorkOrder: {
+        name: 'WorkOrder',
+        fields: [{ name: 'WorkOrderNumber', label: 'Work Order Number' }, { name: 'Subject', label: 'Subject' }, { name: 'Status', label: 'Status' }],
+        childRelationships: [{ relationshipName: 'PSM_Notes__r', childSObject: 'PSM_Note__c', field: 'Work_Order__c' }]
+    },
+    PSM_Note__c: {
+        name: 'PSM_Note__c',
+        fields: [
+            { name: 'Name', label: 'PSM Note Name' },
+            { name: 'Description__c', label: 'Description', type: 'textarea', extraTypeInfo: 'richtextarea' },
+            { name: 'Visible_to_Customer__c', label: 'Visible to Customer', type: 'boolean' }
+        ],
+        childRelationships: []
+    }
+};
+
+const RECORDS = {
+    Case: [{
+        Id: CASE_ID, CaseNumber: '00071234', Subject: 'Login fails after the upgrade', Status: 'In Progress',
+        Owner: { Name: 'Jane Support' }, CreatedBy: { Name: 'John Customer' }, CreatedDate: '2024-12-20T08:15:00.000+0000',
+        Description: 'Since the upgrade, users get an error at login.\nSee case 00070001.', Account: { Name: 'ACME Corp' }
+    }],
+    PSM_Note__c: [
+        { Id: 'a0N000000000001AAA', Case__c: CASE_ID, Work_Order__c: null, Name: 'First analysis', CreatedDate: '2024-12-20T10:00:00.000+0000',
+            CreatedBy: { Name: 'Jane Support' }, Description__c: '<p>Logs requested. Related to <b>KB 000001234</b>.</p>', Visible_to_Customer__c: true },
+        { Id: 'a0N000000000002AAA', Case__c: CASE_ID, Work_Order__c: null, Name: 'Internal check', CreatedDate: '2024-12-21T09:30:00.000+0000',
+            CreatedBy: { Name: 'Jane Support' }, Description__c: '<p>Escalated to WO 00012345.</p>', Visible_to_Customer__c: false },
+        { Id: 'a0N000000000003AAA', Case__c: null, Work_Order__c: WORK_ORDER_ID, Name: 'On-site visit', CreatedDate: '2024-12-22T14:00:00.000+0000',
+            CreatedBy: { Name: 'Field Engineer' }, Description__c: '<p>Server restarted.</p>', Visible_to_Customer__c: false }
+    ],
+    EmailMessage: [
+        { Id: '02s000000000001AAA', ParentId: CASE_ID, RelatedToId: CASE_ID, Subject: 'Re: Login fails after the upgrade', FromName: 'John Customer',
+            FromAddress: 'john@acme.example', ToAddress: 'support@example.com', MessageDate: '2024-12-20T12:00:00.000+0000', CreatedDate: '2024-12-20T12:00:00.000+0000',
+            HtmlBody: '<p>Here are the logs.</p><div class="gmail_quote">On Fri, Jane wrote: logs please</div>', TextBody: 'Here are the logs.' },
+        { Id: '02s000000000002AAA', ParentId: null, RelatedToId: WORK_ORDER_ID, Subject: 'Visit planned', FromName: 'Field Engineer',
+            FromAddress: 'engineer@example.com', ToAddress: 'john@acme.example', MessageDate: '2024-12-21T16:00:00.000+0000', CreatedDate: '2024-12-21T16:00:00.000+0000',
+            HtmlBody: null, TextBody: 'The visit is planned for Monday.\nRegards' }
+    ],
+    WorkOrder: [
+        { Id: WORK_ORDER_ID, CaseId: CASE_ID, WorkOrderNumber: '00012345', Subject: 'On-site intervention', Status: 'Completed' }
+    ],
+    ContentDocumentLink: [
+        { LinkedEntityId: CASE_ID, ContentDocumentId: '069000000000001AAA', ContentDocument: { Title: 'screenshot', FileExtension: 'png', ContentSize: 48213 } },
+        { LinkedEntityId: '02s000000000001AAA', ContentDocumentId: '069000000000002AAA', ContentDocument: { Title: 'server.log', FileExtension: 'log', ContentSize: 1843200 } }
+    ]
+};
+
+// Query results kept for their next pages: locator -> remaining records.
+const cursors = new Map();
+let cursorCount = 0;
+
+/**
+ * Answers a SOQL query of salesforce_api.js from RECORDS.
+ */
+function runQuery(soql, apiPath) {
+    const from = soql.match(/\bFROM\s+(\w+)/i);
+    const where = soql.match(/\bWHERE\s+(\w+)\s*(?:=\s*'([^']*)'|IN\s*\(([^)]*)\))/i);
+    if (!from || !where) return null;
+    const ids = where[2] !== undefined ? [where[2]] : where[3].split(',').map(id => id.trim().replace(/^'|'$/g, ''));
+    const records = (RECORDS[from[1]] || []).filter(record => ids.includes(record[where[1]]));
+    return page(records, apiPath);
+}
+
+function page(records, apiPath) {
+    const current = records.slice(0, PAGE_SIZE);
+    const remaining = records.slice(PAGE_SIZE);
+    const result = { totalSize: records.length, done: remaining.length === 0, records: current };
+    if (remaining.length > 0) {
+        const locator = `01g${String(++cursorCount).padStart(15, '0')}`;
+        cursors.set(locator, remaining);
+        result.nextRecordsUrl = `${apiPath}/query/${locator}`;
+    }
+    return result;
+}
+
+function send(response, request, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': request.headers.origin || '*',
+        'Access-Control-Allow-Credentials': 'true'
+    });
+    response.end(JSON.stringify(body));
+}
+
+const server = http.createServer((request, response) => {
+    const url = new URL(request.url, `http://localhost:${PORT}`);
+    const apiPath = url.pathname.match(API_PREFIX)?.[0];
+    console.log(`${request.method} ${decodeURIComponent(url.pathname + url.search)}`);
+
+    if (UNAUTHORIZED) return send(response, request, 401, [{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }]);
+    if (!apiPath) return send(response, request, 404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+
+    const path = url.pathname.slice(apiPath.length);
+    const describe = path.match(/^\/sobjects\/(\w+)\/describe$/);
+    if (describe) {
+        return DESCRIPTIONS[describe[1]]
+            ? send(response, request, 200, DESCRIPTIONS[describe[1]])
+            : send(response, request, 404, [{ message: `The requested resource does not exist: ${describe[1]}`, errorCode: 'NOT_FOUND' }]);
+    }
+    const nextPage = path.match(/^\/query\/(\w+)$/);
+    if (nextPage && cursors.has(nextPage[1])) {
+        const records = cursors.get(nextPage[1]);
+        cursors.delete(nextPage[1]);
+        return send(response, request, 200, page(records, apiPath));
+    }
+    if (path === '/query' && url.searchParams.has('q')) {
+        const result = runQuery(url.searchParams.get('q'), apiPath);
+        return result
+            ? send(response, request, 200, result)
+            : send(response, request, 400, [{ message: 'Query not supported by the mock API', errorCode: 'MALFORMED_QUERY' }]);
+    }
+    return send(response, request, 404, [{ message: 'Not found', errorCode: 'NOT_FOUND' }]);
+});
+
+server.listen(PORT, () => console.log(`Mock Salesforce API listening on http://localhost:${PORT}`));
+// End of file
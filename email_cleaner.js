@@ -0,0 +1,147 @@
+// email_cleaner.js - Separates an email body from its quoted history, signature and disclaimers.
+// Injected into email tabs before email_scraper.js, which calls globalThis.psmhEmailCleaner.clean().
+
+if (typeof globalThis.psmhEmailCleaner === 'undefined') {
+    // Elements that start the quoted previous message(s) in common mail clients.
+    const QUOTE_START_SELECTORS = [
+        '#divRplyFwdMsg', '[id^="divRplyFwdMsg"]',   // Outlook (web and desktop)
+        '.OutlookMessageHeader',
+        '.gmail_quote', '.gmail_extra',              // Gmail
+        '.yahoo_quoted',                             // Yahoo
+        '.moz-cite-prefix',                          // Thunderbird
+        'blockquote'                                 // Apple Mail, Thunderbird, generic replies
+    ];
+
+    // Elements that hold the sender's signature.
+    const SIGNATURE_SELECTORS = ['#Signature', '[id^="Signature"]', '.gmail_signature', '#signature', '.moz-signature'];
+
+    // Text that starts a quoted previous message.
+    const QUOTE_HEADER_PATTERNS = [
+        /^\s*-{2,}\s*(Original Message|Message d'origine|Forwarded message|Message transféré)\s*-{2,}/i,
+        /^\s*(From|De|Von)\s*:[\s\S]*?\b(Sent|Envoyé|Date|Gesendet)\s*:/i,
+        /^\s*(On|Le)\s[\s\S]{5,200}?(wrote|a écrit)\s*:\s*$/i
+    ];
+
+    // A signature delimiter line ("-- ") on its own.
+    const SIGNATURE_DELIMITER = /^\s*--\s*$/;
+
+    // Legal disclaimers and confidentiality notices.
+    const DISCLAIMER_PATTERNS = [
+        /\bthis (e-?mail|message)\b[^.]{0,120}?\b(is|are|may be)\s+(strictly\s+)?(confidential|privileged|intended solely)/i,
+        /\bce (message|courriel|e-?mail)\b[^.]{0,120}?\b(est|sont)\s+(strictement\s+)?(confidentiel|priv)/i,
+        /\bconfidentiality notice\b/i,
+        /\bdisclaimer\s*:/i,
+        /please consider the environment before printing/i,
+        /pensez [àa] l'environnement avant d'imprimer/i
+    ];
+
+    const BLOCK_SELECTOR = 'p, div, td, li, table, blockquote, pre, h1, h2, h3, h4, h5, h6';
+
+    /**
+     * Returns the closest block-level element containing a node, stopping at the container.
+     */
+    function closestBlock(node, container) {
+        let element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        while (element && element !== container) {
+            if (element.matches(BLOCK_SELECTOR)) return element;
+            element = element.parentElement;
+        }
+        return node;
+    }
+
+    function isBefore(a, b) {
+        return Boolean(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+    }
+
+    /**
+     * Finds the earliest node from which everything is quoted history or signature.
+     * @param {HTMLElement} container
+     * @returns {Node|null}
+     */
+    function findCutNode(container) {
+        const candidates = [];
+
+        [...QUOTE_START_SELECTORS, ...SIGNATURE_SELECTORS].forEach(selector => {
+            const element = container.querySelector(selector);
+            if (element) candidates.push(element);
+        });
+
+        const testedBlocks = new Set();
+        const walker = container.ownerDocument.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const textNode = walker.currentNode;
+            const block = closestBlock(textNode, container);
+            if (SIGNATURE_DELIMITER.test(textNode.nodeValue)) {
+                candidates.push(block);
+                break;
+            }
+            if (testedBlocks.has(block)) continue;
+            testedBlocks.add(block);
+            if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(block.textContent || ''))) {
+                candidates.push(block);
+                break;
+            }
+        }
+
+        if (candidates.length === 0) return null;
+        const cutNode = candidates.reduce((earliest, node) => (isBefore(node, earliest) ? node : earliest));
+        // Outlook puts a separator line right before the reply header.
+        return cutNode.previousElementSibling?.tagName === 'HR' ? cutNode.previousElementSibling : cutNode;
+    }
+
+    const psmhEmailCleaner = {
+        /**
+         * Splits an email body into its own text and the parts that can be hidden by default.
+         * The given element is not modified. Its copy is worked on in an inert document: the email's
+         * scripts, event handlers and images are neither run nor loaded in the page.
+         * @param {HTMLElement} bodyElement - The email body (e.g. the iframe's document.body).
+         * @returns {{bodyHTML: string, quotedHTML: string}} quotedHTML is '' when nothing was found.
+         */
+        clean(bodyElement) {
+            const inertDocument = document.implementation.createHTMLDocument('');
+            const container = inertDocument.createElement('div');
+            container.innerHTML = bodyElement.innerHTML;
+            const hiddenParts = [];
+
+            // 1. Pull out disclaimer blocks wherever they are (innermost matching block only).
+            const disclaimerBlocks = Array.from(container.querySelectorAll(BLOCK_SELECTOR)).filter(block => {
+                const text = block.textContent || '';
+                if (text.length > 3000 || !DISCLAIMER_PATTERNS.some(pattern => pattern.test(text))) return false;
+                return !Array.from(block.querySelectorAll(BLOCK_SELECTOR)).some(child => DISCLAIMER_PATTERNS.some(pattern => pattern.test(child.textContent || '')));
+            });
+            disclaimerBlocks.forEach(block => {
+                hiddenParts.push(block.outerHTML);
+                block.remove();
+            });
+            if (disclaimerBlocks.length) globalThis.psmhLogger?.debug(`Email Cleaner: Removed ${disclaimerBlocks.length} disclaimer block(s).`);
+
+            // 2. Cut everything from the first quote header / signature to the end.
+            const cutNode = findCutNode(container);
+            if (cutNode && container.lastChild) {
+                const range = inertDocument.createRange();
+                range.setStartBefore(cutNode);
+                range.setEndAfter(container.lastChild);
+                const quotedFragment = range.extractContents();
+
+                if ((container.textContent || '').trim() || container.querySelector('img')) {
+                    const holder = inertDocument.createElement('div');
+                    holder.appendChild(quotedFragment);
+                    hiddenParts.push(holder.innerHTML);
+                    globalThis.psmhLogger?.debug("Email Cleaner: Split quoted history / signature from the body.");
+                } else {
+                    // The whole email is quoted (e.g. a plain forward): keep it visible.
+                    container.appendChild(quotedFragment);
+                    globalThis.psmhLogger?.debug("Email Cleaner: Email has no own text before the quote. Keeping it as is.");
+                }
+            }
+
+            return {
+                bodyHTML: container.innerHTML.trim(),
+                quotedHTML: hiddenParts.join('\n').trim()
+            };
+        }
+    };
+
+    globalThis.psmhEmailCleaner = psmhEmailCleaner;
+}
+// End of file
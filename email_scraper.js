@@ -45,6 +45,29 @@ async function closeSalesforceTab() {
         logger.warn(`Could not find the active Salesforce tab close button with selector: "${closeButtonSelector}"`);
     }
 }
+
+/**
+ * Reads an email participant as "Display Name <address>". The page often shows the name only: the address
+ * is then taken from a mailto: link or a title attribute of the element. The customer view (see
+ * psmhMetrics.isCustomerFacing()) tells the customer's emails from their addresses.
+ * @param {Element} element - The sender span or a recipient list item.
+ * @param {Element} [scope=element] - Where to look for the link or title, e.g. the whole sender line.
+ * @returns {string|null}
+ */
+function readParticipant(element, scope = element) {
+    const text = element.textContent?.trim() || '';
+    if (text.includes('@')) return text;
+    const mailtoLink = element.closest('a[href^="mailto:"]') || scope.querySelector('a[href^="mailto:"]');
+    const candidates = [
+        mailtoLink ? decodeURIComponent(mailtoLink.getAttribute('href').slice('mailto:'.length).split('?')[0]) : null,
+        element.getAttribute('title'),
+        scope.querySelector('[title*="@"]')?.getAttribute('title')
+    ];
+    const address = candidates.map(candidate => candidate?.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/)?.[0]).find(Boolean);
+    if (!address) return text || null;
+    return text ? `${text} <${address}>` : address;
+}
+
 // Main scraping logic
 async function scrapeEmailDetails() {
     logger.info("Starting scrapeEmailDetails.");
@@ -52,6 +75,8 @@ async function scrapeEmailDetails() {
     let from = null;
     let to = null;
     let bodyHTML = null;
+    let quotedHTML = null;
+    let attachments = [];
 
     try {
         const emailArticle = await waitForElement('article.emailuiEmailMessage');
@@ -72,7 +97,7 @@ async function scrapeEmailDetails() {
         // --- Extract From ---
         const fromElement = emailArticle.querySelector('.fromDetail span.uiOutputText');
         if(fromElement) {
-            from = fromElement.textContent?.trim();
+            from = readParticipant(fromElement, fromElement.closest('.fromDetail') || fromElement);
             logger.debug("Found From:", from);
         } else {
              logger.warn("From element not found.");
@@ -82,7 +107,7 @@ async function scrapeEmailDetails() {
         const toElementList = emailArticle.querySelector('.toCcBccDetail ul.addressList');
         if(toElementList) {
             to = Array.from(toElementList.querySelectorAll('li'))
-                      .map(li => li.textContent?.trim())
+                      .map(li => readParticipant(li))
                       .filter(Boolean)
                       .join('; ');
             logger.debug("Found To:", to);
@@ -102,6 +127,15 @@ async function scrapeEmailDetails() {
                     logger.debug("Accessed iframe body. Extracting innerHTML.");
                     bodyHTML = iframeDoc.body.innerHTML?.trim();
                     logger.debug("Extracted bodyHTML length:", bodyHTML?.length);
+                    try {
+                        // Separate quoted history, signature and disclaimers so the report can collapse them.
+                        const cleaned = globalThis.psmhEmailCleaner.clean(iframeDoc.body);
+                        bodyHTML = cleaned.bodyHTML;
+                        quotedHTML = cleaned.quotedHTML;
+                        logger.debug(`Cleaned body length: ${bodyHTML.length}, quoted part length: ${quotedHTML.length}`);
+                    } catch (cleanError) {
+                        logger.warn("Could not clean email body. Keeping it verbatim.", cleanError);
+                    }
                 } else {
                      logger.warn("Could not access iframe contentDocument or body.");
                      bodyHTML = "[Error accessing iframe content - document or body not available]";
@@ -115,6 +149,10 @@ async function scrapeEmailDetails() {
             bodyHTML = "[Email Body IFrame not found]";
         }
 
+        // --- Extract Attachments ---
+        attachments = await globalThis.psmhAttachments.scrapeRecordPage();
+        logger.debug(`Extracted ${attachments.length} attachment(s).`);
+
     } catch (error) {
         logger.error("Error during scraping:", error);
         bodyHTML = bodyHTML || `[Error during scraping: ${error.message}]`;
@@ -125,7 +163,9 @@ async function scrapeEmailDetails() {
         subject: subject ?? '',
         from: from ?? '',
         to: to ?? '',
-        bodyHTML: bodyHTML ?? ''
+        bodyHTML: bodyHTML ?? '',
+        quotedHTML: quotedHTML ?? '',
+        attachments: attachments
     };
 
     logger.info("Sending results back to background script:", result);
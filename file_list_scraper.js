@@ -0,0 +1,51 @@
+// file_list_scraper.js - Injected into the "View All" Files page of a Case to list its attachments.
+// Relies on attachment_scraper.js being injected first (globalThis.psmhAttachments).
+const logger = globalThis.psmhLogger;
+logger.info("FILES_LOG (Scraper): Script Injected.");
+
+/**
+ * Waits for an element matching the selector to appear in the DOM.
+ */
+function waitForElement(selector, baseElement = document, timeout = 10000) {
+    logger.debug(`FILES_LOG (Scraper): Waiting for "${selector}"...`);
+    return new Promise((resolve) => {
+        const startTime = Date.now();
+        const interval = setInterval(() => {
+            const element = baseElement.querySelector(selector);
+            if (element) {
+                logger.debug(`FILES_LOG (Scraper): Found element for selector: "${selector}"`);
+                clearInterval(interval);
+                resolve(element);
+            } else if (Date.now() - startTime > timeout) {
+                logger.warn(`FILES_LOG (Scraper): Timeout waiting for "${selector}"`);
+                clearInterval(interval);
+                resolve(null);
+            }
+        }, 250);
+    });
+}
+
+/**
+ * Scrapes the file rows of the related list table.
+ */
+async function scrapeFileList() {
+    logger.info("FILES_LOG (Scraper): Starting scrape of the Files list.");
+
+    const table = await waitForElement('lightning-datatable table, table.uiVirtualDataTable, table[role="grid"]');
+    if (!table) {
+        logger.error("FILES_LOG (Scraper): Could not find the Files table.");
+        chrome.runtime.sendMessage({ type: 'fileListScrapeResult', data: [] });
+        return;
+    }
+
+    // Give the rows a moment to render after the table shell appears.
+    await waitForElement('tbody tr', table, 3000);
+    const files = globalThis.psmhAttachments.scrape(table);
+
+    logger.info(`FILES_LOG (Scraper): Successfully scraped ${files.length} file(s). Sending to background.`);
+    chrome.runtime.sendMessage({ type: 'fileListScrapeResult', data: files });
+}
+
+scrapeFileList();
+
+// End of file
@@ -0,0 +1,160 @@
+// generation_progress.js - Tracks the progress of a Full View generation, phase by phase, for the panel's
+// progress component and the extension badge (see startFullViewGeneration in background.js).
+// The phases, in order: the record page, the notes list, the emails list, the Work Orders list, the case's
+// files list, the note and email details, and the assembly of the report. The time remaining is estimated from the
+// durations of the items read so far and the number of items read at the same time.
+
+if (typeof globalThis.psmhProgress === 'undefined') {
+    const PHASES = ['page', 'notesList', 'emailsList', 'workOrders', 'files', 'items', 'assembly'];
+    // Share of each phase in the percentage: reading the items is by far the longest.
+    const PHASE_WEIGHTS = { page: 5, notesList: 5, emailsList: 5, workOrders: 5, files: 5, items: 70, assembly: 5 };
+    // No estimate before this many items were read: the first durations include the tabs' warm-up.
+    const MIN_SAMPLES_FOR_ETA = 2;
+
+    const psmhProgress = {
+        PHASES,
+
+        /**
+         * Creates the tracker of one generation.
+         * @param {function(object): void} [onChange] - Called with state() after every change.
+         * @returns {object} The tracker.
+         */
+        create(onChange = () => {}) {
+            const phases = new Map(PHASES.map(id => [id, { id, status: 'pending', done: 0, total: null, failed: 0, count: null }]));
+            const durations = [];
+            let inFlight = 0;
+            let maxInFlight = 1;
+
+            const tracker = {
+                /**
+                 * Starts a phase; the phases before it that are still running are done.
+                 * @param {string} phaseId
+                 */
+                startPhase(phaseId) {
+                    const index = PHASES.indexOf(phaseId);
+                    PHASES.slice(0, index).forEach(id => {
+                        const phase = phases.get(id);
+                        if (phase.status === 'running') phase.status = 'done';
+                        else if (phase.status === 'pending') phase.status = 'skipped';
+                    });
+                    phases.get(phaseId).status = 'running';
+                    onChange(tracker.state());
+                },
+
+                /**
+                 * Ends a phase.
+                 * @param {string} phaseId
+                 * @param {number} [count] - What the phase found, e.g. the notes in the list.
+                 */
+                finishPhase(phaseId, count) {
+                    const phase = phases.get(phaseId);
+                    phase.status = 'done';
+                    if (typeof count === 'number') phase.count = (phase.count || 0) + count;
+                    onChange(tracker.state());
+                },
+
+                /**
+                 * Marks a phase as not needed (no list to read, or done another way).
+                 * @param {string} phaseId
+                 */
+                skipPhase(phaseId) {
+                    const phase = phases.get(phaseId);
+                    if (phase.status === 'pending') phase.status = 'skipped';
+                    onChange(tracker.state());
+                },
+
+                /**
+                 * Adds items to read in the "items" phase. Deep mode adds the Work Orders' items along the way.
+                 * @param {number} count - New items.
+                 * @param {number} [alreadyDone=0] - Those of them that need no reading (item cache).
+                 */
+                addItems(count, alreadyDone = 0) {
+                    const phase = phases.get('items');
+                    phase.total = (phase.total || 0) + count;
+                    phase.done += alreadyDone;
+                    onChange(tracker.state());
+                },
+
+                /**
+                 * An item starts being read.
+                 */
+                itemStarted() {
+                    inFlight++;
+                    maxInFlight = Math.max(maxInFlight, inFlight);
+                },
+
+                /**
+                 * An item was read, or given up.
+                 * @param {number} durationMs - Time spent on it, retries included.
+                 * @param {boolean} [failed=false]
+                 */
+                itemFinished(durationMs, failed = false) {
+                    inFlight = Math.max(0, inFlight - 1);
+                    const phase = phases.get('items');
+                    if (failed) phase.failed++;
+                    else phase.done++;
+                    durations.push(durationMs);
+                    onChange(tracker.state());
+                },
+
+                /**
+                 * Ends the last phase.
+                 */
+                finish() {
+                    PHASES.forEach(id => {
+                        const phase = phases.get(id);
+                        if (phase.status === 'running') phase.status = 'done';
+                        else if (phase.status === 'pending') phase.status = 'skipped';
+                    });
+                    onChange(tracker.state());
+                },
+
+                /**
+                 * The progress, as sent to the panel.
+                 * @returns {{phases: Array<{id: string, status: string, done: number, total: number|null, failed: number, count: number|null}>,
+                 *   percent: number, failed: number, etaMs: number|null}}
+                 */
+                state() {
+                    const items = phases.get('items');
+                    const remaining = items.total === null ? null : Math.max(0, items.total - items.done - items.failed);
+
+                    let weighted = 0;
+                    PHASES.forEach(id => {
+                        const phase = phases.get(id);
+                        let share = 0;
+                        if (phase.status === 'done' || phase.status === 'skipped') share = 1;
+                        else if (phase.status === 'running' && phase.total) share = (phase.done + phase.failed) / phase.total;
+                        weighted += PHASE_WEIGHTS[id] * share;
+                    });
+                    const totalWeight = PHASES.reduce((sum, id) => sum + PHASE_WEIGHTS[id], 0);
+
+                    let etaMs = null;
+                    if (items.status === 'running' && remaining !== null && durations.length >= MIN_SAMPLES_FOR_ETA) {
+                        const averageMs = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+                        etaMs = Math.round(remaining * averageMs / Math.max(1, Math.min(maxInFlight, remaining)));
+                    }
+
+                    return {
+                        phases: PHASES.map(id => ({ ...phases.get(id) })),
+                        percent: Math.min(100, Math.floor(weighted * 100 / totalWeight)),
+                        failed: items.failed,
+                        etaMs
+                    };
+                }
+            };
+            return tracker;
+        },
+
+        /**
+         * The text of the extension badge.
+         * @param {object} state - From state().
+         * @returns {string} e.g. "42%".
+         */
+        badgeText(state) {
+            return `${state.percent}%`;
+        }
+    };
+
+    globalThis.psmhProgress = psmhProgress;
+}
+// End of file
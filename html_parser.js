@@ -0,0 +1,146 @@
+// html_parser.js - A small, forgiving HTML-to-tree parser for scraped rich text.
+// The service worker has no DOMParser, so report builders that need to walk
+// scraped HTML (Markdown export, etc.) use this instead.
+
+if (typeof globalThis.psmhHtmlParser === 'undefined') {
+    const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+    const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+    const BLOCK_TAGS = new Set(['address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul']);
+
+    const NAMED_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+        copy: '©', reg: '®', trade: '™', hellip: '…', bull: '•', middot: '·',
+        mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+        laquo: '«', raquo: '»', euro: '€', times: '×', deg: '°',
+        agrave: 'à', acirc: 'â', ccedil: 'ç', eacute: 'é', egrave: 'è', ecirc: 'ê',
+        euml: 'ë', icirc: 'î', iuml: 'ï', ocirc: 'ô', ugrave: 'ù', ucirc: 'û', uuml: 'ü',
+        Agrave: 'À', Ccedil: 'Ç', Eacute: 'É', Egrave: 'È', Ecirc: 'Ê'
+    };
+
+    // One token per match: comment, doctype, end tag, start tag, or a run of text.
+    const TOKEN_REGEX = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</g;
+    const ATTR_REGEX = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+    const psmhHtmlParser = {
+        /**
+         * Decodes named and numeric HTML character references.
+         * Unknown named references are left untouched.
+         * @param {string} text - The raw text.
+         * @returns {string} The decoded text.
+         */
+        decodeEntities(text) {
+            if (!text || text.indexOf('&') === -1) return text || '';
+            return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, ref) => {
+                if (ref[0] === '#') {
+                    const codePoint = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+                    try {
+                        return String.fromCodePoint(codePoint);
+                    } catch (e) {
+                        return match;
+                    }
+                }
+                return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : match;
+            });
+        },
+
+        /**
+         * Parses an HTML fragment into a lightweight tree.
+         * Element nodes are { type: 'element', tag, attrs, children } and
+         * text nodes are { type: 'text', text } with entities already decoded.
+         * Comments and doctypes are dropped.
+         * @param {string} html - The HTML fragment.
+         * @returns {{type: 'root', children: Array}} The root node.
+         */
+        parse(html) {
+            const root = { type: 'root', tag: null, children: [] };
+            if (!html) return root;
+
+            const stack = [root];
+            const current = () => stack[stack.length - 1];
+            const hasOpen = (tag, stopAt = []) => {
+                for (let i = stack.length - 1; i > 0; i--) {
+                    if (stack[i].tag === tag) return i;
+                    if (stopAt.includes(stack[i].tag)) return -1;
+                }
+                return -1;
+            };
+            const closeFrom = (index) => { if (index > 0) stack.length = index; };
+
+            TOKEN_REGEX.lastIndex = 0;
+            let match;
+            while ((match = TOKEN_REGEX.exec(html)) !== null) {
+                const token = match[0];
+                const [, endTag, startTag, rawAttrs, selfClosing] = match;
+
+                if (startTag) {
+                    const tag = startTag.toLowerCase();
+
+                    // Emulate the most common implied end tags of the HTML spec.
+                    if (tag === 'li') closeFrom(hasOpen('li', ['ul', 'ol']));
+                    if (tag === 'dt' || tag === 'dd') closeFrom(Math.max(hasOpen('dt', ['dl']), hasOpen('dd', ['dl'])));
+                    if (tag === 'tr') closeFrom(hasOpen('tr', ['table']));
+                    if (tag === 'td' || tag === 'th') closeFrom(Math.max(hasOpen('td', ['tr', 'table']), hasOpen('th', ['tr', 'table'])));
+                    if (tag === 'p' || BLOCK_TAGS.has(tag)) closeFrom(hasOpen('p', ['div', 'td', 'th', 'li', 'blockquote']));
+
+                    const node = { type: 'element', tag, attrs: this.parseAttributes(rawAttrs), children: [] };
+                    current().children.push(node);
+
+                    if (RAW_TEXT_TAGS.has(tag)) {
+                        const closeRegex = new RegExp(`</${tag}\\s*>`, 'ig');
+                        closeRegex.lastIndex = TOKEN_REGEX.lastIndex;
+                        const closeMatch = closeRegex.exec(html);
+                        const endIndex = closeMatch ? closeMatch.index : html.length;
+                        const rawText = html.slice(TOKEN_REGEX.lastIndex, endIndex);
+                        if (rawText) node.children.push({ type: 'text', text: tag === 'textarea' || tag === 'title' ? this.decodeEntities(rawText) : rawText });
+                        TOKEN_REGEX.lastIndex = closeMatch ? closeRegex.lastIndex : html.length;
+                    } else if (!VOID_TAGS.has(tag) && !selfClosing) {
+                        stack.push(node);
+                    }
+                } else if (endTag) {
+                    const index = hasOpen(endTag.toLowerCase());
+                    closeFrom(index);
+                } else if (token.startsWith('<!')) {
+                    continue;
+                } else {
+                    current().children.push({ type: 'text', text: this.decodeEntities(token) });
+                }
+            }
+            return root;
+        },
+
+        /**
+         * Parses the raw attribute string of a start tag.
+         * @param {string} rawAttrs - e.g. ' href="x" target=_blank'
+         * @returns {Object<string, string>} Attribute names (lower-cased) mapped to decoded values.
+         */
+        parseAttributes(rawAttrs) {
+            const attrs = {};
+            if (!rawAttrs) return attrs;
+            ATTR_REGEX.lastIndex = 0;
+            let match;
+            while ((match = ATTR_REGEX.exec(rawAttrs)) !== null) {
+                const name = match[1].toLowerCase();
+                if (Object.prototype.hasOwnProperty.call(attrs, name)) continue;
+                const value = match[2] ?? match[3] ?? match[4] ?? '';
+                attrs[name] = this.decodeEntities(value);
+            }
+            return attrs;
+        },
+
+        /**
+         * Returns the concatenated text of a node and its descendants.
+         * @param {object} node - A node returned by parse().
+         * @returns {string}
+         */
+        textContent(node) {
+            if (!node) return '';
+            if (node.type === 'text') return node.text;
+            if (node.tag === 'script' || node.tag === 'style') return '';
+            return (node.children || []).map(child => this.textContent(child)).join('');
+        }
+    };
+
+    globalThis.psmhHtmlParser = psmhHtmlParser;
+}
+// End of file
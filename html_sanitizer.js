@@ -0,0 +1,145 @@
+// html_sanitizer.js - Allow-list HTML sanitizer for scraped rich text (notes, emails, descriptions).
+// Everything rendered into a report goes through sanitize(): formatting, tables, links and images are
+// kept; scripts, event handlers, frames, forms and unsafe URLs are removed.
+// Relies on html_parser.js being loaded first (globalThis.psmhHtmlParser).
+
+if (typeof globalThis.psmhSanitizer === 'undefined') {
+    // Tags that are kept (with their allowed attributes).
+    const ALLOWED_TAGS = new Set([
+        'a', 'abbr', 'address', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br', 'caption', 'center', 'cite', 'code',
+        'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'font',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q',
+        's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+        'tfoot', 'th', 'thead', 'time', 'tr', 'tt', 'u', 'ul', 'var', 'wbr'
+    ]);
+
+    // Tags removed together with their content. Other unknown tags are unwrapped (their content is kept).
+    const DROPPED_TAGS = new Set([
+        'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'svg', 'math', 'input', 'button', 'select', 'textarea', 'option', 'head', 'title', 'meta',
+        'link', 'base', 'audio', 'video', 'canvas', 'portal', 'xml'
+    ]);
+
+    const VOID_TAGS = new Set(['br', 'col', 'hr', 'img', 'wbr']);
+
+    // Attributes kept on any allowed tag. Event handlers (on*), id and name are never kept,
+    // so scraped content cannot hook into the report's own scripts and styles.
+    const ALLOWED_ATTRIBUTES = new Set([
+        'align', 'alt', 'bgcolor', 'border', 'cellpadding', 'cellspacing', 'color', 'colspan', 'datetime',
+        'dir', 'face', 'height', 'lang', 'reversed', 'rowspan', 'size', 'span', 'start', 'style', 'title',
+        'type', 'valign', 'width'
+    ]);
+
+    // Attributes holding a URL, checked against the allowed schemes.
+    const URL_ATTRIBUTES = { a: ['href'], img: ['src'], blockquote: ['cite'], q: ['cite'], del: ['cite'], ins: ['cite'] };
+
+    // Only Salesforce (SLDS) classes are kept, e.g. on the work orders table.
+    const ALLOWED_CLASS = /^slds-[\w-]+$/;
+
+    const ALLOWED_URL_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+    const SAFE_DATA_IMAGE = /^data:image\/(png|jpe?g|gif|webp|bmp);base64,[a-z0-9+\/=\s]+$/i;
+
+    // CSS that can run code or load content.
+    const UNSAFE_CSS = /expression\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:|@import|url\s*\(/i;
+
+    function escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+    }
+
+    function escapeAttribute(value) {
+        return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Keeps the style declarations that are only presentational.
+     */
+    function sanitizeStyle(style) {
+        return style.split(';')
+            .map(declaration => declaration.trim())
+            .filter(declaration => declaration && /^[a-z-]+\s*:/i.test(declaration) && !UNSAFE_CSS.test(declaration))
+            .map(declaration => `${declaration};`)
+            .join(' ');
+    }
+
+    const psmhSanitizer = {
+        /**
+         * Tells whether a URL can be used in a link or an image of the report.
+         * Relative URLs are allowed; absolute ones must use http(s), mailto or tel.
+         * @param {string} url - The (entity-decoded) URL.
+         * @param {boolean} [allowDataImage=false] - Also allow base64 data: URIs of raster images.
+         * @returns {boolean}
+         */
+        isSafeUrl(url, allowDataImage = false) {
+            if (typeof url !== 'string') return false;
+            // Browsers ignore control characters and whitespace when reading the scheme.
+            const compact = url.replace(/[\u0000-\u0020\u007f]+/g, '');
+            const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i)?.[1]?.toLowerCase();
+            if (!scheme) return true;
+            if (scheme === 'data') return allowDataImage && SAFE_DATA_IMAGE.test(url.trim());
+            return ALLOWED_URL_SCHEMES.has(scheme);
+        },
+
+        /**
+         * Returns the URL if it is safe, or '#' otherwise.
+         * @param {string} url
+         * @returns {string}
+         */
+        safeUrl(url) {
+            return url && this.isSafeUrl(url) ? url : '#';
+        },
+
+        /**
+         * Sanitizes an HTML fragment against the allow-list.
+         * @param {string} html - Untrusted HTML.
+         * @returns {string} HTML that is safe to insert into a report.
+         */
+        sanitize(html) {
+            if (!html) return html || '';
+            const tree = globalThis.psmhHtmlParser.parse(html);
+            return this.serializeChildren(tree);
+        },
+
+        /**
+         * Serializes the allowed part of a parsed node's children.
+         * @param {object} node - A node returned by psmhHtmlParser.parse().
+         * @returns {string}
+         */
+        serializeChildren(node) {
+            return node.children.map(child => {
+                if (child.type === 'text') return escapeText(child.text);
+                if (DROPPED_TAGS.has(child.tag)) return '';
+                if (!ALLOWED_TAGS.has(child.tag)) return this.serializeChildren(child);
+
+                const attributes = [];
+                Object.entries(child.attrs).forEach(([name, value]) => {
+                    if ((URL_ATTRIBUTES[child.tag] || []).includes(name)) {
+                        if (this.isSafeUrl(value, child.tag === 'img' && name === 'src')) attributes.push([name, value]);
+                        return;
+                    }
+                    if (child.tag === 'a' && name === 'target') {
+                        if (value === '_blank') attributes.push(['target', '_blank'], ['rel', 'noopener noreferrer']);
+                        return;
+                    }
+                    if (name === 'class') {
+                        const classes = value.split(/\s+/).filter(className => ALLOWED_CLASS.test(className));
+                        if (classes.length) attributes.push([name, classes.join(' ')]);
+                        return;
+                    }
+                    if (!ALLOWED_ATTRIBUTES.has(name)) return;
+                    if (name === 'style') {
+                        const style = sanitizeStyle(value);
+                        if (style) attributes.push([name, style]);
+                        return;
+                    }
+                    attributes.push([name, value]);
+                });
+
+                const openTag = `<${child.tag}${attributes.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('')}>`;
+                return VOID_TAGS.has(child.tag) ? openTag : `${openTag}${this.serializeChildren(child)}</${child.tag}>`;
+            }).join('');
+        }
+    };
+
+    globalThis.psmhSanitizer = psmhSanitizer;
+}
+// End of file
@@ -0,0 +1,117 @@
+// i18n.js - Translates the panel, the status messages and the reports (English, French).
+// The messages are in the chrome.i18n catalogs (_locales/<language>/messages.json) and use the same
+// substitutions ($1 to $9). chrome.i18n.getMessage() always follows the browser language, while the
+// "language" preference (chrome.storage.sync: "auto" | "en" | "fr") can choose another one: the catalog
+// of the chosen language is loaded with load() or loadPreferred(), then read with t().
+// The static text of the extension pages is marked with data-i18n attributes and set by translatePage().
+
+if (typeof globalThis.psmhI18n === 'undefined') {
+    const LANGUAGES = ['en', 'fr'];
+    const DEFAULT_LANGUAGE = 'en';
+
+    // Language -> Map of messages by lower-cased key (message names are case-insensitive, as in chrome.i18n).
+    const catalogs = new Map();
+    let currentLanguage = null;
+
+    /**
+     * Loads a catalog once.
+     * @throws {Error} If the catalog file can't be read.
+     */
+    async function fetchCatalog(language) {
+        if (!catalogs.has(language)) {
+            const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+            if (!response.ok) throw new Error(`Could not load the "${language}" messages (HTTP ${response.status}).`);
+            const entries = Object.entries(await response.json());
+            catalogs.set(language, new Map(entries.map(([key, entry]) => [key.toLowerCase(), entry.message])));
+        }
+        return catalogs.get(language);
+    }
+
+    /**
+     * Replaces $1 to $9 with the substitutions, and $$ with $, like chrome.i18n.getMessage().
+     */
+    function substitute(message, substitutions) {
+        const values = [].concat(substitutions ?? []).map(value => String(value));
+        return message.replace(/\$(\d)|\$\$/g, (match, index) => (index ? values[index - 1] ?? '' : '$'));
+    }
+
+    const psmhI18n = {
+        LANGUAGES,
+        DEFAULT_LANGUAGE,
+
+        /**
+         * Turns the language preference into a supported language.
+         * @param {string} [preference] - 'auto' (or unset) follows the browser language.
+         * @returns {string} 'en' or 'fr'.
+         */
+        resolveLanguage(preference) {
+            if (LANGUAGES.includes(preference)) return preference;
+            const browserLanguage = String(globalThis.chrome?.i18n?.getUILanguage?.() || '').toLowerCase().split(/[-_]/)[0];
+            return LANGUAGES.includes(browserLanguage) ? browserLanguage : DEFAULT_LANGUAGE;
+        },
+
+        /**
+         * Loads the messages of a language. The English messages are loaded too, for keys missing in a translation.
+         * If the catalog can't be read, the previous language stays in use.
+         * @param {string} [preference] - 'auto', 'en' or 'fr'.
+         * @returns {Promise<string>} The language in use.
+         */
+        async load(preference) {
+            const language = this.resolveLanguage(preference);
+            try {
+                await fetchCatalog(DEFAULT_LANGUAGE);
+                await fetchCatalog(language);
+                currentLanguage = language;
+            } catch (error) {
+                globalThis.psmhLogger?.error(`i18n: ${error.message}`);
+            }
+            return this.language();
+        },
+
+        /**
+         * Loads the messages of the language chosen in the panel preferences.
+         * @returns {Promise<string>} The language in use.
+         */
+        async loadPreferred() {
+            const { language } = await chrome.storage.sync.get('language');
+            return this.load(language);
+        },
+
+        /**
+         * The language of the messages returned by t(), e.g. for the lang attribute of a report.
+         * @returns {string}
+         */
+        language() {
+            return currentLanguage || this.resolveLanguage('auto');
+        },
+
+        /**
+         * Translates a message.
+         * @param {string} key - The message name in messages.json.
+         * @param {string|number|Array<string|number>} [substitutions] - Values for $1 to $9.
+         * @returns {string} The message; before load(), the chrome.i18n message of the browser language; the key if unknown.
+         */
+        t(key, substitutions) {
+            const name = key.toLowerCase();
+            const message = catalogs.get(currentLanguage)?.get(name) ?? catalogs.get(DEFAULT_LANGUAGE)?.get(name);
+            if (message !== undefined) return substitute(message, substitutions);
+            const values = [].concat(substitutions ?? []).map(value => String(value));
+            return globalThis.chrome?.i18n?.getMessage?.(key, values) || key;
+        },
+
+        /**
+         * Translates the static text of an extension page: data-i18n sets the text of an element,
+         * data-i18n-title and data-i18n-placeholder set those attributes. Call it after loadPreferred().
+         * @param {Document} [page=document]
+         */
+        translatePage(page = document) {
+            page.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = this.t(element.dataset.i18n); });
+            page.querySelectorAll('[data-i18n-title]').forEach(element => { element.title = this.t(element.dataset.i18nTitle); });
+            page.querySelectorAll('[data-i18n-placeholder]').forEach(element => { element.placeholder = this.t(element.dataset.i18nPlaceholder); });
+            page.documentElement.lang = this.language();
+        }
+    };
+
+    globalThis.psmhI18n = psmhI18n;
+}
+// End of file
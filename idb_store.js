@@ -0,0 +1,70 @@
+// idb_store.js - Promise helpers for IndexedDB, shared by the report archive (report_archive.js)
+// and the item cache (item_cache.js). Each of them keeps its object stores in its own database.
+// Must be loaded before them: imported by the background script, and a script of archive.html and redact.html.
+
+if (typeof globalThis.psmhIdb === 'undefined') {
+    const psmhIdb = {
+        /**
+         * Wraps an IDBRequest in a Promise.
+         * @param {IDBRequest} request
+         * @returns {Promise<*>} The result of the request.
+         */
+        promisifyRequest(request) {
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        },
+
+        /**
+         * Creates the runner of the object stores of a database. The database is opened (and created or upgraded)
+         * on first use, once per context; a failed opening is tried again by the next call.
+         * @param {object} options
+         * @param {string} options.dbName
+         * @param {number} options.version
+         * @param {string|Array<string>} options.storeName - The store, or the stores every transaction covers.
+         * @param {function(IDBDatabase, IDBTransaction, number): void} options.upgrade - Creates the stores and their
+         *   indexes if missing. Also gets the upgrade transaction and the previous version (0 for a new database).
+         * @param {string} options.label - Names the database in errors, e.g. 'Archive'.
+         * @returns {function(string, function(...IDBObjectStore): *): Promise<*>} withStore(mode, callback): runs the
+         *   callback against the stores, in the order of storeName, inside a transaction and resolves with its result
+         *   once the transaction has completed.
+         */
+        storeRunner({ dbName, version, storeName, upgrade, label }) {
+            const storeNames = [].concat(storeName);
+            let dbPromise = null;
+
+            const openDatabase = () => {
+                if (!dbPromise) {
+                    dbPromise = new Promise((resolve, reject) => {
+                        const request = indexedDB.open(dbName, version);
+                        request.onupgradeneeded = event => upgrade(request.result, request.transaction, event.oldVersion);
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => {
+                            dbPromise = null;
+                            reject(request.error);
+                        };
+                    });
+                }
+                return dbPromise;
+            };
+
+            return async (mode, callback) => {
+                const db = await openDatabase();
+                return new Promise((resolve, reject) => {
+                    const transaction = db.transaction(storeNames, mode);
+                    let result;
+                    Promise.resolve(callback(...storeNames.map(name => transaction.objectStore(name))))
+                        .then(value => { result = value; })
+                        .catch(reject);
+                    transaction.oncomplete = () => resolve(result);
+                    transaction.onerror = () => reject(transaction.error);
+                    transaction.onabort = () => reject(transaction.error || new Error(`${label} transaction aborted.`));
+                });
+            };
+        }
+    };
+
+    globalThis.psmhIdb = psmhIdb;
+}
+// End of file
@@ -0,0 +1,115 @@
+// image_inliner.js - Replaces Salesforce-hosted images of scraped rich text with data: URIs,
+// so that saved, archived and printed reports don't need a Salesforce session to show them.
+// Used by the background script during generation. Relies on html_parser.js (entity decoding).
+
+if (typeof globalThis.psmhImageInliner === 'undefined') {
+    const FILE_SERVER = 'https://myatos.file.force.com';
+
+    // Hosts the extension can fetch from with the user's session (see host_permissions).
+    const SALESFORCE_HOST_REGEX = /^https:\/\/myatos(--preprod\.sandbox\.lightning|\.lightning|\.file)\.force\.com\//;
+
+    // Raster formats only: the report's sanitizer drops any other data: URI.
+    const INLINE_MIME_REGEX = /^image\/(png|jpe?g|gif|webp|bmp)$/;
+
+    const IMG_SRC_REGEX = /(<img\b[^>]*?\ssrc=")([^"]*)(")/gi;
+
+    /**
+     * Encodes binary data as base64 without exceeding the call stack on large images.
+     */
+    function toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    const psmhImageInliner = {
+        DEFAULT_MAX_KB: 1024,
+
+        /**
+         * Turns an image src found in scraped HTML into an absolute Salesforce URL.
+         * @param {string} src - The (entity-decoded) src attribute.
+         * @param {string} [baseUrl] - The page the HTML was scraped from, for other relative URLs.
+         * @returns {string|null} null when the image is not hosted by Salesforce (or is already inline).
+         */
+        resolveSalesforceUrl(src, baseUrl) {
+            if (!src || src.startsWith('data:')) return null;
+            let url;
+            try {
+                url = src.startsWith('/sfc/') ? FILE_SERVER + src : new URL(src, baseUrl || FILE_SERVER).href;
+            } catch (e) {
+                return null;
+            }
+            return SALESFORCE_HOST_REGEX.test(url) ? url : null;
+        },
+
+        /**
+         * Downloads an image with the user's session and encodes it as a data: URI.
+         * @param {string} url - An absolute Salesforce URL.
+         * @param {number} maxBytes - Larger images are not inlined.
+         * @returns {Promise<string|null>} The data: URI, or null if the image was too large, not a raster image or unavailable.
+         */
+        async fetchAsDataUri(url, maxBytes) {
+            try {
+                const response = await fetch(url, { credentials: 'include' });
+                if (!response.ok) {
+                    globalThis.psmhLogger?.warn(`Image Inliner: HTTP ${response.status} for ${url}`);
+                    return null;
+                }
+                const declaredLength = Number(response.headers.get('content-length'));
+                if (declaredLength > maxBytes) {
+                    globalThis.psmhLogger?.info(`Image Inliner: Skipping ${url} (${declaredLength} bytes is over the limit).`);
+                    return null;
+                }
+                const blob = await response.blob();
+                const mimeType = blob.type.split(';')[0].trim().toLowerCase();
+                if (!INLINE_MIME_REGEX.test(mimeType)) {
+                    globalThis.psmhLogger?.info(`Image Inliner: Skipping ${url} (type "${mimeType}" is not inlined).`);
+                    return null;
+                }
+                if (blob.size > maxBytes) {
+                    globalThis.psmhLogger?.info(`Image Inliner: Skipping ${url} (${blob.size} bytes is over the limit).`);
+                    return null;
+                }
+                return `data:${mimeType};base64,${toBase64(await blob.arrayBuffer())}`;
+            } catch (error) {
+                globalThis.psmhLogger?.warn(`Image Inliner: Could not fetch ${url}`, error);
+                return null;
+            }
+        },
+
+        /**
+         * Replaces the Salesforce images of an HTML fragment with data: URIs.
+         * Images that can't be inlined keep their original src.
+         * @param {string} html - Scraped HTML.
+         * @param {object} options
+         * @param {number} options.maxBytes - Size limit per image.
+         * @param {string} [options.baseUrl] - The page the HTML was scraped from.
+         * @param {Map<string, Promise<string|null>>} [options.cache] - Shared between calls so an image is fetched only once per report.
+         * @returns {Promise<string>}
+         */
+        async inlineImages(html, { maxBytes, baseUrl, cache = new Map() }) {
+            if (!html || !html.includes('<img') || !(maxBytes > 0)) return html;
+
+            const sources = new Map();
+            for (const match of html.matchAll(IMG_SRC_REGEX)) {
+                const url = this.resolveSalesforceUrl(globalThis.psmhHtmlParser.decodeEntities(match[2]), baseUrl);
+                if (url) sources.set(match[2], url);
+            }
+            if (sources.size === 0) return html;
+
+            const dataUris = new Map();
+            for (const [rawSrc, url] of sources) {
+                if (!cache.has(url)) cache.set(url, this.fetchAsDataUri(url, maxBytes));
+                const dataUri = await cache.get(url);
+                if (dataUri) dataUris.set(rawSrc, dataUri);
+            }
+            return html.replace(IMG_SRC_REGEX, (match, before, src, after) => (dataUris.has(src) ? before + dataUris.get(src) + after : match));
+        }
+    };
+
+    globalThis.psmhImageInliner = psmhImageInliner;
+}
+// End of file
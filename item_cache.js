@@ -0,0 +1,113 @@
+// item_cache.js - IndexedDB cache of the notes and emails read from their pages, so regenerating a report
+// only opens the items that changed. Items are keyed by their record URL and stored with a version stamp
+// built from what the "View All" list shows about them: the date, and the last modification date when the
+// list has that column. An item is reused only while its stamp is unchanged. Notes can be edited: without the
+// "Last Modified Date" column, a note is always read from its page. Sent emails don't change.
+// Used by the background script (see fetchAllDetailsViaTabs()).
+
+if (typeof globalThis.psmhItemCache === 'undefined') {
+    const DB_NAME = 'psmh-item-cache';
+    const DB_VERSION = 1;
+    const ITEMS_STORE = 'items';
+    // Items not read or refreshed for this long are dropped.
+    const MAX_AGE_DAYS = 90;
+
+    const { promisifyRequest } = globalThis.psmhIdb;
+    const withStore = globalThis.psmhIdb.storeRunner({
+        dbName: DB_NAME,
+        version: DB_VERSION,
+        storeName: ITEMS_STORE,
+        label: 'Item cache',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(ITEMS_STORE)) {
+                const store = db.createObjectStore(ITEMS_STORE, { keyPath: 'url' });
+                store.createIndex('cachedAt', 'cachedAt');
+            }
+        }
+    });
+
+    const psmhItemCache = {
+        MAX_AGE_DAYS,
+
+        /**
+         * The version stamp of a list entry.
+         * @param {{type?: string, dateStr?: string, lastModifiedStr?: string}} itemInfo - An entry scraped from a "View All" list.
+         * @returns {string|null} null if the list can't tell whether the item changed: the item is not cached.
+         */
+        stamp(itemInfo) {
+            if (itemInfo.type !== 'Email' && !itemInfo.lastModifiedStr) return null;
+            return `${itemInfo.dateStr || ''}|${itemInfo.lastModifiedStr || ''}`;
+        },
+
+        /**
+         * Reads the cached items that are still up to date.
+         * @param {Array<{url: string, dateStr?: string, lastModifiedStr?: string}>} itemInfos - The entries of the lists.
+         * @returns {Promise<Map<string, object>>} Unified items by URL, their dateObject restored as a Date.
+         */
+        async getFresh(itemInfos) {
+            const found = new Map();
+            const versioned = itemInfos.filter(itemInfo => this.stamp(itemInfo) !== null);
+            if (versioned.length === 0) return found;
+            await withStore('readonly', store => Promise.all(versioned.map(async (itemInfo) => {
+                const record = await promisifyRequest(store.get(itemInfo.url));
+                if (record && record.stamp === this.stamp(itemInfo)) {
+                    found.set(itemInfo.url, { ...record.item, dateObject: record.item.dateObject ? new Date(record.item.dateObject) : null });
+                }
+            })));
+            return found;
+        },
+
+        /**
+         * Stores items read from their pages, replacing their previous versions, and drops old entries.
+         * Items without a version stamp are not stored.
+         * @param {Array<{itemInfo: object, item: object}>} entries - The list entry and the unified item.
+         * @returns {Promise<void>}
+         */
+        async putAll(entries) {
+            const cachedAt = new Date().toISOString();
+            const expiredBefore = new Date(Date.now() - MAX_AGE_DAYS * 24 * 3600 * 1000).toISOString();
+            await withStore('readwrite', store => {
+                entries.forEach(({ itemInfo, item }) => {
+                    const stamp = this.stamp(itemInfo);
+                    if (stamp === null) return;
+                    const dateObject = item.dateObject ? new Date(item.dateObject).toISOString() : null;
+                    store.put({ url: itemInfo.url, stamp, cachedAt, item: { ...item, dateObject } });
+                });
+                store.index('cachedAt').openCursor(IDBKeyRange.upperBound(expiredBefore, true)).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    }
+                };
+            });
+            globalThis.psmhLogger?.debug(`Item cache: Stored ${entries.length} item(s).`);
+        },
+
+        /**
+         * Marks reused items as used, so that they are not dropped as old.
+         * @param {Array<string>} urls
+         * @returns {Promise<void>}
+         */
+        async touch(urls) {
+            if (urls.length === 0) return;
+            const cachedAt = new Date().toISOString();
+            await withStore('readwrite', store => Promise.all(urls.map(async (url) => {
+                const record = await promisifyRequest(store.get(url));
+                if (record) store.put({ ...record, cachedAt });
+            })));
+        },
+
+        /**
+         * Empties the cache.
+         * @returns {Promise<void>}
+         */
+        async clear() {
+            await withStore('readwrite', store => promisifyRequest(store.clear()));
+            globalThis.psmhLogger?.info('Item cache: Cleared.');
+        }
+    };
+
+    globalThis.psmhItemCache = psmhItemCache;
+}
+// End of file
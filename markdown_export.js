@@ -0,0 +1,362 @@
+// markdown_export.js - Converts the Full View data (case header, work orders, timeline) to Markdown.
+// Relies on html_parser.js, work_orders.js, date_format.js and i18n.js being loaded first
+// (globalThis.psmhHtmlParser, globalThis.psmhWorkOrders, globalThis.psmhDates, globalThis.psmhI18n).
+
+if (typeof globalThis.psmhMarkdown === 'undefined') {
+    const SALESFORCE_FILE_SERVER = 'https://myatos.file.force.com';
+
+    // Placeholders used while rendering, replaced once lines have been normalized.
+    const HARD_BREAK = '\uE000';
+    const PRE_NEWLINE = '\uE001';
+    const INDENT = '\uE002';
+    const LINE_END_BREAK = '\uE003';
+
+    const SKIPPED_TAGS = new Set(['script', 'style', 'head', 'title', 'meta', 'link', 'button', 'input', 'select', 'textarea']);
+    const BLOCK_TAGS = new Set(['address', 'article', 'aside', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure',
+        'footer', 'form', 'header', 'main', 'nav', 'p', 'section', 'tbody', 'thead', 'tfoot']);
+
+    /**
+     * Escapes characters that have a meaning in Markdown inline text.
+     * @param {string} text - Plain text.
+     * @returns {string}
+     */
+    function escapeMarkdown(text) {
+        return String(text ?? '').replace(/([\\`*_\[\]<])/g, '\\$1');
+    }
+
+    /**
+     * Makes Salesforce-relative file URLs absolute, like the HTML report does for images.
+     * @param {string} url
+     * @returns {string}
+     */
+    function resolveUrl(url) {
+        if (url && url.startsWith('/sfc/')) return SALESFORCE_FILE_SERVER + url;
+        return url || '';
+    }
+
+    function formatLinkTarget(url) {
+        return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+    }
+
+    /**
+     * Trims every line, collapses runs of blank lines and trims the result.
+     * @param {string} markdown
+     * @returns {string}
+     */
+    function normalizeBlock(markdown) {
+        return markdown
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Wraps non-blank inline content in a Markdown delimiter, keeping surrounding spaces outside.
+     */
+    function wrapInline(content, delimiter) {
+        const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2]) return content;
+        return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+    }
+
+    function renderChildren(node, ctx) {
+        return (node.children || []).map(child => renderNode(child, ctx)).join('');
+    }
+
+    function renderList(node, ctx) {
+        const ordered = node.tag === 'ol';
+        let counter = parseInt(node.attrs.start, 10) || 1;
+        const items = [];
+        node.children.forEach(child => {
+            if (child.type !== 'element' || child.tag !== 'li') {
+                const stray = normalizeBlock(renderNode(child, ctx));
+                if (stray) items.push(stray);
+                return;
+            }
+            const marker = ordered ? `${counter++}. ` : '- ';
+            const content = normalizeBlock(renderChildren(child, ctx))
+                .replace(/\n{2,}/g, '\n')
+                .replace(new RegExp(HARD_BREAK, 'g'), `${LINE_END_BREAK}\n`);
+            const indent = INDENT.repeat(marker.length);
+            items.push(marker + content.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n'));
+        });
+        return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+    }
+
+    function collectRows(node, rows = []) {
+        (node.children || []).forEach(child => {
+            if (child.type !== 'element' || child.tag === 'table') return;
+            if (child.tag === 'tr') rows.push(child);
+            else collectRows(child, rows);
+        });
+        return rows;
+    }
+
+    function renderTable(node, ctx) {
+        const rows = collectRows(node).map(tr => tr.children
+            .filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th'))
+            .map(cell => normalizeBlock(renderChildren(cell, { ...ctx, inTable: true }))
+                .replace(new RegExp(`^[\\s${HARD_BREAK}]+|[\\s${HARD_BREAK}]+$`, 'g'), '')
+                .replace(new RegExp(HARD_BREAK, 'g'), '<br>')
+                .replace(/\n+/g, '<br>')
+                .replace(/\|/g, '\\|')));
+        const nonEmptyRows = rows.filter(cells => cells.length > 0);
+        if (nonEmptyRows.length === 0) return '';
+
+        const columnCount = Math.max(...nonEmptyRows.map(cells => cells.length));
+        const pad = cells => cells.concat(Array(columnCount - cells.length).fill(''));
+        const [header, ...body] = nonEmptyRows.map(pad);
+        const lines = [
+            `| ${header.join(' | ')} |`,
+            `| ${header.map(() => '---').join(' | ')} |`,
+            ...body.map(cells => `| ${cells.join(' | ')} |`)
+        ];
+        return `\n\n${lines.join('\n')}\n\n`;
+    }
+
+    /**
+     * Renders a single parsed node (see html_parser.js) to Markdown.
+     * @param {object} node
+     * @param {{inPre?: boolean, inTable?: boolean}} ctx
+     * @returns {string}
+     */
+    function renderNode(node, ctx) {
+        if (node.type === 'text') {
+            if (ctx.inPre) return node.text.replace(/\r?\n/g, PRE_NEWLINE);
+            return escapeMarkdown(node.text.replace(/\s+/g, ' '));
+        }
+        if (node.type === 'root') return renderChildren(node, ctx);
+
+        const tag = node.tag;
+        if (SKIPPED_TAGS.has(tag)) return '';
+
+        switch (tag) {
+            case 'br':
+                return ctx.inPre ? PRE_NEWLINE : HARD_BREAK;
+            case 'hr':
+                return '\n\n---\n\n';
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+                const text = normalizeBlock(renderChildren(node, ctx)).replace(/\n+/g, ' ');
+                if (!text) return '';
+                if (ctx.inTable) return wrapInline(text, '**');
+                return `\n\n${'#'.repeat(parseInt(tag[1], 10))} ${text}\n\n`;
+            }
+            case 'strong': case 'b':
+                return wrapInline(renderChildren(node, ctx), '**');
+            case 'em': case 'i':
+                return wrapInline(renderChildren(node, ctx), '_');
+            case 's': case 'strike': case 'del':
+                return wrapInline(renderChildren(node, ctx), '~~');
+            case 'code':
+                if (ctx.inPre) return renderChildren(node, ctx);
+                return wrapInline(globalThis.psmhHtmlParser.textContent(node).replace(/`/g, "'"), '`');
+            case 'pre': {
+                const code = renderChildren(node, { ...ctx, inPre: true }).replace(new RegExp(`^${PRE_NEWLINE}|${PRE_NEWLINE}$`, 'g'), '');
+                return `\n\n\`\`\`${PRE_NEWLINE}${code}${PRE_NEWLINE}\`\`\`\n\n`;
+            }
+            case 'a': {
+                const text = renderChildren(node, ctx).trim();
+                const href = resolveUrl((node.attrs.href || '').trim());
+                if (!href || /^(javascript|data|vbscript):/i.test(href) || href.startsWith('#')) return text;
+                if (!text) return `<${href}>`;
+                return `[${text}](${formatLinkTarget(href)})`;
+            }
+            case 'img': {
+                const src = resolveUrl((node.attrs.src || '').trim());
+                if (!src) return '';
+                return `![${escapeMarkdown(node.attrs.alt || '')}](${formatLinkTarget(src)})`;
+            }
+            case 'ul': case 'ol':
+                return ctx.inTable ? renderChildren(node, ctx) : renderList(node, ctx);
+            case 'li':
+                // Only reached for list items outside of a list (or inside a table cell).
+                return `${HARD_BREAK}- ${renderChildren(node, ctx).trim()}`;
+            case 'blockquote': {
+                const quoted = normalizeBlock(renderChildren(node, ctx));
+                if (!quoted) return '';
+                if (ctx.inTable) return quoted;
+                const lines = quoted.replace(new RegExp(HARD_BREAK, 'g'), `${LINE_END_BREAK}\n`).split('\n');
+                return `\n\n${lines.map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+            }
+            case 'table':
+                return ctx.inTable ? renderChildren(node, ctx) : renderTable(node, ctx);
+            case 'td': case 'th':
+                return ` ${renderChildren(node, ctx)} `;
+            case 'tr':
+                return `${HARD_BREAK}${renderChildren(node, ctx)}`;
+            default:
+                if (BLOCK_TAGS.has(tag)) {
+                    const content = renderChildren(node, ctx);
+                    return ctx.inTable ? `${HARD_BREAK}${content}` : `\n\n${content}\n\n`;
+                }
+                return renderChildren(node, ctx);
+        }
+    }
+
+    const t = (key, substitutions) => globalThis.psmhI18n.t(key, substitutions);
+
+    /**
+     * The translated name of a timeline item type ("Note", "Email").
+     */
+    function itemTypeLabel(type) {
+        return t({ Note: 'typeNote', Email: 'typeEmail' }[type] || 'typeItem');
+    }
+
+    /**
+     * Formats one attachment as a Markdown link followed by its size and type.
+     */
+    function formatAttachment(attachment) {
+        const details = [attachment.size, attachment.type].filter(Boolean).join(', ');
+        return `[${escapeMarkdown(attachment.name)}](${formatLinkTarget(attachment.url)})${details ? ` (${escapeMarkdown(details)})` : ''}`;
+    }
+
+    const psmhMarkdown = {
+        escapeMarkdown,
+
+        /**
+         * Converts an HTML fragment (email body, note description...) to Markdown.
+         * Links, lists, tables, headings, emphasis, images and quotes are preserved.
+         * @param {string} html - The HTML fragment.
+         * @returns {string} The Markdown text.
+         */
+        htmlToMarkdown(html) {
+            if (!html) return '';
+            const tree = globalThis.psmhHtmlParser.parse(html);
+            return normalizeBlock(renderNode(tree, {}))
+                .replace(/[ \t]*\uE000[ \t]*(?=\n|$)/g, '')
+                .replace(/(^|\n)[ \t]*\uE000/g, '$1')
+                .replace(/\uE000/g, '  \n')
+                .replace(/\uE001/g, '\n')
+                .replace(/\uE002/g, ' ')
+                .replace(/\uE003/g, '  ');
+        },
+
+        /**
+         * Builds the Markdown equivalent of the "Full View" report.
+         * @param {object} caseDetails - The basic details scraped from the case page.
+         * @param {Array} timelineItems - The fully processed array of notes and/or emails.
+         * @param {object} workOrdersData - The scraped data for the work orders table.
+         * @param {string} generatedTime - The already formatted generation time.
+         * @param {object} [options]
+         * @param {'internal'|'customer'} [options.audience='internal'] - 'customer' leaves out owner, creator, work orders and visibility labels.
+         * @param {object} [options.dateSettings] - Date settings (see date_format.js), the same as the HTML report's.
+         * @returns {string} The complete Markdown document.
+         */
+        buildFullViewMarkdown(caseDetails, timelineItems = [], workOrdersData = { count: 0, columns: [], rows: [] }, generatedTime = '', options = {}) {
+            const isCustomerView = options.audience === 'customer';
+            const dates = globalThis.psmhDates;
+            const dateSettings = options.dateSettings || dates.DEFAULT_SETTINGS;
+            const objectType = caseDetails.objectType || 'Case';
+            const title = `${objectType} ${caseDetails.recordNumber || 'N/A'}: ${caseDetails.subject || 'N/A'}`;
+            const lines = [];
+
+            lines.push(`# ${escapeMarkdown(title)}`, '');
+            if (caseDetails.caseUrl) lines.push(`[${t('reportOpenInSalesforce')}](${formatLinkTarget(caseDetails.caseUrl)})`, '');
+            lines.push(`**${t('reportCustomerAccount')}** ${escapeMarkdown(caseDetails.accountName || 'N/A')}  `);
+            lines.push(`**${t('markdownGenerated')}** ${escapeMarkdown(generatedTime)}  `);
+            lines.push(`**${t('markdownTimesIn')}** ${escapeMarkdown(dates.timeZoneLabel(dateSettings))}`, '');
+
+            lines.push(`| ${t('markdownField')} | ${t('markdownValue')} |`, '| --- | --- |');
+            [
+                [t('fieldDateCreated'), dates.reformat(caseDetails.createdDateStr, dateSettings)],
+                [t('fieldCreatedBy'), caseDetails.creatorName, true],
+                [t('fieldStatus'), caseDetails.status],
+                [t('fieldOwner'), caseDetails.owner, true]
+            ].filter(([, , internalOnly]) => !(internalOnly && isCustomerView))
+                .forEach(([label, value]) => lines.push(`| ${label} | ${escapeMarkdown(value || 'N/A').replace(/\|/g, '\\|')} |`));
+            lines.push('');
+
+            if (!isCustomerView) {
+                const workOrders = globalThis.psmhWorkOrders.normalize(workOrdersData);
+                lines.push(`## ${t('reportWorkOrderCount', workOrders.count)}`, '');
+                if (workOrders.rows.length > 0 && workOrders.columns.length > 0) {
+                    const toRow = (cells) => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+                    lines.push(toRow(workOrders.columns.map(escapeMarkdown)), toRow(workOrders.columns.map(() => '---')));
+                    workOrders.rows.forEach(row => {
+                        lines.push(toRow(workOrders.columns.map((column, index) => {
+                            const cell = row.cells[index] || { text: '', url: null };
+                            return cell.url ? `[${escapeMarkdown(cell.text)}](${formatLinkTarget(cell.url)})` : escapeMarkdown(cell.text);
+                        })));
+                    });
+                    lines.push('');
+                } else {
+                    lines.push(`_${t('reportNoWorkOrders')}_`, '');
+                }
+            }
+
+            lines.push(`## ${t('fieldDescription')}`, '');
+            lines.push(this.htmlToMarkdown(caseDetails.description) || `_${t('reportDescriptionEmpty')}_`, '');
+
+            const sortedTimelineItems = dates.sortByDate(timelineItems);
+
+            const allAttachmentRows = [
+                ...(caseDetails.attachments || []).map(attachment => ({ attachment, source: `${objectType} ${caseDetails.recordNumber || 'N/A'}` })),
+                ...sortedTimelineItems.flatMap(item => (item.attachments || []).map(attachment => ({ attachment, source: `${itemTypeLabel(item.type)}: ${item.title || 'N/A'}` })))
+            ];
+            if (allAttachmentRows.length > 0) {
+                lines.push(`## ${t('reportAllAttachments', allAttachmentRows.length)}`, '');
+                lines.push(`| ${t('reportFile')} | ${t('reportSize')} | ${t('reportType')} | ${t('reportAttachedTo')} |`, '| --- | --- | --- | --- |');
+                allAttachmentRows.forEach(({ attachment, source }) => {
+                    const cells = [
+                        `[${escapeMarkdown(attachment.name)}](${formatLinkTarget(attachment.url)})`,
+                        escapeMarkdown(attachment.size || ''),
+                        escapeMarkdown(attachment.type || ''),
+                        escapeMarkdown(source)
+                    ];
+                    lines.push(`| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`);
+                });
+                lines.push('');
+            }
+
+            const noteCount = timelineItems.filter(i => i.type === 'Note').length;
+            const emailCount = timelineItems.filter(i => i.type === 'Email').length;
+            lines.push(`## ${t('reportTimelineCount', [timelineItems.length, noteCount, emailCount])}`, '');
+
+            if (sortedTimelineItems.length === 0) {
+                lines.push(t('reportNoTimelineItems'), '');
+            }
+
+            sortedTimelineItems.forEach(item => {
+                let visibility = '';
+                if (item.type === 'Note' && !isCustomerView) {
+                    if (item.isPublic === true) visibility = ` ${t('reportPublic')}`;
+                    else if (item.isPublic === false) visibility = ` ${t('reportInternal')}`;
+                }
+
+                const workOrder = item.workOrder ? ` (${t('reportWorkOrder', item.workOrder)})` : '';
+                const heading = `${itemTypeLabel(item.type).toUpperCase()}${visibility}${workOrder} [${item.dateObject ? dates.format(item.dateObject, dateSettings) : t('reportDateError')}] - ${item.title || 'N/A'}`;
+                lines.push(`### ${escapeMarkdown(heading)}`, '');
+                if (item.type === 'Email') {
+                    lines.push(`**${t('reportFrom')}** ${escapeMarkdown(item.author || 'N/A')} | **${t('reportTo')}** ${escapeMarkdown(item.to || 'N/A')}`, '');
+                } else {
+                    lines.push(`**${t('reportBy')}** ${escapeMarkdown(item.author || 'N/A')}`, '');
+                }
+                if (item.url) lines.push(`[${t('reportOpenInSalesforce')}](${formatLinkTarget(item.url)})`, '');
+
+                const content = item.content || '';
+                if (item.fetchError) {
+                    lines.push(`**${escapeMarkdown(t('reportItemFetchFailed', item.fetchError))}**`, '');
+                } else if (content.startsWith('Error:') || content.startsWith('[Fetch Error') || content.startsWith('[Body Fetch Error') || content.startsWith('[Content')) {
+                    lines.push(`**${escapeMarkdown(content)}**`, '');
+                } else {
+                    lines.push(this.htmlToMarkdown(content) || `_${escapeMarkdown(t('reportContentMissing'))}_`, '');
+                    const quotedMarkdown = this.htmlToMarkdown(item.quotedContent);
+                    if (quotedMarkdown) {
+                        lines.push(`<details><summary>${t('markdownShowQuotedText')}</summary>`, '', quotedMarkdown, '', '</details>', '');
+                    }
+                }
+                if (Array.isArray(item.attachments) && item.attachments.length > 0) {
+                    lines.push(`**${t('reportAttachments')}** ${item.attachments.map(formatAttachment).join(', ')}`, '');
+                }
+                lines.push('---', '');
+            });
+
+            return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+        }
+    };
+
+    globalThis.psmhMarkdown = psmhMarkdown;
+}
+// End of file
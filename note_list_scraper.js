@@ -39,6 +39,8 @@ async function waitForAllRows(dataTable, expectedCount) {
                 clearInterval(interval);
                 logger.info(`NOTES_LOG (Scraper): Row count matches expected. Proceeding.`);
                 resolve(true);
+            } else {
+                loadMoreRows(dataTable);
             }
             if (Date.now() - startTime > timeout) {
                 clearInterval(interval);
@@ -49,6 +51,16 @@ async function waitForAllRows(dataTable, expectedCount) {
     });
 }
 
+/**
+ * Scrolls the table to its last row so that it loads the next rows. The table loads them on scroll events,
+ * which a hidden page (a tab of the minimized scraper window) does not get: one is dispatched here.
+ */
+function loadMoreRows(dataTable) {
+    const scroller = dataTable.closest('.slds-scrollable_y') || document.scrollingElement;
+    scroller.scrollTop = scroller.scrollHeight;
+    scroller.dispatchEvent(new Event('scroll'));
+}
+
 
 /**
  * Scrapes the full list of notes from the "View All" page.
@@ -61,7 +73,9 @@ async function scrapeNoteList() {
         statusSelector: 'force-list-view-manager-status-info span.countSortedByFilteredBy',
         rowSelector: 'tbody tr[data-row-key-value]',
         urlSelector: 'th[scope="row"] a[href*="/lightning/r/"]',
-        dateSelector: 'td[data-label="Created Date"] lst-formatted-text span'
+        dateSelector: 'td[data-label="Created Date"] lst-formatted-text span',
+        // Optional column: tells the item cache that a note was edited
+        lastModifiedSelector: 'td[data-label="Last Modified Date"] lst-formatted-text span'
     };
 
     const dataTable = await waitForElement(config.dataTableSelector);
@@ -107,8 +121,10 @@ async function scrapeNoteList() {
         if (urlElement && dateElement) {
             const url = new URL(urlElement.getAttribute('href'), window.location.origin).href;
             const dateStr = dateElement.title || dateElement.textContent?.trim();
-            logger.info(`NOTES_LOG (Scraper): Row ${index + 1} SCRAPED -> URL: ${url}, Date: ${dateStr}`);
-            results.push({ type: 'Note', url, dateStr });
+            const lastModifiedElement = row.querySelector(config.lastModifiedSelector);
+            const lastModifiedStr = lastModifiedElement ? (lastModifiedElement.title || lastModifiedElement.textContent?.trim()) : null;
+            logger.info(`NOTES_LOG (Scraper): Row ${index + 1} SCRAPED -> URL: ${url}, Date: ${dateStr}, Last modified: ${lastModifiedStr}`);
+            results.push({ type: 'Note', url, dateStr, lastModifiedStr });
         } else {
             logger.warn(`NOTES_LOG (Scraper): A row was found, but the URL or Date selector failed.`, {row, urlElement, dateElement});
         }
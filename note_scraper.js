@@ -53,6 +53,7 @@ async function scrapeNoteDetails() {
     let description = null;
     let createdDateText = null;
     let isPublic = false; // VB Default to internal/false
+    let attachments = [];
 
     try {
         // --- Extract Description ---
@@ -134,6 +135,10 @@ async function scrapeNoteDetails() {
              logger.warn(`Failed to find '${createdByItemSelector}'.`);
         }
 
+        // --- Extract Attachments ---
+        attachments = await globalThis.psmhAttachments.scrapeRecordPage();
+        logger.debug(`Extracted ${attachments.length} attachment(s).`);
+
     } catch (error) {
         logger.error("Error during scraping:", error);
         description = description || `Error during scraping: ${error.message}`;
@@ -145,7 +150,8 @@ async function scrapeNoteDetails() {
         author: author,
         description: description ?? '',
         createdDateText: createdDateText,
-        isPublic: isPublic
+        isPublic: isPublic,
+        attachments: attachments
     };
     logger.info("Sending results back to background script:", result);
     chrome.runtime.sendMessage(result);
@@ -54,7 +54,7 @@ function updateStatus(message, type = 'info') {
     const clearBtn = document.createElement('span');
     clearBtn.className = 'psmh-status-clear-btn';
     clearBtn.innerHTML = '&times;';
-    clearBtn.title = 'Clear message';
+    clearBtn.title = psmhI18n.t('panelClearMessage');
     clearBtn.onclick = () => {
         statusDiv.innerHTML = '';
         statusDiv.style.color = 'var(--psmh-button-text)';
@@ -84,14 +84,14 @@ function updateStatus(message, type = 'info') {
  */
 async function injectCustomHeaderInfo() {
     psmhLogger.info('"Show Key Info" button clicked.');    
-    updateStatus('Gathering info...', 'warn');
+    updateStatus(psmhI18n.t('statusGatheringInfo'), 'warn');
     
     // Find the currently active Salesforce tab button to reliably get the panel ID.
     const activeTabButtonSelector = 'li.slds-is-active[role="presentation"] a[role="tab"]';
     const activeTabButton = await waitForElement(activeTabButtonSelector);
      if (!activeTabButton) {
         psmhLogger.error("Could not find the active Salesforce tab button. Selector used:", activeTabButtonSelector);
-        updateStatus('Error: Active tab missing', 'error');
+        updateStatus(psmhI18n.t('statusErrorActiveTabMissing'), 'error');
         return;
     }
     psmhLogger.debug("Found active tab button.", activeTabButton);
@@ -99,7 +99,7 @@ async function injectCustomHeaderInfo() {
     const panelId = activeTabButton.getAttribute('aria-controls');
     if (!panelId) {
         psmhLogger.error("Active tab button has no 'aria-controls' ID.");
-        updateStatus('Error: Could not identify tab content.', 'error');
+        updateStatus(psmhI18n.t('statusErrorTabContentUnknown'), 'error');
         return;
     }
     psmhLogger.debug("Found panel ID:", panelId);
@@ -107,7 +107,7 @@ async function injectCustomHeaderInfo() {
     const activeTabPanel = document.getElementById(panelId);
     if (!activeTabPanel) {
         psmhLogger.error(`Could not find tab panel with ID: ${panelId}`);
-        updateStatus('Error: Could not find tab content.', 'error');
+        updateStatus(psmhI18n.t('statusErrorTabContentNotFound'), 'error');
         return;
     }
     psmhLogger.debug("Found active tab panel.", activeTabPanel);
@@ -125,7 +125,7 @@ async function injectCustomHeaderInfo() {
     const highlightsPanel = await waitForElement(highlightsPanelSelector, activeTabPanel);
     if (!highlightsPanel) {
         psmhLogger.warn('Could not find highlights panel. Selector used:', highlightsPanelSelector);        
-        updateStatus('Error: Page structure error', 'error');
+        updateStatus(psmhI18n.t('statusErrorPageStructure'), 'error');
         return;
     }
     psmhLogger.debug("Found highlights panel.", highlightsPanel);
@@ -141,11 +141,11 @@ async function injectCustomHeaderInfo() {
             if (infoContainer.style.display === 'none') {
                 psmhLogger.info("Info container exists but is hidden. Showing it.");
                 infoContainer.style.display = 'block';                
-                updateStatus('Key info shown.', 'success');
+                updateStatus(psmhI18n.t('statusKeyInfoShown'), 'success');
             } else {
                 psmhLogger.info("Info container is visible. Hiding it.");
                 infoContainer.style.display = 'none';
-                updateStatus('Key info hidden.', 'info');
+                updateStatus(psmhI18n.t('statusKeyInfoHidden'), 'info');
             }
             return; // We're done, no need to re-create or re-populate.
         }
@@ -180,10 +180,10 @@ async function injectCustomHeaderInfo() {
         const accountName = accountNameElement?.textContent?.trim();
         if (accountName) {
             psmhLogger.debug("Found Account Name:", accountName);
-            infoParts.push({ label: 'Account:', value: accountName });
+            infoParts.push({ label: psmhI18n.t('keyInfoAccount'), value: accountName });
         } else {
             psmhLogger.warn("Found Account container but no name inside.");
-            infoParts.push({ label: 'Account:', value: 'N/A' });
+            infoParts.push({ label: psmhI18n.t('keyInfoAccount'), value: 'N/A' });
         }
     } else {
         psmhLogger.warn("Account container not found.");
@@ -198,7 +198,13 @@ async function injectCustomHeaderInfo() {
         const createdBy = createdByElement?.textContent?.trim();
         if (createdBy) {
             psmhLogger.debug("Found Created By:", createdBy);
-            infoParts.push({ label: 'Created By:', value: createdBy });
+            infoParts.push({ label: psmhI18n.t('keyInfoCreatedBy'), value: createdBy });
+        }
+        // The creation date, displayed like the dates of the reports
+        const createdDateText = createdByContainer.querySelector('records-modstamp lightning-formatted-text')?.textContent?.trim();
+        if (createdDateText) {
+            const dateSettings = await loadDateSettings([createdDateText]);
+            infoParts.push({ label: psmhI18n.t('keyInfoCreated'), value: escapeHtml(psmhDates.reformat(createdDateText, dateSettings)) });
         }
     } else {
         psmhLogger.warn("Created By container not found.");
@@ -227,10 +233,10 @@ async function injectCustomHeaderInfo() {
 
         infoContainer.appendChild(infoDisplayDiv);
         psmhLogger.info(`Displayed Info: "${infoParts.join(' / ')}"`);        
-        updateStatus('Key info shown.', 'success');
+        updateStatus(psmhI18n.t('statusKeyInfoShown'), 'success');
     } else {
         psmhLogger.warn("No info parts were found to display.");        
-        updateStatus('Could not find info.', 'warn');
+        updateStatus(psmhI18n.t('statusKeyInfoNotFound'), 'warn');
     }
 }
 
@@ -340,7 +346,7 @@ async function setPicklistValue(triggerSelector, optionValue, fieldName) {
 
 async function autofillCommunity() {
     psmhLogger.info('autofillCommunity: called');    
-    updateStatus('Autofilling Community Info...', 'warn');
+    updateStatus(psmhI18n.t('statusAutofillingCommunity'), 'warn');
 
     const consolePrefix = 'autofillCommunity';
     psmhLogger.debug(`${consolePrefix}: Looking for LWC dropdowns for Language, Timezone, Locale, Currency, and Email Encoding.`);
@@ -365,9 +371,9 @@ async function autofillCommunity() {
 
     // Update the status panel based on the outcome
     if (allSuccessful) {
-        updateStatus(`Autofilled ${fieldsToAutofill.length} fields successfully!`, 'success');
+        updateStatus(psmhI18n.t('statusAutofilledFields', fieldsToAutofill.length), 'success');
     } else {
-        updateStatus('Error: Failed to autofill one or more fields.', 'error');
+        updateStatus(psmhI18n.t('statusErrorAutofillFields'), 'error');
     }
 }
 
@@ -376,7 +382,7 @@ async function autofillCommunity() {
  */
 async function autofillFromAddress() {
     psmhLogger.info('"Autofill From Address" button clicked.');
-    updateStatus('Searching for "From" dropdown...', 'warn');
+    updateStatus(psmhI18n.t('statusSearchingFromDropdown'), 'warn');
 
     // Get the configured email address from storage
     const data = await chrome.storage.sync.get('preferredFromAddress');
@@ -398,7 +404,7 @@ async function autofillFromAddress() {
 
     if (!fromLabel) {
         psmhLogger.error('Could not find a label for "From". The "New Email" form might not be open.');
-        updateStatus('Error: "From" field label not found.', 'error');
+        updateStatus(psmhI18n.t('statusErrorFromLabelNotFound'), 'error');
         return;
     }
 
@@ -406,7 +412,7 @@ async function autofillFromAddress() {
     const container = fromLabel.closest('.uiInput.uiInputSelect');
     if (!container) {
         psmhLogger.error('Could not find the parent container (.uiInput.uiInputSelect) for the label.');
-        updateStatus('Error: "From" field container not found.', 'error');
+        updateStatus(psmhI18n.t('statusErrorFromContainerNotFound'), 'error');
         return;
     }
     psmhLogger.debug('Found parent container:', container);
@@ -414,7 +420,7 @@ async function autofillFromAddress() {
     const dropdownTrigger = container.querySelector('a[role="combobox"]');
     if (!dropdownTrigger) {
          psmhLogger.error('Could not find the dropdown trigger link inside the container.');
-         updateStatus('Error: Cannot click "From" dropdown.', 'error');
+         updateStatus(psmhI18n.t('statusErrorFromDropdown'), 'error');
          return;
     }
 
@@ -429,7 +435,7 @@ async function autofillFromAddress() {
 
     if (!emailOptionElement) {
         psmhLogger.error(`The email option "${desiredEmail}" was not found in the dropdown.`);
-        updateStatus(`Error: Option "${desiredEmail}" not found.`, 'error');
+        updateStatus(psmhI18n.t('statusErrorOptionNotFound', desiredEmail), 'error');
         // If the dropdown is still open, click the trigger again to close it.
         if (dropdownTrigger.getAttribute('aria-expanded') === 'true') {
             psmhLogger.debug('Closing dropdown because option was not found.');
@@ -446,11 +452,11 @@ async function autofillFromAddress() {
     const selectedText = dropdownTrigger.textContent?.trim();
     
     if (selectedText.includes('psm-support-email@atos.net')) { // Check for a unique part of the email
-        updateStatus(`Autofilled "${desiredEmail}"!`, 'success');
+        updateStatus(psmhI18n.t('statusAutofilledAddress', desiredEmail), 'success');
         psmhLogger.info('Successfully autofilled. New value confirmed:', selectedText);
     } else {
         psmhLogger.warn('Clicked the option, but the new value was not immediately reflected. Current value:', selectedText);
-        updateStatus('Autofill may have failed.', 'warn');
+        updateStatus(psmhI18n.t('statusAutofillMayHaveFailed'), 'warn');
     }
 }
 
@@ -470,7 +476,7 @@ async function getEmailFromInputOrClipboard() {
     }
 
     psmhLogger.info("getEmailFromInputOrClipboard: Input is empty, trying to read from clipboard.");
-    updateStatus('Input empty, checking clipboard...', 'info');
+    updateStatus(psmhI18n.t('statusCheckingClipboard'), 'info');
     
     try {
         const clipboardText = await navigator.clipboard.readText();
@@ -483,19 +489,19 @@ async function getEmailFromInputOrClipboard() {
         if (emailRegex.test(trimmedText)) {
             email = trimmedText;
             psmhLogger.info(`getEmailFromInputOrClipboard: Found valid email in clipboard: "${email}"`);
-            updateStatus('Using email from clipboard.', 'success');
+            updateStatus(psmhI18n.t('statusUsingClipboardEmail'), 'success');
             emailInput.value = email;
             // Trigger input event to show clear button
             emailInput.dispatchEvent(new Event('input', { bubbles: true })); 
             return email;
         } else {
             psmhLogger.warn(`getEmailFromInputOrClipboard: Clipboard content is not a valid email: "${clipboardText}"`);
-            updateStatus('Clipboard has no valid email.', 'error');
+            updateStatus(psmhI18n.t('statusClipboardNoEmail'), 'error');
             return null;
         }
     } catch (err) {
         psmhLogger.error("getEmailFromInputOrClipboard: Could not read from clipboard.", err);
-        updateStatus('Failed to read clipboard.', 'error');
+        updateStatus(psmhI18n.t('statusClipboardReadFailed'), 'error');
         return null;
     }
 }
@@ -505,7 +511,7 @@ async function getEmailFromInputOrClipboard() {
  */
 async function lookupLastLoginFromEmail() {
     psmhLogger.info("FUDFE: 'Lookup Last Login' button clicked.");
-    updateStatus('Getting email...', 'info');
+    updateStatus(psmhI18n.t('statusGettingEmail'), 'info');
 
     const email = await getEmailFromInputOrClipboard();
     if (!email) {
@@ -517,7 +523,7 @@ async function lookupLastLoginFromEmail() {
     const reportUrl = `${window.location.origin}/lightning/r/Report/00ObD0000027JRNUA2/view?fv0=${encodedEmail}`;
 
     window.open(reportUrl, '_blank');
-    updateStatus('Last login report opened.', 'info');
+    updateStatus(psmhI18n.t('statusLastLoginOpened'), 'info');
 }
 
 /**
@@ -535,7 +541,7 @@ async function fillUserDataFromEmail() {
     }
         */ 
 
-    updateStatus('Getting email...', 'info');
+    updateStatus(psmhI18n.t('statusGettingEmail'), 'info');
 
     const email = await getEmailFromInputOrClipboard();
     if (!email) {
@@ -576,9 +582,9 @@ async function fillUserDataFromEmail() {
     const successEmail = await setInputValue('input[name="Email"]', lowerCaseEmail, 'Email');
 
     if (successTitle && successFirstName && successLastName && successEmail) {
-        updateStatus('User data filled successfully!', 'success');
+        updateStatus(psmhI18n.t('statusUserDataFilled'), 'success');
     } else {
-        updateStatus('Error: Could not fill all fields.', 'error');
+        updateStatus(psmhI18n.t('statusErrorFillFields'), 'error');
     }
 }
 
@@ -646,6 +652,40 @@ function makePanelDraggable(panel, header, lastVisiblePosition) {
 }
 
 
+/**
+ * Validates a case number typed by the user and completes the short form.
+ * @param {string} input - e.g. "67123" or "00067123".
+ * @returns {{caseNumber: string|null, error: string|null}} The 8-digit number, or the reason it is invalid.
+ */
+function normalizeCaseNumber(input) {
+    const value = String(input).trim();
+    const isFiveDigit = /^\d{5}$/.test(value);
+    const isEightDigit = /^000\d{5}$/.test(value);
+
+    if (!isFiveDigit && !isEightDigit) {
+        return { caseNumber: null, error: psmhI18n.t('errorCaseNumberFormat') };
+    }
+    if (isFiveDigit && parseInt(value, 10) <= 67000) {
+        return { caseNumber: null, error: psmhI18n.t('errorCaseNumberTooLow') };
+    }
+    // Transform 5-digit number to 8-digit
+    return { caseNumber: isFiveDigit ? '000' + value : value, error: null };
+}
+
+/**
+ * Reads the date settings (see date_format.js). An 'auto' date order is detected from the given
+ * Salesforce dates, or else taken from the last report generation.
+ * @param {Array<string>} [dateStrings]
+ * @returns {Promise<object>} Settings for psmhDates, with a definite date order.
+ */
+async function loadDateSettings(dateStrings = []) {
+    const [{ dateSettings }, { detectedDateOrder }] = await Promise.all([
+        chrome.storage.sync.get('dateSettings'),
+        chrome.storage.local.get('detectedDateOrder')
+    ]);
+    return psmhDates.resolveSettings(psmhDates.normalizeSettings(dateSettings), psmhDates.detectDateOrder(dateStrings) || detectedDateOrder);
+}
+
 // --- Main UI Injection ---
 function injectUI() {
     if (document.getElementById('psmh-panel')) {
@@ -664,36 +704,41 @@ function injectUI() {
     const content = myCreateElement('div', { id: 'psmh-content' });
 
     const caseOpenerContainer = myCreateElement('div', { id: 'psmh-case-opener-container' });
-    const caseInput = myCreateElement('input', { id: 'psmh-case-input', type: 'text', placeholder: 'Case Number...', name: 'psmh-case-number', autocomplete: 'on' });
-    const openCaseButton = myCreateElement('button', { id: 'psmh-open-case', textContent: 'View', className: 'psmh-button' });
+    const caseInput = myCreateElement('input', { id: 'psmh-case-input', type: 'text', placeholder: psmhI18n.t('panelCaseInputPlaceholder'), name: 'psmh-case-number', autocomplete: 'on' });
+    const openCaseButton = myCreateElement('button', { id: 'psmh-open-case', textContent: psmhI18n.t('panelView'), className: 'psmh-button' });
     caseOpenerContainer.append(caseInput, openCaseButton);
 
-    const autofillButton = myCreateElement('button', { id: 'psmh-autofill-from', textContent: 'Fill "From" Field', className: 'psmh-button' });
-    const showInfoButton = myCreateElement('button', { id: 'psmh-show-info', textContent: 'Show Key Info', className: 'psmh-button' });
-    const generateButton = myCreateElement('button', { id: 'psmh-generate', textContent: 'Generate Full View', className: 'psmh-button' });
-    const copyButton = myCreateElement('button', { id: 'psmh-copy', textContent: 'Copy Case Link', className: 'psmh-button' });
-    const updateByEmailButton = myCreateElement('button', { id: 'psmh-update-by-email', textContent: 'Update Case by Email', className: 'psmh-button' });
+    const autofillButton = myCreateElement('button', { id: 'psmh-autofill-from', textContent: psmhI18n.t('panelFillFrom'), className: 'psmh-button' });
+    const showInfoButton = myCreateElement('button', { id: 'psmh-show-info', textContent: psmhI18n.t('panelShowKeyInfo'), className: 'psmh-button' });
+    const generateButton = myCreateElement('button', { id: 'psmh-generate', textContent: psmhI18n.t('panelGenerateFullView'), className: 'psmh-button' });
+    const generateCustomerButton = myCreateElement('button', { id: 'psmh-generate-customer', textContent: psmhI18n.t('panelGenerateCustomerView'), className: 'psmh-button', title: psmhI18n.t('panelGenerateCustomerViewTitle') });
+    // Shown while a Full View is being generated
+    const cancelGenerationButton = myCreateElement('button', { id: 'psmh-cancel-generation', textContent: psmhI18n.t('panelCancelGeneration'), className: 'psmh-button', title: psmhI18n.t('panelCancelGenerationTitle') });
+    cancelGenerationButton.style.display = 'none';
+    const batchButton = myCreateElement('button', { id: 'psmh-batch', textContent: psmhI18n.t('panelBatch'), className: 'psmh-button', title: psmhI18n.t('panelBatchTitle') });
+    const copyButton = myCreateElement('button', { id: 'psmh-copy', textContent: psmhI18n.t('panelCopyCaseLink'), className: 'psmh-button' });
+    const updateByEmailButton = myCreateElement('button', { id: 'psmh-update-by-email', textContent: psmhI18n.t('panelUpdateByEmail'), className: 'psmh-button' });
 
     // --- Create Collapsible Sections ---
     const autofillDetails = myCreateElement('details', {});
-    const autofillSummary = myCreateElement('summary', { textContent: 'Admin Tools' });
+    const autofillSummary = myCreateElement('summary', { textContent: psmhI18n.t('panelAdminTools') });
     const autofillContent = myCreateElement('div', { className: 'psmh-section-content' });    
-    const autofillCommButton = myCreateElement('button', { id: 'psmh-autofill-comm', textContent: 'Fill Community Info', className: 'psmh-button' });
+    const autofillCommButton = myCreateElement('button', { id: 'psmh-autofill-comm', textContent: psmhI18n.t('panelFillCommunity'), className: 'psmh-button' });
     
     // Create new FUDFE elements
     const fudfeContainer = myCreateElement('div', { id: 'psmh-fudfe-container' });
     const fudfeActionsContainer = myCreateElement('div', { className: 'psmh-fudfe-actions' });
-    // keep the string e\u200Bmail as it is to prevent LastPass from interfering
-    const fudfeInput = myCreateElement('input', { id: 'psmh-fudfe-input',  type: 'text', placeholder: 'Enter e\u200Bma\u200Bil or use clipboard' });
+    // keep the string e\u200Bmail as it is (also in the translations) to prevent LastPass from interfering
+    const fudfeInput = myCreateElement('input', { id: 'psmh-fudfe-input',  type: 'text', placeholder: psmhI18n.t('panelEmailPlaceholder') });
     fudfeInput.setAttribute('data-lpignore', 'true');
-    const lookupLoginButton = myCreateElement('button', { id: 'psmh-lookup-login-btn', textContent: 'Lookup Last Login From Email', className: 'psmh-button psmh-button-small' });
-    const fudfeButton = myCreateElement('button', { id: 'psmh-fudfe-button', textContent: 'Fill Contact Data From Email', className: 'psmh-button psmh-button-small' });
+    const lookupLoginButton = myCreateElement('button', { id: 'psmh-lookup-login-btn', textContent: psmhI18n.t('panelLookupLastLogin'), className: 'psmh-button psmh-button-small' });
+    const fudfeButton = myCreateElement('button', { id: 'psmh-fudfe-button', textContent: psmhI18n.t('panelFillContact'), className: 'psmh-button psmh-button-small' });
 
     // --- Create a wrapper for the input and its new clear button ---
     const fudfeInputWrapper = myCreateElement('div', {});
     fudfeInputWrapper.style.cssText = 'position: relative; display: flex; align-items: center; width: 100%;';
 
-    const fudfeClearButton = myCreateElement('span', { innerHTML: '&times;', title: 'Clear email' });
+    const fudfeClearButton = myCreateElement('span', { innerHTML: '&times;', title: psmhI18n.t('panelClearEmail') });
     fudfeClearButton.style.cssText = 'position: absolute; right: 8px; top: 50%; transform: translateY(-50%); cursor: pointer; font-size: 18px; color: #999; display: none;';
 
     // Adjust input style to make space for the clear button
@@ -712,15 +757,15 @@ function injectUI() {
     autofillDetails.append(autofillSummary, autofillContent);
 
     const devDetails = myCreateElement('details', { id: 'psmh-dev-tools-details' });
-    const devSummary = myCreateElement('summary', { textContent: 'Developer Tools' });
+    const devSummary = myCreateElement('summary', { textContent: psmhI18n.t('panelDeveloperTools') });
     const devContent = myCreateElement('div', { className: 'psmh-section-content' });
     
-    const debugButton = myCreateElement('button', { id: 'psmh-debug', textContent: 'Debug to console', className: 'psmh-button' });
+    const debugButton = myCreateElement('button', { id: 'psmh-debug', textContent: psmhI18n.t('panelDebug'), className: 'psmh-button' });
     
     // Create Log Level Dropdown
     const logLevelContainer = myCreateElement('div', {});
     logLevelContainer.style.cssText = 'display: flex; align-items: center; justify-content: space-between; font-size: 12px;';
-    const logLevelLabel = myCreateElement('label', { htmlFor: 'psmh-log-level-select', textContent: 'Log Level:' });
+    const logLevelLabel = myCreateElement('label', { htmlFor: 'psmh-log-level-select', textContent: psmhI18n.t('panelLogLevel') });
     const logLevelSelect = myCreateElement('select', { id: 'psmh-log-level-select' });
     logLevelSelect.style.cssText = 'padding: 2px; border-radius: 3px; border: 1px solid #ccc;';
     ['ERROR', 'WARN', 'INFO', 'DEBUG'].forEach(level => {
@@ -733,7 +778,7 @@ function injectUI() {
     // This setting is being moved to the new Preferences modal
     const shortcutContainer = myCreateElement('div', {});
     shortcutContainer.style.cssText = 'display: flex; align-items: center; justify-content: space-between; font-size: 12px; margin-top: 6px;';
-    const shortcutLabel = myCreateElement('label', { htmlFor: 'psmh-close-shortcut-toggle', textContent: 'Enable Alt+C  (Close Tab):' });
+    const shortcutLabel = myCreateElement('label', { htmlFor: 'psmh-close-shortcut-toggle', textContent: psmhI18n.t('prefsCloseShortcut') });
     const shortcutToggle = myCreateElement('input', { id: 'psmh-close-shortcut-toggle', type: 'checkbox' });
     shortcutContainer.append(shortcutLabel, shortcutToggle);
     devDetails.append(devSummary, devContent); // Group dev tools
@@ -741,10 +786,10 @@ function injectUI() {
     // Create a new row for About and Help buttons
     const aboutHelpRow = myCreateElement('div', { className: 'psmh-button-group-left' });
     aboutHelpRow.style.cssText = 'display: flex; gap: 6px;';
-    const newAboutButton = myCreateElement('button', { id: 'psmh-about-btn', textContent: 'About', className: 'psmh-button' });
+    const newAboutButton = myCreateElement('button', { id: 'psmh-about-btn', textContent: psmhI18n.t('panelAbout'), className: 'psmh-button' });
     newAboutButton.style.flex = '1';
-    const helpButton = myCreateElement('button', { id: 'psmh-help-btn', textContent: 'Help', className: 'psmh-button psmh-button-small-text' });
-    const prefsButton = myCreateElement('button', { id: 'psmh-prefs-btn', className: 'psmh-button', innerHTML: '⚙️', title: 'Preferences' });
+    const helpButton = myCreateElement('button', { id: 'psmh-help-btn', textContent: psmhI18n.t('panelHelp'), className: 'psmh-button psmh-button-small-text' });
+    const prefsButton = myCreateElement('button', { id: 'psmh-prefs-btn', className: 'psmh-button', innerHTML: '⚙️', title: psmhI18n.t('panelPreferences') });
 
     const leftButtons = myCreateElement('div', { className: 'psmh-button-group-left' });
     leftButtons.append(newAboutButton, helpButton);
@@ -758,16 +803,23 @@ function injectUI() {
     content.appendChild(autofillButton);
     content.appendChild(showInfoButton);
     content.appendChild(generateButton);
+    content.appendChild(generateCustomerButton);
+    content.appendChild(cancelGenerationButton);
+    content.appendChild(batchButton);
     content.appendChild(autofillDetails); // Moved down
     content.appendChild(devDetails);
     content.appendChild(aboutHelpRow); // New button row at the bottom
 
     panel.appendChild(header);
     panel.appendChild(content);
-    const statusDiv = myCreateElement('div', { id: 'psmh-status', textContent: 'Ready.' });
+    const statusDiv = myCreateElement('div', { id: 'psmh-status', textContent: psmhI18n.t('statusReady') });
     panel.appendChild(statusDiv);
+    // Filled by content.js while a Full View generation runs ("generationProgress" messages).
+    const progressDiv = myCreateElement('div', { id: 'psmh-progress' });
+    progressDiv.hidden = true;
+    panel.appendChild(progressDiv);
 
-    const toggleButton = myCreateElement('button', { id: 'psmh-toggle', innerHTML: '&#x1F6E0;&#xFE0F;', 'aria-label': 'Toggle Panel' });
+    const toggleButton = myCreateElement('button', { id: 'psmh-toggle', innerHTML: '&#x1F6E0;&#xFE0F;', 'aria-label': psmhI18n.t('panelTogglePanel') });
 
     // --- About Modal --- (IDs are now more specific)
     const aboutModalOverlay = myCreateElement('div', { id: 'psmh-modal-overlay-about' });
@@ -775,13 +827,11 @@ function injectUI() {
     const aboutModalContent = myCreateElement('div', { id: 'psmh-modal-content-about' });
     aboutModalContent.classList.add('psmh-modal-content');
     const aboutModalClose = myCreateElement('button', { id: 'psmh-modal-close-about', innerHTML: '&times;' });
-    const aboutModalTitle = myCreateElement('h5', { textContent: 'About PSM Helper' });
+    const aboutModalTitle = myCreateElement('h5', { textContent: psmhI18n.t('aboutTitle') });
     const aboutModalBody = myCreateElement('div', { id: 'psmh-modal-body-about' });
     
     const extensionVersion = chrome.runtime.getManifest().version;
-    aboutModalBody.innerHTML = `<p><strong>Version:</strong> ${extensionVersion}</p>
-      <p>This Chrome extension is experimental and is not an official tool from Atos IT (the developers of PSM).</p>
-      <p>For information or feedback, contact <b>Vincent Borghi</b>.</p>`;
+    aboutModalBody.innerHTML = psmhI18n.t('aboutBody', extensionVersion);
     aboutModalContent.append(aboutModalClose, aboutModalTitle, aboutModalBody);
     aboutModalOverlay.appendChild(aboutModalContent);
 
@@ -791,23 +841,9 @@ function injectUI() {
     const helpModalContent = myCreateElement('div', { id: 'psmh-modal-content-help' });
     helpModalContent.classList.add('psmh-modal-content');
     const helpModalClose = myCreateElement('button', { id: 'psmh-modal-close-help', innerHTML: '&times;' });
-    const helpModalTitle = myCreateElement('h5', { textContent: 'Help' });
+    const helpModalTitle = myCreateElement('h5', { textContent: psmhI18n.t('helpTitle') });
     const helpModalBody = myCreateElement('div', { id: 'psmh-modal-body-help' });
-    helpModalBody.innerHTML = `
-      <p><i>(Help text draft - under construction)</i></p>
-      <h4>Main Tools</h4>
-      <p><strong>Case Number Lookup:</strong> Enter a 5 or 8-digit case number and press Enter or 'Go' to open the case page directly.</p>
-      <p><strong>Copy Record Link:</strong> Copies a rich-text link of the current Case or Work Order number to your clipboard.</p>
-      <p><strong>Show Key Info:</strong> Toggles a display of the Account and Creator's name below the main record header.</p>
-      <p><strong>Generate Full View:</strong> Scans the current page for all notes and emails, then compiles them into a single, chronological view in a new tab.</p>
-      <h4>Admin Tools</h4>
-      <p><strong>Fill From Address:</strong> When composing an email, this sets the 'From' address to the default PSM Support email.</p>
-      <p><strong>Fill Community Info:</strong> On the user creation page, this fills Language, Timezone, and other fields with default French/European values.</p>
-      <p><strong>Email Tools:</strong> Enter a user's email address to use the 'Lookup Last Login' or 'Fill Contact Data' functions.</p>
-      <h4>Developer Tools</h4>
-      <p><strong>Log Level:</strong> Sets the verbosity of logs from this extension that appear in the developer console. 'ERROR' is the quietest, 'DEBUG' is the loudest.</p>
-      <hr><p>Please report any issues or feedback to the developer.</p>
-    `;
+    helpModalBody.innerHTML = psmhI18n.t('helpBody');
     helpModalContent.append(helpModalClose, helpModalTitle, helpModalBody);
     helpModalOverlay.appendChild(helpModalContent);
 
@@ -817,7 +853,7 @@ function injectUI() {
     const updateCaseModalContent = myCreateElement('div', { id: 'psmh-modal-content-update-case' });
     updateCaseModalContent.classList.add('psmh-modal-content');
     const updateCaseModalClose = myCreateElement('button', { id: 'psmh-modal-close-update-case', innerHTML: '&times;' });
-    const updateCaseModalTitle = myCreateElement('h5', { textContent: 'Update Case by Email' });
+    const updateCaseModalTitle = myCreateElement('h5', { textContent: psmhI18n.t('panelUpdateByEmail') });
     const updateCaseModalBody = myCreateElement('div', { id: 'psmh-modal-body-update-case' });
     updateCaseModalContent.append(updateCaseModalClose, updateCaseModalTitle, updateCaseModalBody);
     updateCaseModalOverlay.appendChild(updateCaseModalContent);
@@ -828,14 +864,14 @@ function injectUI() {
     const prefsModalContent = myCreateElement('div', { id: 'psmh-modal-content-prefs' });
     prefsModalContent.classList.add('psmh-modal-content');
     const prefsModalClose = myCreateElement('button', { id: 'psmh-modal-close-prefs', innerHTML: '&times;' });
-    const prefsModalTitle = myCreateElement('h5', { textContent: 'Preferences' });
+    const prefsModalTitle = myCreateElement('h5', { textContent: psmhI18n.t('panelPreferences') });
     const prefsModalBody = myCreateElement('div', { id: 'psmh-modal-body-prefs' });
     prefsModalBody.appendChild(shortcutContainer); // Move the shortcut setting here
 
     // --- Create 'From' Address Preference ---
     const fromAddressContainer = myCreateElement('div', {});
     fromAddressContainer.style.cssText = 'display: flex; align-items: center; justify-content: space-between; font-size: 12px; margin-top: 12px; padding-top: 8px; border-top: 1px solid #eee;';
-    const fromAddressLabel = myCreateElement('label', { htmlFor: 'psmh-from-address-select', textContent: 'Preferred "From" Address:' });
+    const fromAddressLabel = myCreateElement('label', { htmlFor: 'psmh-from-address-select', textContent: psmhI18n.t('prefsFromAddress') });
     const fromAddressSelect = myCreateElement('select', { id: 'psmh-from-address-select' });
     fromAddressSelect.style.cssText = 'padding: 4px; border-radius: 4px; border: 1px solid #ccc;';
     
@@ -853,9 +889,86 @@ function injectUI() {
     fromAddressContainer.append(fromAddressLabel, fromAddressSelect);
     prefsModalBody.appendChild(fromAddressContainer);
 
+    // --- Create 'Embed images' Preference (size limit per image in Full View reports) ---
+    const inlineImagesContainer = myCreateElement('div', {});
+    inlineImagesContainer.style.cssText = 'display: flex; align-items: center; justify-content: space-between; font-size: 12px; margin-top: 12px; padding-top: 8px; border-top: 1px solid #eee;';
+    const inlineImagesLabel = myCreateElement('label', { htmlFor: 'psmh-inline-images-select', textContent: psmhI18n.t('prefsInlineImages'), title: psmhI18n.t('prefsInlineImagesTitle') });
+    const inlineImagesSelect = myCreateElement('select', { id: 'psmh-inline-images-select' });
+    inlineImagesSelect.style.cssText = 'padding: 4px; border-radius: 4px; border: 1px solid #ccc;';
+    [['0', psmhI18n.t('prefsInlineImagesOff')], ['200', '200 KB'], ['500', '500 KB'], ['1024', '1 MB'], ['2048', '2 MB'], ['5120', '5 MB']].forEach(([value, label]) => {
+        inlineImagesSelect.appendChild(myCreateElement('option', { value, textContent: label }));
+    });
+    inlineImagesContainer.append(inlineImagesLabel, inlineImagesSelect);
+    prefsModalBody.appendChild(inlineImagesContainer);
+
+    // --- Create 'Work Order deep mode' Preference (collect each Work Order's notes and emails too) ---
+    const deepModeContainer = myCreateElement('div', {});
+    deepModeContainer.style.cssText = 'display: flex; align-items: center; justify-content: space-between; font-size: 12px; margin-top: 12px; padding-top: 8px; border-top: 1px solid #eee;';
+    const deepModeLabel = myCreateElement('label', { htmlFor: 'psmh-wo-deep-mode-toggle', textContent: psmhI18n.t('prefsDeepMode'), title: psmhI18n.t('prefsDeepModeTitle') });
+    const deepModeToggle = myCreateElement('input', { id: 'psmh-wo-deep-mode-toggle', type: 'checkbox' });
+    deepModeContainer.append(deepModeLabel, deepModeToggle);
+    prefsModalBody.appendChild(deepModeContainer);
+
+    // --- Create 'Full refresh' Preference (open every note and email, ignoring the item cache) ---
+    const fullRefreshContainer = myCreateElement('div', {});
+    fullRefreshContainer.style.cssText = 'display: flex; align-items: center; justify-content: space-between; font-size: 12px; margin-top: 12px; padding-top: 8px; border-top: 1px solid #eee;';
+    const fullRefreshLabel = myCreateElement('label', { htmlFor: 'psmh-full-refresh-toggle', textContent: psmhI18n.t('prefsFullRefresh'), title: psmhI18n.t('prefsFullRefreshTitle') });
+    const fullRefreshToggle = myCreateElement('input', { id: 'psmh-full-refresh-toggle', type: 'checkbox' });
+    fullRefreshContainer.append(fullRefreshLabel, fullRefreshToggle);
+    prefsModalBody.appendChild(fullRefreshContainer);
+
+    // --- Create the drop-down preferences (dates, language, data source, parallel tabs) ---
+    const preferenceSelectStyle = 'padding: 4px; border-radius: 4px; border: 1px solid #ccc; max-width: 150px;';
+    const createPreference = (id, labelText, title, options) => {
+        const container = myCreateElement('div', {});
+        container.style.cssText = 'display: flex; align-items: center; justify-content: space-between; font-size: 12px; margin-top: 12px; padding-top: 8px; border-top: 1px solid #eee;';
+        const label = myCreateElement('label', { htmlFor: id, textContent: labelText, title });
+        const select = myCreateElement('select', { id });
+        select.style.cssText = preferenceSelectStyle;
+        options.forEach(([value, text]) => select.appendChild(myCreateElement('option', { value, textContent: text })));
+        container.append(label, select);
+        prefsModalBody.appendChild(container);
+        return select;
+    };
+    const dateOrderSelect = createPreference('psmh-date-order-select', psmhI18n.t('prefsDateOrder'), psmhI18n.t('prefsDateOrderTitle'),
+        [['auto', psmhI18n.t('prefsDateOrderAuto')], ['DMY', 'DD/MM/YYYY'], ['MDY', 'MM/DD/YYYY'], ['YMD', 'YYYY-MM-DD']]);
+    const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const timeZoneSelect = createPreference('psmh-time-zone-select', psmhI18n.t('prefsTimeZone'), psmhI18n.t('prefsTimeZoneTitle'),
+        [['', psmhI18n.t('prefsTimeZoneBrowser', browserTimeZone)], ...psmhDates.timeZones().map(zone => [zone, zone])]);
+    const dateDisplaySelect = createPreference('psmh-date-display-select', psmhI18n.t('prefsDateDisplay'), psmhI18n.t('prefsDateDisplayTitle'),
+        [['DMY', '25/12/2024 14:30'], ['MDY', '12/25/2024 2:30 PM'], ['ISO', '2024-12-25 14:30']]);
+
+    // --- Create 'Language' Preference (panel and reports; language names are not translated) ---
+    const languageSelect = createPreference('psmh-language-select', psmhI18n.t('prefsLanguage'), psmhI18n.t('prefsLanguageTitle'),
+        [['auto', psmhI18n.t('prefsLanguageAuto')], ['en', 'English'], ['fr', 'Français']]);
+
+    // --- Create 'Data source' Preference (Salesforce API, browser tabs, or the API with tabs as fallback) ---
+    const dataBackendSelect = createPreference('psmh-data-backend-select', psmhI18n.t('prefsDataBackend'), psmhI18n.t('prefsDataBackendTitle'),
+        [['auto', psmhI18n.t('prefsDataBackendAuto')], ['api', psmhI18n.t('prefsDataBackendApi')], ['tabs', psmhI18n.t('prefsDataBackendTabs')]]);
+
+    // --- Create 'Parallel tabs' Preferences (bounds of the number of note and email pages open at the same time) ---
+    const concurrencyOptions = Array.from({ length: psmhAdaptiveScheduler.UPPER_LIMIT }, (_, index) => [String(index + 1), String(index + 1)]);
+    const concurrencyMinSelect = createPreference('psmh-concurrency-min-select', psmhI18n.t('prefsConcurrencyMin'), psmhI18n.t('prefsConcurrencyTitle'), concurrencyOptions);
+    const concurrencyMaxSelect = createPreference('psmh-concurrency-max-select', psmhI18n.t('prefsConcurrencyMax'), psmhI18n.t('prefsConcurrencyTitle'), concurrencyOptions);
+
     prefsModalContent.append(prefsModalClose, prefsModalTitle, prefsModalBody);
     prefsModalOverlay.appendChild(prefsModalContent);
 
+    // --- Batch Full View Modal ---
+    const batchModalOverlay = myCreateElement('div', { id: 'psmh-modal-overlay-batch' });
+    batchModalOverlay.classList.add('psmh-modal-overlay');
+    const batchModalContent = myCreateElement('div', { id: 'psmh-modal-content-batch' });
+    batchModalContent.classList.add('psmh-modal-content');
+    const batchModalClose = myCreateElement('button', { id: 'psmh-modal-close-batch', innerHTML: '&times;' });
+    const batchModalTitle = myCreateElement('h5', { textContent: psmhI18n.t('batchTitle') });
+    const batchModalBody = myCreateElement('div', { id: 'psmh-modal-body-batch' });
+    const batchInput = myCreateElement('textarea', { id: 'psmh-batch-input', placeholder: psmhI18n.t('batchPlaceholder') });
+    const batchStartButton = myCreateElement('button', { id: 'psmh-batch-start', textContent: psmhI18n.t('batchGenerate'), className: 'psmh-button' });
+    const batchResultsList = myCreateElement('ul', { id: 'psmh-batch-results' });
+    batchModalBody.append(batchInput, batchStartButton, batchResultsList);
+    batchModalContent.append(batchModalClose, batchModalTitle, batchModalBody);
+    batchModalOverlay.appendChild(batchModalContent);
+
 
     document.body.appendChild(panel);
     document.body.appendChild(toggleButton);
@@ -863,6 +976,7 @@ function injectUI() {
     document.body.appendChild(helpModalOverlay);
     document.body.appendChild(updateCaseModalOverlay);
     document.body.appendChild(prefsModalOverlay);
+    document.body.appendChild(batchModalOverlay);
     psmhLogger.info('All UI elements appended to the body.');
     
     // --- State and Final Initialization ---
@@ -918,40 +1032,40 @@ function injectUI() {
     // --- Update Case Modal Listeners ---
     updateByEmailButton.onclick = async () => {
         psmhLogger.info("'Update Case by Email' button clicked.");
-        updateStatus('Getting case number...', 'info');
+        updateStatus(psmhI18n.t('statusGettingCaseNumber'), 'info');
 
         const recordNumber = await findRecordNumber();
         if (!recordNumber) {
             psmhLogger.error("Could not find record number for Update Case by Email.");
-            updateStatus('Error: Case # not found.', 'error');
+            updateStatus(psmhI18n.t('statusErrorCaseNumberNotFound'), 'error');
             return;
         }
 
         const emailTo = 'psm-case-update@atos.net';
-        const subject = `Sample mail subject... [PSM-Case_Id: ${recordNumber}]`;
+        const caseIdTag = `[PSM-Case_Id: ${recordNumber}]`;
+        const subject = `${psmhI18n.t('updateCaseSampleSubject')} ${caseIdTag}`;
         const mailtoHref = `mailto:${emailTo}?subject=${encodeURIComponent(subject)}`;
 
         updateCaseModalBody.innerHTML = `
             <div class="psmh-update-modal-row">
-                <a href="${mailtoHref}" id="psmh-update-mailto-link"><strong>To:</strong> ${emailTo}</a>
-                <span class="psmh-copy-icon" data-clipboard-text="${emailTo}" title="Copy email address">📋</span>
+                <a href="${mailtoHref}" id="psmh-update-mailto-link"><strong>${psmhI18n.t('updateCaseTo')}</strong> ${emailTo}</a>
+                <span class="psmh-copy-icon" data-clipboard-text="${emailTo}" title="${psmhI18n.t('updateCaseCopyAddress')}">📋</span>
             </div>
             <div class="psmh-update-modal-row">
-                <span><strong>Subject:</strong> ${subject}</span>
-                <span class="psmh-copy-icon" data-clipboard-text="${subject}" title="Copy subject">📋</span>
+                <span><strong>${psmhI18n.t('updateCaseSubject')}</strong> ${subject}</span>
+                <span class="psmh-copy-icon" data-clipboard-text="${subject}" title="${psmhI18n.t('updateCaseCopySubject')}">📋</span>
             </div>
-            <p class="psmh-modal-instruction">Click the "To:" link to open your email client, or use the copy icons.</p>
-            <p class="psmh-modal-instruction">PS: This function is useful because if you send an email to ${emailTo} 
-             with a subject ending with "[PSM-Case_Id: ${recordNumber}]", this adds the email to the case.</p>
+            <p class="psmh-modal-instruction">${psmhI18n.t('updateCaseInstruction')}</p>
+            <p class="psmh-modal-instruction">${psmhI18n.t('updateCaseExplanation', [emailTo, caseIdTag])}</p>
         `;
 
         updateCaseModalBody.querySelectorAll('.psmh-copy-icon').forEach(icon => {
             icon.onclick = (e) => {
                 const textToCopy = e.target.dataset.clipboardText;
                 navigator.clipboard.writeText(textToCopy).then(() => {
-                    updateStatus(`Copied: "${textToCopy.substring(0, 20)}..."`, 'success');
+                    updateStatus(psmhI18n.t('statusCopied', `"${textToCopy.substring(0, 20)}..."`), 'success');
                 }).catch(err => {
-                    updateStatus('Error: Copy failed.', 'error');
+                    updateStatus(psmhI18n.t('statusErrorCopyFailed'), 'error');
                 });
             };
         });
@@ -970,6 +1084,60 @@ function injectUI() {
     };
     prefsModalClose.onclick = () => prefsModalOverlay.classList.remove('psmh-visible');
 
+    // --- Batch Full View Modal Listeners ---
+    batchButton.onclick = () => {
+        psmhLogger.debug('Batch button clicked, showing Batch modal.');
+        batchModalOverlay.classList.add('psmh-visible');
+        batchInput.focus();
+    };
+    batchModalClose.onclick = () => batchModalOverlay.classList.remove('psmh-visible');
+    batchModalOverlay.onclick = (e) => {
+        if (e.target === batchModalOverlay) batchModalOverlay.classList.remove('psmh-visible');
+    };
+    batchStartButton.onclick = () => {
+        // Maximum number of cases in one batch generation (each case keeps a tab of the scraper window for a while).
+        // Declared here, not at the top level: the file is injected again on every Salesforce navigation.
+        const MAX_BATCH_CASES = 50;
+        const entries = batchInput.value.split(/[\s,;]+/).filter(Boolean);
+        const invalidEntries = [];
+        const caseNumbers = [];
+        entries.forEach(entry => {
+            const { caseNumber, error } = normalizeCaseNumber(entry);
+            if (error) {
+                invalidEntries.push(entry);
+            } else if (!caseNumbers.includes(caseNumber)) {
+                caseNumbers.push(caseNumber);
+            }
+        });
+
+        if (invalidEntries.length > 0) {
+            updateStatus(psmhI18n.t('statusErrorInvalidCaseNumbers', invalidEntries.join(', ')), 'error');
+            return;
+        }
+        if (caseNumbers.length === 0) {
+            updateStatus(psmhI18n.t('statusErrorNoCaseNumber'), 'error');
+            return;
+        }
+        if (caseNumbers.length > MAX_BATCH_CASES) {
+            updateStatus(psmhI18n.t('statusErrorTooManyCases', [caseNumbers.length, MAX_BATCH_CASES]), 'error');
+            return;
+        }
+
+        psmhLogger.info(`Starting batch generation for ${caseNumbers.length} case(s).`);
+        batchResultsList.textContent = '';
+        batchStartButton.disabled = true;
+        updateStatus(psmhI18n.t('statusBatchStarting', caseNumbers.length), 'warn');
+        chrome.runtime.sendMessage({ action: "startBatchGeneration", caseNumbers }, (response) => {
+            if (chrome.runtime.lastError || response?.status !== 'started') {
+                const errorMessage = chrome.runtime.lastError?.message || response?.message || psmhI18n.t('errorUnknown');
+                psmhLogger.error("Batch generation did not start:", errorMessage);
+                updateStatus(psmhI18n.t('statusError', errorMessage), 'error');
+            }
+            // Progress and the final outcome arrive as "batchProgress" and status messages.
+            setTimeout(() => { batchStartButton.disabled = false; }, 2000);
+        });
+    };
+
     // --- FUDFE Clear Button Listeners ---
     psmhLogger.debug("Attaching FUDFE clear button listeners.");
     fudfeClearButton.onclick = () => {
@@ -1054,6 +1222,118 @@ function injectUI() {
         psmhLogger.debug(`UI: Set 'From' address dropdown to saved value: ${savedAddress}`);
     });
 
+    // Listener for the image embedding limit
+    inlineImagesSelect.onchange = (e) => {
+        const maxKB = Number(e.target.value);
+        psmhLogger.info(`UI: User set the image embedding limit to ${maxKB} KB. Saving to storage.`);
+        chrome.storage.sync.set({ inlineImageMaxKB: maxKB });
+    };
+
+    // Populate the image embedding limit from storage (1 MB if never set)
+    chrome.storage.sync.get('inlineImageMaxKB', (data) => {
+        const savedMaxKB = data.inlineImageMaxKB ?? 1024;
+        inlineImagesSelect.value = String(savedMaxKB);
+        psmhLogger.debug(`UI: Set image embedding limit dropdown to saved value: ${savedMaxKB} KB`);
+    });
+
+    // Listener for the Work Order deep mode toggle
+    deepModeToggle.onchange = (e) => {
+        const isEnabled = e.target.checked;
+        psmhLogger.info(`UI: User set Work Order deep mode to ${isEnabled}.`);
+        chrome.storage.sync.set({ workOrderDeepMode: isEnabled });
+    };
+
+    // Populate the Work Order deep mode toggle from storage (off if never set)
+    chrome.storage.sync.get('workOrderDeepMode', (data) => {
+        const isEnabled = !!data.workOrderDeepMode;
+        deepModeToggle.checked = isEnabled;
+        psmhLogger.debug(`UI: Set Work Order deep mode toggle to saved value: ${isEnabled}`);
+    });
+
+    // Listener for the full refresh toggle
+    fullRefreshToggle.onchange = (e) => {
+        const isEnabled = e.target.checked;
+        psmhLogger.info(`UI: User set full refresh to ${isEnabled}.`);
+        chrome.storage.sync.set({ forceFullRefresh: isEnabled });
+    };
+
+    // Populate the full refresh toggle from storage (off if never set: unchanged items come from the cache)
+    chrome.storage.sync.get('forceFullRefresh', (data) => {
+        const isEnabled = !!data.forceFullRefresh;
+        fullRefreshToggle.checked = isEnabled;
+        psmhLogger.debug(`UI: Set full refresh toggle to saved value: ${isEnabled}`);
+    });
+
+    // Listener for the date preferences, saved together as "dateSettings"
+    const saveDateSettings = () => {
+        const dateSettings = psmhDates.normalizeSettings({ dateOrder: dateOrderSelect.value, timeZone: timeZoneSelect.value, displayFormat: dateDisplaySelect.value });
+        psmhLogger.info("UI: User changed the date settings. Saving to storage.", dateSettings);
+        chrome.storage.sync.set({ dateSettings });
+    };
+    [dateOrderSelect, timeZoneSelect, dateDisplaySelect].forEach(select => { select.onchange = saveDateSettings; });
+
+    // Populate the date preferences from storage (auto-detect, browser time zone, DD/MM/YYYY if never set)
+    chrome.storage.sync.get('dateSettings', (data) => {
+        const dateSettings = psmhDates.normalizeSettings(data.dateSettings);
+        dateOrderSelect.value = dateSettings.dateOrder;
+        timeZoneSelect.value = dateSettings.timeZone;
+        dateDisplaySelect.value = dateSettings.displayFormat;
+        psmhLogger.debug("UI: Set date preferences to saved values:", dateSettings);
+    });
+
+    // Listener for the language: the panel is rebuilt in the new language (reports use it from their next rendering)
+    languageSelect.onchange = async (e) => {
+        const language = e.target.value;
+        psmhLogger.info(`UI: User changed the language to ${language}. Saving to storage.`);
+        await chrome.storage.sync.set({ language });
+        await psmhI18n.load(language);
+        [panel, toggleButton, aboutModalOverlay, helpModalOverlay, updateCaseModalOverlay, prefsModalOverlay, batchModalOverlay].forEach(element => element.remove());
+        injectUI();
+        updateStatus(psmhI18n.t('statusLanguageChanged'), 'success');
+    };
+
+    // Listener for the data source
+    dataBackendSelect.onchange = (e) => {
+        const dataBackend = e.target.value;
+        psmhLogger.info(`UI: User set the data source to ${dataBackend}. Saving to storage.`);
+        chrome.storage.sync.set({ dataBackend });
+    };
+
+    // Populate the data source from storage (API with tabs as fallback if never set)
+    chrome.storage.sync.get('dataBackend', (data) => {
+        dataBackendSelect.value = data.dataBackend || 'auto';
+        psmhLogger.debug(`UI: Set data source dropdown to saved value: ${dataBackendSelect.value}`);
+    });
+
+    // Listeners for the parallel tabs bounds: the other bound follows so that min <= max
+    concurrencyMinSelect.onchange = (e) => {
+        const scrapeConcurrencyMin = Number(e.target.value);
+        const scrapeConcurrencyMax = Math.max(scrapeConcurrencyMin, Number(concurrencyMaxSelect.value));
+        concurrencyMaxSelect.value = String(scrapeConcurrencyMax);
+        psmhLogger.info(`UI: User set the parallel tabs to ${scrapeConcurrencyMin}-${scrapeConcurrencyMax}. Saving to storage.`);
+        chrome.storage.sync.set({ scrapeConcurrencyMin, scrapeConcurrencyMax });
+    };
+    concurrencyMaxSelect.onchange = (e) => {
+        const scrapeConcurrencyMax = Number(e.target.value);
+        const scrapeConcurrencyMin = Math.min(scrapeConcurrencyMax, Number(concurrencyMinSelect.value));
+        concurrencyMinSelect.value = String(scrapeConcurrencyMin);
+        psmhLogger.info(`UI: User set the parallel tabs to ${scrapeConcurrencyMin}-${scrapeConcurrencyMax}. Saving to storage.`);
+        chrome.storage.sync.set({ scrapeConcurrencyMin, scrapeConcurrencyMax });
+    };
+
+    // Populate the parallel tabs bounds from storage (the scheduler's defaults if never set)
+    chrome.storage.sync.get(['scrapeConcurrencyMin', 'scrapeConcurrencyMax'], (data) => {
+        concurrencyMinSelect.value = String(data.scrapeConcurrencyMin ?? psmhAdaptiveScheduler.DEFAULT_MIN);
+        concurrencyMaxSelect.value = String(data.scrapeConcurrencyMax ?? psmhAdaptiveScheduler.DEFAULT_MAX);
+        psmhLogger.debug(`UI: Set parallel tabs dropdowns to saved values: ${concurrencyMinSelect.value}-${concurrencyMaxSelect.value}`);
+    });
+
+    // Populate the language from storage (the browser language if never set)
+    chrome.storage.sync.get('language', (data) => {
+        languageSelect.value = data.language || 'auto';
+        psmhLogger.debug(`UI: Set language dropdown to saved value: ${languageSelect.value}`);
+    });
+
     showInfoButton.onclick = () => {
         psmhLogger.debug("'Show Key Info' button clicked, calling injectCustomHeaderInfo.");
         injectCustomHeaderInfo();
@@ -1084,86 +1364,83 @@ function injectUI() {
         showDebugInfo(); // Assumes showDebugInfo is in content.js and available globally
     };
 
-    generateButton.onclick = async () => {
-        psmhLogger.info("'Generate Full View' button clicked.");
+    /**
+     * Prepares the page and asks the background script to generate a report.
+     * @param {'internal'|'customer'} audience - 'customer' only keeps what the customer has seen.
+     */
+    const startFullViewGeneration = async (audience) => {
+        psmhLogger.info(`'Generate ${audience === 'customer' ? 'Customer' : 'Full'} View' button clicked.`);
         generateButton.disabled = true;
+        generateCustomerButton.disabled = true;
         copyButton.disabled = true;
         try {
-            updateStatus('Preparing page for scan...', 'warn');
+            updateStatus(psmhI18n.t('statusPreparingPage'), 'warn');
             
-            // Scroll down to trigger lazy loading of related lists, then scroll specific lists into view.
-            psmhLogger.debug("Scrolling to bottom and top to trigger lazy loads.");
-            window.scrollTo(0, document.body.scrollHeight);
-            // Wait for the next browser repaint to ensure the scroll is visible, then wait for content to load.
-            await new Promise(r => requestAnimationFrame(r));
-            await new Promise(r => setTimeout(r, 1000));
-            window.scrollTo(0, 0);
-            await new Promise(r => setTimeout(r, 200));
-
-            psmhLogger.debug("Scrolling related lists into view to ensure they are loaded.");
-            const notesList = await waitForElement('lst-related-list-view-manager:has(span[title="Notes"])');
-            if (notesList) {
-                notesList.scrollIntoView({ block: 'center' });
-                await new Promise(r => setTimeout(r, 500));
-            }
-
-            const emailsList = await waitForElement('.forceRelatedListPreviewAdvancedGrid:has(span[title="Emails"])');
-            if (emailsList) {
-                emailsList.scrollIntoView({ block: 'center' });
-                await new Promise(r => setTimeout(r, 500));
-            }
+            await preparePageForScan(); // Assumes preparePageForScan is in content.js and available globally
             
-            window.scrollTo({ top: 0, behavior: 'auto' }); // Reset view to the top
-            
-            updateStatus('Initiating generation...', 'warn');
+            updateStatus(psmhI18n.t('statusInitiatingGeneration'), 'warn');
             psmhLogger.info("Sending 'startFullViewGeneration' message to background script.");
-            chrome.runtime.sendMessage({ action: "startFullViewGeneration" }, response => {
-                if (chrome.runtime.lastError) {
-                    const rawMessage = chrome.runtime.lastError.message;
-                    psmhLogger.error("Error sending message:", rawMessage);
-                    let userMessage = `Error: ${rawMessage}`;
-                    if (rawMessage && rawMessage.includes("message channel closed")) {
-                        userMessage = "A Salesforce tab closed unexpectedly. Please try again.";
+            cancelGenerationButton.disabled = false;
+            cancelGenerationButton.style.display = 'block';
+            // The background script answers once the generation has ended (success, error or cancelled): the
+            // buttons stay disabled until then.
+            const response = await new Promise(resolve => {
+                chrome.runtime.sendMessage({ action: "startFullViewGeneration", audience }, response => {
+                    if (chrome.runtime.lastError) {
+                        const rawMessage = chrome.runtime.lastError.message;
+                        psmhLogger.error("Error sending message:", rawMessage);
+                        let userMessage = psmhI18n.t('statusError', rawMessage);
+                        if (rawMessage && rawMessage.includes("message channel closed")) {
+                            userMessage = psmhI18n.t('statusTabClosedUnexpectedly');
+                        }
+                        updateStatus(userMessage, 'error');
                     }
-                    updateStatus(userMessage, 'error');
-                }
+                    resolve(response);
+                });
             });
+            // Another generation of this tab is still running: its Cancel button and progress stay.
+            if (response?.status === 'busy') {
+                updateStatus(response.message, 'warn');
+                return;
+            }
+            cancelGenerationButton.style.display = 'none';
+            document.getElementById('psmh-progress').hidden = true;
         } catch (error) {
              psmhLogger.error('Error preparing page:', error);
-             updateStatus('Error preparing page! Reload the web page and try again.', 'error');
+             updateStatus(psmhI18n.t('statusErrorPreparingPage'), 'error');
         } finally {
              psmhLogger.debug("Re-enabling buttons.");
              generateButton.disabled = false;
+             generateCustomerButton.disabled = false;
              copyButton.disabled = false;
         }
     };
 
-    openCaseButton.onclick = () => {
-        let caseNumberInput = caseInput.value.trim();
-        psmhLogger.info(`'Go' button clicked for case number: "${caseNumberInput}"`);
+    cancelGenerationButton.onclick = () => {
+        psmhLogger.info("'Cancel' button clicked, cancelling the Full View generation.");
+        cancelGenerationButton.disabled = true;
+        updateStatus(psmhI18n.t('statusCancelling'), 'warn');
+        chrome.runtime.sendMessage({ action: "cancelFullViewGeneration" }, response => {
+            if (chrome.runtime.lastError || response?.status !== 'success') {
+                psmhLogger.warn("Could not cancel the generation:", chrome.runtime.lastError?.message || response?.message);
+                cancelGenerationButton.style.display = 'none';
+            }
+        });
+    };
 
-        const isFiveDigit = /^\d{5}$/.test(caseNumberInput);
-        const isEightDigit = /^000\d{5}$/.test(caseNumberInput);
+    generateButton.onclick = () => startFullViewGeneration('internal');
+    generateCustomerButton.onclick = () => startFullViewGeneration('customer');
 
-        if (!isFiveDigit && !isEightDigit) {
-            updateStatus('Error: Case # must be 5 or 8 digits.', 'error');
-            caseInput.focus();
-            return;
-        }
-
-        if (isFiveDigit && parseInt(caseNumberInput, 10) <= 67000) {
-            updateStatus('Error: 5-digit Case # must be > 67000.', 'error');
+    openCaseButton.onclick = () => {
+        psmhLogger.info(`'Go' button clicked for case number: "${caseInput.value.trim()}"`);
+        const { caseNumber: caseNumberInput, error } = normalizeCaseNumber(caseInput.value);
+        if (error) {
+            updateStatus(psmhI18n.t('statusError', error), 'error');
             caseInput.focus();
             return;
         }
 
-        // Transform 5-digit number to 8-digit
-        if (isFiveDigit) {
-            caseNumberInput = '000' + caseNumberInput;
-            psmhLogger.debug(`Transformed 5-digit input to ${caseNumberInput}`);
-        }
-
-        updateStatus(`Finding Case ${caseNumberInput}...`, 'warn');
+        updateStatus(psmhI18n.t('statusFindingCase', caseNumberInput), 'warn');
         openCaseButton.disabled = true;
         chrome.runtime.sendMessage({ action: "findAndOpenCase", caseNumber: caseNumberInput }, (response) => {
             // Response handling happens via status updates from the background script.
@@ -1183,7 +1460,7 @@ function injectUI() {
 
     copyButton.onclick = async () => {
         psmhLogger.info("'Copy Record Link' button clicked.");
-        updateStatus('Copying case link...', 'info');
+        updateStatus(psmhI18n.t('statusCopyingLink'), 'info');
         
         // Assumes findRecordNumber is in content.js and available globally.
         const recordNumber = await findRecordNumber(); 
@@ -1211,27 +1488,35 @@ function injectUI() {
             try {
                 await navigator.clipboard.write([new ClipboardItem({ 'text/html': blobHtml, 'text/plain': blobText })]);
                 psmhLogger.info('Successfully wrote to clipboard with surrounding non-breaking spaces.');
-                updateStatus(`Copied: ${linkText}`, 'success');
+                updateStatus(psmhI18n.t('statusCopied', linkText), 'success');
             } catch(err) {
                 psmhLogger.error('Clipboard write failed.', err);
-                updateStatus('Error: Copy failed.', 'error');
+                updateStatus(psmhI18n.t('statusErrorCopyFailed'), 'error');
             }
         } else {
             psmhLogger.error(`Failed to copy. Record Number: "${recordNumber}", URL: "${currentUrl}"`);
-            updateStatus('Error: Record # not found.', 'error');
+            updateStatus(psmhI18n.t('statusErrorRecordNotFound'), 'error');
         }
     };
 }
 
+/**
+ * Loads the messages of the preferred language (see i18n.js), then injects the panel.
+ */
+async function injectLocalizedUI() {
+    await psmhI18n.loadPreferred();
+    injectUI();
+}
+
 // --- Initial Check and Injection Trigger ---
 function init() {
     // We only need to inject the UI panel once. The logic is now entirely user-driven.
     // A slight delay is still good practice to avoid interrupting Salesforce's initial load.
     if (document.body) {
-         setTimeout(injectUI, 1500);
+         setTimeout(injectLocalizedUI, 1500);
     } else {
          document.addEventListener('DOMContentLoaded', () => {
-            setTimeout(injectUI, 1500);
+            setTimeout(injectLocalizedUI, 1500);
          });
     }
 }
@@ -19,5 +19,15 @@ chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
 });
 */
 
-// No button listeners needed here anymore.
+// Opens the extension page listing the reports kept in the local archive.
+document.getElementById('openArchiveLink').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('archive.html') });
+});
+
+// Opens the extension page that re-renders a report from a saved JSON snapshot.
+document.getElementById('openViewerLink').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('viewer.html') });
+});
 
+// The popup follows the language chosen in the panel preferences.
+globalThis.psmhI18n.loadPreferred().then(() => globalThis.psmhI18n.translatePage());
@@ -0,0 +1,130 @@
+// record_links.js - Finds references to other records in the rich text of a report ("see case 00071234",
+// "WO 00012345", "KB 000001234") and turns them into links:
+//   - Cases open through the "case by number" report, the lookup used by "Open Case" (see case_finder.js).
+//   - Work Orders of the case link to their record; other Work Orders and KB articles to a Salesforce search.
+// Works on sanitized HTML: only text outside of existing links is changed.
+
+if (typeof globalThis.psmhRecordLinks === 'undefined') {
+    const SALESFORCE_URL = 'https://myatos.lightning.force.com';
+    const CASE_LOOKUP_REPORT_URL = `${SALESFORCE_URL}/lightning/r/Report/00ObD0000026ectUAA/view`;
+    const SEARCH_URL = `${SALESFORCE_URL}/_ui/search/ui/UnifiedSearchResults`;
+
+    // The reference types, in the order of the "Referenced records" list.
+    const TYPES = ['case', 'workOrder', 'kb'];
+
+    // A keyword, an optional "#", "n°", "no." or ":" and the number. Case numbers have 8 digits ("000" and
+    // 5 significant digits), and may be written with the 5 significant digits only, like in the panel.
+    // The text is HTML: spaces may be written as entities.
+    const SPACE = '(?:\\s|&nbsp;|&#160;)*';
+    const REFERENCE_REGEX = new RegExp([
+        `\\b(?:cases?|cas|tickets?)${SPACE}(?:#|n°|no\\.?|number|:)?${SPACE}(?<case>000\\d{5}|\\d{5})(?![\\w-])`,
+        `\\b(?:WO|work${SPACE}orders?)${SPACE}(?:#|n°|no\\.?|number|:|-)?${SPACE}(?<workOrder>\\d{4,10})(?![\\w-])`,
+        `\\bKB${SPACE}(?:#|n°|no\\.?|:|-)?${SPACE}(?<kb>\\d{3,10})(?![\\w-])`
+    ].join('|'), 'gi');
+
+    // Five-digit case numbers at or below this one are not case numbers (same rule as the panel).
+    const LOWEST_SHORT_CASE_NUMBER = 67000;
+
+    const escapeAttribute = (text) => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const significantDigits = (text) => String(text).replace(/\D/g, '').replace(/^0+/, '');
+
+    /**
+     * The 8-digit case number of a reference, or null if the number can't be a case number.
+     */
+    function toCaseNumber(digits) {
+        if (digits.length === 8) return digits.startsWith('000') ? digits : null;
+        return parseInt(digits, 10) > LOWEST_SHORT_CASE_NUMBER ? `000${digits}` : null;
+    }
+
+    const psmhRecordLinks = {
+        TYPES,
+
+        /**
+         * The "case by number" report filtered on a case: its first row holds the case ID.
+         * @param {string} caseNumber - The 8-digit case number.
+         * @returns {string}
+         */
+        caseLookupUrl(caseNumber) {
+            return `${CASE_LOOKUP_REPORT_URL}?fv0=${encodeURIComponent(caseNumber)}`;
+        },
+
+        /**
+         * The Salesforce global search for a term.
+         * @param {string} term
+         * @returns {string}
+         */
+        searchUrl(term) {
+            return `${SEARCH_URL}?str=${encodeURIComponent(term)}`;
+        },
+
+        /**
+         * Creates a linker for one report: it links the references of each rich text and collects them.
+         * @param {object} [context]
+         * @param {string} [context.recordNumber] - The case of the report, never linked to itself.
+         * @param {object} [context.workOrders] - Normalized Work Orders data (see work_orders.js): their records are linked directly.
+         * @returns {{linkHtml: function(string, string): string, references: function(): Array<{type: string, number: string, url: string, count: number, firstAnchor: string}>}}
+         */
+        createLinker({ recordNumber = '', workOrders = null } = {}) {
+            const workOrderUrls = new Map(); // Significant digits -> record URL
+            (workOrders?.rows || []).forEach(row => {
+                const number = significantDigits(globalThis.psmhWorkOrders.recordNumber(row));
+                if (number && row.url) workOrderUrls.set(number, row.url);
+            });
+            const references = new Map(); // "type|significant digits" -> { type, number, url, count, firstAnchor }
+
+            const resolve = (groups) => {
+                if (groups.case) {
+                    const caseNumber = toCaseNumber(groups.case);
+                    if (!caseNumber || caseNumber === recordNumber) return null;
+                    return { type: 'case', number: caseNumber, url: this.caseLookupUrl(caseNumber) };
+                }
+                if (groups.workOrder) {
+                    const url = workOrderUrls.get(significantDigits(groups.workOrder));
+                    return { type: 'workOrder', number: groups.workOrder, url: url || this.searchUrl(groups.workOrder) };
+                }
+                return { type: 'kb', number: groups.kb, url: this.searchUrl(groups.kb) };
+            };
+
+            const linkText = (text, anchor) => text.replace(REFERENCE_REGEX, (...args) => {
+                const match = args[0];
+                const reference = resolve(args[args.length - 1]);
+                if (!reference) return match;
+
+                // "WO-12345" and "WO 00012345" are the same Work Order.
+                const key = `${reference.type}|${significantDigits(reference.number)}`;
+                if (!references.has(key)) references.set(key, { ...reference, count: 0, firstAnchor: anchor });
+                references.get(key).count++;
+                const caseAttribute = reference.type === 'case' ? ` data-case-number="${reference.number}"` : '';
+                return `<a href="${escapeAttribute(reference.url)}" target="_blank" class="record-reference"${caseAttribute}>${match}</a>`;
+            });
+
+            /**
+             * Links the references of a sanitized HTML fragment.
+             * @param {string} html
+             * @param {string} [anchor] - The id of the report element holding the fragment, for the list of references.
+             * @returns {string}
+             */
+            const linkHtml = (html, anchor = '') => {
+                if (!html) return html;
+                let linkDepth = 0;
+                return String(html).split(/(<[^>]*>)/).map(part => {
+                    if (part.startsWith('<')) {
+                        if (/^<a[\s>]/i.test(part)) linkDepth++;
+                        else if (/^<\/a\s*>/i.test(part)) linkDepth = Math.max(0, linkDepth - 1);
+                        return part;
+                    }
+                    return linkDepth > 0 ? part : linkText(part, anchor);
+                }).join('');
+            };
+
+            return {
+                linkHtml,
+                references: () => [...references.values()].sort((a, b) => TYPES.indexOf(a.type) - TYPES.indexOf(b.type)
+                    || a.number.localeCompare(b.number, undefined, { numeric: true }))
+            };
+        }
+    };
+
+    globalThis.psmhRecordLinks = psmhRecordLinks;
+}
+// End of file
@@ -0,0 +1,182 @@
+// redact.js - Previews and exports a redacted copy of an archived report (see redaction.js).
+// Opened from the archive page as redact.html?recordNumber=...&generatedAt=...
+const logger = globalThis.psmhLogger;
+const redaction = globalThis.psmhRedaction;
+const caseSnapshot = globalThis.psmhSnapshot;
+const dateFormat = globalThis.psmhDates;
+const i18n = globalThis.psmhI18n;
+logger.info("Redact: Script loaded.");
+
+const ruleInputs = {
+    emails: document.getElementById('psmh-rule-emails'),
+    phones: document.getElementById('psmh-rule-phones'),
+    ips: document.getElementById('psmh-rule-ips'),
+    names: document.getElementById('psmh-rule-names')
+};
+const extraNamesInput = document.getElementById('psmh-rule-extra-names');
+const customPatternsInput = document.getElementById('psmh-rule-custom-patterns');
+const statusDiv = document.getElementById('psmh-redact-status');
+const findingsBody = document.getElementById('psmh-redact-findings');
+const summaryHeading = document.getElementById('psmh-redact-summary');
+const actionButtons = Array.from(document.querySelectorAll('.psmh-redact-actions button'));
+
+let sourceReport = null;   // The parsed archived snapshot
+let redactedReport = null; // The latest redaction result
+let previewTimer = null;
+let dateSettings = dateFormat.DEFAULT_SETTINGS;
+
+function setRedactStatus(message, type = '') {
+    statusDiv.textContent = message;
+    statusDiv.className = type;
+}
+
+/**
+ * Reads the rule settings from the form.
+ * @returns {object} Rule settings (see psmhRedaction.DEFAULT_RULES).
+ * @throws {Error} If a custom pattern line is not valid.
+ */
+function readRulesFromForm() {
+    const customPatterns = customPatternsInput.value.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const separatorIndex = line.indexOf('=');
+        const label = separatorIndex > 0 ? line.slice(0, separatorIndex).trim().replace(/[^\w-]+/g, '') : '';
+        const pattern = separatorIndex > 0 ? line.slice(separatorIndex + 1).trim() : line;
+        try {
+            psmhRedaction.validatePattern(pattern);
+        } catch (e) {
+            throw new Error(i18n.t('redactInvalidPattern', [pattern, e.message]));
+        }
+        return { label: label || 'Custom', pattern };
+    });
+    return {
+        emails: ruleInputs.emails.checked,
+        phones: ruleInputs.phones.checked,
+        ips: ruleInputs.ips.checked,
+        names: ruleInputs.names.checked,
+        extraNames: extraNamesInput.value.split('\n').map(name => name.trim()).filter(Boolean),
+        customPatterns
+    };
+}
+
+function fillFormFromRules(rules) {
+    Object.entries(ruleInputs).forEach(([key, input]) => { input.checked = Boolean(rules[key]); });
+    extraNamesInput.value = rules.extraNames.join('\n');
+    customPatternsInput.value = rules.customPatterns.map(rule => `${rule.label} = ${rule.pattern}`).join('\n');
+}
+
+/**
+ * Runs the redaction with the current rules, saves them and shows what was replaced.
+ */
+function updatePreview() {
+    let rules;
+    try {
+        rules = readRulesFromForm();
+    } catch (error) {
+        setRedactStatus(error.message, 'error');
+        actionButtons.forEach(button => { button.disabled = true; });
+        return;
+    }
+    chrome.storage.sync.set({ redactionRules: rules });
+
+    const { caseDetails, timelineItems, workOrdersData } = sourceReport;
+    redactedReport = redaction.redactReport(caseDetails, timelineItems, workOrdersData, rules);
+    actionButtons.forEach(button => { button.disabled = false; });
+    setRedactStatus('');
+
+    const { findings } = redactedReport;
+    const total = findings.reduce((sum, finding) => sum + finding.count, 0);
+    summaryHeading.textContent = i18n.t('redactPreviewSummary', [findings.length, total]);
+    findingsBody.textContent = '';
+    findings.forEach(finding => {
+        const row = document.createElement('tr');
+        [[finding.category, ''], [finding.original, 'psmh-original'], [finding.pseudonym, 'psmh-pseudonym'], [String(finding.count), '']].forEach(([text, className]) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            if (className) cell.className = className;
+            row.appendChild(cell);
+        });
+        findingsBody.appendChild(row);
+    });
+}
+
+function schedulePreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updatePreview, 300);
+}
+
+function redactedSnapshot() {
+    return caseSnapshot.create(redactedReport.caseDetails, redactedReport.timelineItems, redactedReport.workOrdersData, sourceReport.generatedAt || new Date());
+}
+
+function downloadText(text, fileName, mimeType) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function redactedFileName(extension) {
+    return caseSnapshot.fileName(redactedReport.caseDetails, extension).replace(new RegExp(`\\.${extension}$`), `_redacted.${extension}`);
+}
+
+document.getElementById('psmh-redact-open').addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: "openSnapshotReport", snapshot: redactedSnapshot() });
+    if (response?.status === 'success') {
+        setRedactStatus(i18n.t('redactOpened'), 'success');
+    } else {
+        setRedactStatus(i18n.t('statusError', response?.message || i18n.t('errorUnknown')), 'error');
+    }
+});
+
+document.getElementById('psmh-redact-save-json').addEventListener('click', () => {
+    downloadText(JSON.stringify(redactedSnapshot(), null, 2), redactedFileName('json'), 'application/json;charset=utf-8');
+});
+
+document.getElementById('psmh-redact-save-md').addEventListener('click', () => {
+    const generatedTime = dateFormat.format(sourceReport.generatedAt || new Date(), dateSettings, { seconds: true });
+    const markdown = globalThis.psmhMarkdown.buildFullViewMarkdown(redactedReport.caseDetails, redactedReport.timelineItems, redactedReport.workOrdersData, generatedTime, { dateSettings });
+    downloadText(markdown, redactedFileName('md'), 'text/markdown;charset=utf-8');
+});
+
+/**
+ * Loads the archived report named in the URL and the saved rules, then shows the first preview.
+ */
+async function initRedactPage() {
+    actionButtons.forEach(button => { button.disabled = true; });
+    const params = new URLSearchParams(window.location.search);
+    const recordNumber = params.get('recordNumber');
+    const generatedAt = params.get('generatedAt');
+
+    try {
+        // The page and the exported Markdown are in the language chosen in the panel preferences.
+        await i18n.loadPreferred();
+        i18n.translatePage();
+        const snapshot = await globalThis.psmhArchive.get(recordNumber, generatedAt);
+        if (!snapshot) {
+            setRedactStatus(i18n.t('redactReportMissing', recordNumber), 'error');
+            return;
+        }
+        sourceReport = caseSnapshot.parse(snapshot);
+    } catch (error) {
+        logger.error("Redact: Could not load the report.", error);
+        setRedactStatus(i18n.t('redactLoadFailed', error.message), 'error');
+        return;
+    }
+    const { redactionRules, dateSettings: storedDateSettings } = await chrome.storage.sync.get(['redactionRules', 'dateSettings']);
+    const { detectedDateOrder } = await chrome.storage.local.get('detectedDateOrder');
+    dateSettings = dateFormat.resolveSettings(dateFormat.normalizeSettings(storedDateSettings), detectedDateOrder);
+    document.getElementById('psmh-redact-title').textContent = i18n.t('redactTitle', [sourceReport.caseDetails.objectType || 'Case', recordNumber, dateFormat.format(generatedAt, dateSettings)]);
+
+    fillFormFromRules(redaction.normalizeRules(redactionRules));
+
+    Object.values(ruleInputs).forEach(input => input.addEventListener('change', updatePreview));
+    extraNamesInput.addEventListener('input', schedulePreview);
+    customPatternsInput.addEventListener('input', schedulePreview);
+    updatePreview();
+}
+
+initRedactPage();
+
+// End of file
@@ -0,0 +1,241 @@
+// redaction.js - Replaces personal data (emails, phone numbers, IP addresses, person names) in the
+// report data model with consistent pseudonyms (User-1, Email-1...), so a report can be shared
+// outside the account team. Works on the model used by buildFullViewHtml (caseDetails, timelineItems,
+// workOrdersData); rich text fields are redacted in their text and attribute values, never in tag names.
+
+if (typeof globalThis.psmhRedaction === 'undefined') {
+    // Rule settings stored in chrome.storage.sync under "redactionRules".
+    const DEFAULT_RULES = {
+        emails: true,
+        phones: true,
+        ips: true,
+        names: true,           // People found in the report (authors, recipients, owner, creator)
+        extraNames: [],        // Additional names to redact, e.g. people only mentioned in bodies
+        customPatterns: []     // [{ label, pattern }], pattern being a regular expression source
+    };
+
+    // Placeholders written by the scrapers, not people.
+    const NOT_A_NAME = new Set(['unknown author', 'unknown sender', 'unknown recipient(s)', 'system', 'n/a']);
+
+    const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+    const IPV4_REGEX = /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])/g;
+    const IPV6_REGEX = /(?<![\w:])(?:[0-9a-f]{1,4}:){1,7}(?::|(?::[0-9a-f]{1,4}){1,6}|[0-9a-f]{1,4})(?![\w:])/gi;
+    // Not followed by ":" either, so that the hours of a time ("14:30") are never part of a match.
+    const PHONE_REGEX = /(?<![\w+:])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{1,4}(?:[\s.-]\d{2,4}){1,5}(?![\w:])/g;
+    // Dates (2024-12-25, 25.12.2024, 12/25/24), possibly followed by the hour of a time, look like phone numbers.
+    const DATE_LIKE_REGEX = /^(?:\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{2,4})(?:\s+\d{1,2})?$/;
+    // Text for spotting custom patterns that match the empty string somewhere (e.g. "a*", "\b").
+    const EMPTY_MATCH_PROBE = 'Ab1 -.@_\n';
+
+    const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    /**
+     * Compiles a custom pattern.
+     * @param {string} pattern - A regular expression source.
+     * @returns {RegExp}
+     * @throws {SyntaxError} If the pattern is not valid.
+     * @throws {Error} If it matches the empty string: it would insert a pseudonym between every character.
+     */
+    function compileCustomPattern(pattern) {
+        const regex = new RegExp(pattern, 'gi');
+        if ([...EMPTY_MATCH_PROBE.matchAll(regex)].some(match => match[0] === '')) {
+            throw new Error(`The pattern "${pattern}" matches empty text.`);
+        }
+        return regex;
+    }
+
+    /**
+     * Extracts person names from an author / recipients field ("Jane Doe <jane@x.com>; John Roe").
+     */
+    function namesFromField(value) {
+        if (!value) return [];
+        return String(value)
+            .replace(/<[^>]*>/g, ' ')
+            .split(/[;,\n]/)
+            .map(part => part.replace(EMAIL_REGEX, ' ').replace(/["()]/g, ' ').replace(/\s+/g, ' ').trim())
+            .filter(name => name.length >= 3 && /\p{L}/u.test(name) && !NOT_A_NAME.has(name.toLowerCase()));
+    }
+
+    /**
+     * Builds a single rule matching every name (also in "Last First" order), longest first.
+     * @returns {object|null} The rule, or null without names.
+     */
+    function buildNameRule(names) {
+        const nameKeys = new Map(); // lower-cased variant -> canonical name
+        names.forEach(name => {
+            const words = name.trim().split(/\s+/);
+            if (!words[0]) return;
+            const canonical = words.join(' ');
+            nameKeys.set(canonical.toLowerCase(), canonical);
+            if (words.length === 2) nameKeys.set(`${words[1]} ${words[0]}`.toLowerCase(), canonical);
+        });
+        if (nameKeys.size === 0) return null;
+        const alternatives = [...nameKeys.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(variant => variant.split(' ').map(escapeRegExp).join('\\s+'));
+        return {
+            category: 'User',
+            regex: new RegExp(`(?<![\\p{L}\\d])(?:${alternatives.join('|')})(?![\\p{L}\\d])`, 'giu'),
+            normalize: match => nameKeys.get(match.replace(/\s+/g, ' ').toLowerCase()) || match
+        };
+    }
+
+    /**
+     * Creates a redaction pass: it holds the compiled rules and the pseudonyms given so far,
+     * so the same value always gets the same pseudonym across the whole report.
+     * @param {object} rules - Normalized rule settings.
+     * @param {Array<string>} people - Names found in the report.
+     * @returns {{redactText: function(string): string, redactHtml: function(string): string, findings: Map}}
+     */
+    function createRedactor(rules, people) {
+        const compiledRules = [];
+        const counters = new Map();     // Category -> last number used
+        const findings = new Map();     // "Category|normalized value" -> { category, original, pseudonym, count }
+
+        if (rules.emails) compiledRules.push({ category: 'Email', regex: EMAIL_REGEX });
+        if (rules.names || rules.extraNames.length) {
+            const nameRule = buildNameRule([...(rules.names ? people : []), ...rules.extraNames]);
+            if (nameRule) compiledRules.push(nameRule);
+        }
+        if (rules.ips) {
+            compiledRules.push({ category: 'IP', regex: IPV4_REGEX });
+            // Times such as 10:30:00 look like IPv6 addresses: require a hex letter or "::".
+            compiledRules.push({ category: 'IP', regex: IPV6_REGEX, validate: match => /[a-f]|::/i.test(match) });
+        }
+        if (rules.phones) {
+            compiledRules.push({
+                category: 'Phone',
+                regex: PHONE_REGEX,
+                validate: match => match.replace(/\D/g, '').length >= 8 && !DATE_LIKE_REGEX.test(match)
+            });
+        }
+        rules.customPatterns.forEach(({ label, pattern }) => {
+            compiledRules.push({ category: label || 'Custom', regex: compileCustomPattern(pattern) });
+        });
+
+        const pseudonymFor = (category, value) => {
+            const key = `${category}|${value.toLowerCase()}`;
+            if (!findings.has(key)) {
+                const number = (counters.get(category) || 0) + 1;
+                counters.set(category, number);
+                findings.set(key, { category, original: value, pseudonym: `${category}-${number}`, count: 0 });
+            }
+            const finding = findings.get(key);
+            finding.count++;
+            return finding.pseudonym;
+        };
+
+        const redactText = (text) => {
+            if (!text) return text;
+            return compiledRules.reduce((result, rule) => result.replace(rule.regex, match => {
+                if (!match || (rule.validate && !rule.validate(match))) return match;
+                return pseudonymFor(rule.category, rule.normalize ? rule.normalize(match) : match);
+            }), String(text));
+        };
+
+        // Text and quoted attribute values only, never tag names (data: URIs are left alone).
+        const redactHtml = (html) => {
+            if (!html) return html;
+            return String(html).split(/(<[^>]*>)/).map(part => {
+                if (!part.startsWith('<')) return redactText(part);
+                return part.replace(/(=\s*)("([^"]*)"|'([^']*)')/g, (match, equals, quoted, doubleValue, singleValue) => {
+                    const value = doubleValue ?? singleValue;
+                    if (value.startsWith('data:')) return match;
+                    return `${equals}${quoted[0]}${redactText(value)}${quoted[0]}`;
+                });
+            }).join('');
+        };
+
+        return { redactText, redactHtml, findings };
+    }
+
+    const psmhRedaction = {
+        DEFAULT_RULES,
+
+        /**
+         * Checks a custom pattern before it is saved.
+         * @param {string} pattern - A regular expression source.
+         * @throws {Error} If the pattern is not valid or matches the empty string.
+         */
+        validatePattern(pattern) {
+            compileCustomPattern(pattern);
+        },
+
+        /**
+         * Completes stored rule settings with the defaults.
+         * @param {object} [rules]
+         * @returns {object}
+         */
+        normalizeRules(rules) {
+            return {
+                ...DEFAULT_RULES,
+                ...(rules || {}),
+                extraNames: (rules?.extraNames || []).map(name => String(name).trim()).filter(Boolean),
+                customPatterns: (rules?.customPatterns || []).filter(rule => rule && rule.pattern)
+            };
+        },
+
+        /**
+         * Lists the people named in the report's own fields (authors, recipients, owner, creator).
+         * @param {object} caseDetails
+         * @param {Array} timelineItems
+         * @returns {Array<string>}
+         */
+        collectPeople(caseDetails, timelineItems) {
+            const people = new Set();
+            [caseDetails.owner, caseDetails.creatorName].forEach(value => namesFromField(value).forEach(name => people.add(name)));
+            timelineItems.forEach(item => {
+                namesFromField(item.author).forEach(name => people.add(name));
+                namesFromField(item.to).forEach(name => people.add(name));
+            });
+            return [...people];
+        },
+
+        /**
+         * Redacts a whole report data model. The inputs are not modified.
+         * @param {object} caseDetails
+         * @param {Array} timelineItems
+         * @param {object} workOrdersData
+         * @param {object} [rules] - Rule settings (see DEFAULT_RULES).
+         * @returns {{caseDetails: object, timelineItems: Array, workOrdersData: object, findings: Array<{category, original, pseudonym, count}>}}
+         * @throws {Error} If a custom pattern is not a valid regular expression, or matches the empty string.
+         */
+        redactReport(caseDetails, timelineItems = [], workOrdersData = { count: 0, columns: [], rows: [] }, rules) {
+            const settings = this.normalizeRules(rules);
+            const redactor = createRedactor(settings, this.collectPeople(caseDetails, timelineItems));
+            const redactAttachments = (attachments) => (Array.isArray(attachments)
+                ? attachments.map(attachment => ({ ...attachment, name: redactor.redactText(attachment.name) }))
+                : attachments);
+
+            const redactedDetails = {
+                ...caseDetails,
+                subject: redactor.redactText(caseDetails.subject),
+                owner: redactor.redactText(caseDetails.owner),
+                creatorName: redactor.redactText(caseDetails.creatorName),
+                description: redactor.redactHtml(caseDetails.description),
+                attachments: redactAttachments(caseDetails.attachments)
+            };
+            const redactedItems = timelineItems.map(item => ({
+                ...item,
+                title: redactor.redactText(item.title),
+                author: redactor.redactText(item.author),
+                to: redactor.redactText(item.to),
+                content: redactor.redactHtml(item.content),
+                quotedContent: redactor.redactHtml(item.quotedContent),
+                attachments: redactAttachments(item.attachments)
+            }));
+            const workOrders = globalThis.psmhWorkOrders.normalize(workOrdersData);
+            const redactedWorkOrders = {
+                ...workOrders,
+                rows: workOrders.rows.map(row => ({ ...row, cells: row.cells.map(cell => ({ ...cell, text: redactor.redactText(cell.text) })) }))
+            };
+
+            const findings = [...redactor.findings.values()].sort((a, b) => a.category.localeCompare(b.category) || a.pseudonym.localeCompare(b.pseudonym, undefined, { numeric: true }));
+            globalThis.psmhLogger?.info(`Redaction: ${findings.length} distinct value(s) replaced.`);
+            return { caseDetails: redactedDetails, timelineItems: redactedItems, workOrdersData: redactedWorkOrders, findings };
+        }
+    };
+
+    globalThis.psmhRedaction = psmhRedaction;
+}
+// End of file
@@ -0,0 +1,125 @@
+// report.js - The report page: shows a Full View report rendered by the background script.
+// The report to show comes from the URL (see renderReportPage() in background.js):
+//   report.html?recordNumber=...[&generatedAt=...][&audience=customer]
+//       An archived report. Without generatedAt, the latest report of the case: the address can be bookmarked.
+//   report.html?report=... or report.html?batch=...
+//       A report opened from a .json file, a redacted copy or a batch, kept until the browser closes.
+// The document is displayed in report_frame.html, a sandboxed page where its inline script can run.
+const logger = globalThis.psmhLogger;
+const i18n = globalThis.psmhI18n;
+logger.info("Report: Script loaded.");
+
+const reportFrame = document.getElementById('psmh-report-frame');
+const statusSpan = document.getElementById('psmh-report-status');
+const refreshButton = document.getElementById('psmh-report-refresh');
+const retryButton = document.getElementById('psmh-report-retry');
+const params = Object.fromEntries(new URLSearchParams(window.location.search));
+
+function setReportStatus(message, type = '') {
+    statusSpan.textContent = message;
+    statusSpan.className = type;
+}
+
+/**
+ * Loads the sandboxed frame and hands it the report document.
+ * @param {string} html - The complete HTML document.
+ * @returns {Promise<void>} Resolves once the frame has written the document.
+ */
+function showInFrame(html) {
+    return new Promise(resolve => {
+        const onRendered = (event) => {
+            if (event.source !== reportFrame.contentWindow || event.data?.action !== 'reportRendered') return;
+            window.removeEventListener('message', onRendered);
+            if (event.data.title) document.title = event.data.title;
+            resolve();
+        };
+        window.addEventListener('message', onRendered);
+        reportFrame.onload = () => {
+            reportFrame.onload = null;
+            reportFrame.contentWindow.postMessage({ action: 'renderReport', html }, '*');
+        };
+        reportFrame.src = 'report_frame.html';
+    });
+}
+
+/**
+ * Asks the background script for the report named in the URL and displays it.
+ * @returns {Promise<boolean>} false if the report could not be rendered.
+ */
+async function loadReport() {
+    setReportStatus(i18n.t('reportPageLoading'));
+    const response = await chrome.runtime.sendMessage({ action: "renderReport", params });
+    if (response?.status !== 'success') {
+        logger.error("Report: Could not render the report.", response?.message);
+        setReportStatus(i18n.t('statusError', response?.message || i18n.t('errorUnknown')), 'error');
+        return false;
+    }
+    refreshButton.hidden = !response.refreshable;
+    // Archived reports only: the retried items are saved into the archived report.
+    retryButton.hidden = !(params.recordNumber && response.failedCount > 0);
+    retryButton.textContent = i18n.t('reportPageRetry', response.failedCount || 0);
+    retryButton.dataset.generatedAt = response.generatedAt || '';
+    await showInFrame(response.html);
+    setReportStatus('');
+    return true;
+}
+
+// Case numbers mentioned in a report (see record_links.js) are opened with the same lookup as the panel's "Open Case".
+// The message comes from the report frame, or from a case frame of a batch report inside it.
+window.addEventListener('message', async (event) => {
+    if (event.data?.action !== 'openReferencedCase' || event.source?.top !== window) return;
+    const caseNumber = String(event.data.caseNumber || '');
+    if (!/^\d{8}$/.test(caseNumber)) return;
+    setReportStatus(i18n.t('reportPageFindingCase', caseNumber), 'warn');
+    const response = await chrome.runtime.sendMessage({ action: "findAndOpenCase", caseNumber });
+    if (response?.status !== 'success') {
+        setReportStatus(i18n.t('statusError', response?.message || i18n.t('errorUnknown')), 'error');
+        return;
+    }
+    setReportStatus(i18n.t('reportPageCaseOpened', caseNumber), 'success');
+});
+
+refreshButton.addEventListener('click', async () => {
+    refreshButton.disabled = true;
+    setReportStatus(i18n.t('reportPageRefreshing'), 'warn');
+    const response = await chrome.runtime.sendMessage({ action: "refreshReport", recordNumber: params.recordNumber });
+    refreshButton.disabled = false;
+    if (response?.status !== 'success') {
+        setReportStatus(i18n.t('statusError', response?.message || i18n.t('errorUnknown')), 'error');
+        return;
+    }
+
+    // Without generatedAt, the page shows the latest report of the case: the one just generated.
+    delete params.generatedAt;
+    window.history.replaceState(null, '', `?${new URLSearchParams(params)}`);
+    if (await loadReport()) {
+        setReportStatus(i18n.t('reportPageRefreshed', new Date().toLocaleTimeString(i18n.language())), 'success');
+    }
+});
+
+retryButton.addEventListener('click', async () => {
+    retryButton.disabled = true;
+    setReportStatus(i18n.t('reportPageRetrying'), 'warn');
+    const response = await chrome.runtime.sendMessage({ action: "retryFailedItems", recordNumber: params.recordNumber, generatedAt: retryButton.dataset.generatedAt });
+    retryButton.disabled = false;
+    if (response?.status !== 'success') {
+        setReportStatus(i18n.t('statusError', response?.message || i18n.t('errorUnknown')), 'error');
+        return;
+    }
+    if (await loadReport()) {
+        setReportStatus(i18n.t('reportPageRetried', [response.fixed, response.retried]), response.fixed === response.retried ? 'success' : 'warn');
+    }
+});
+
+/**
+ * Translates the page in the language chosen in the panel preferences, then shows the report.
+ */
+async function initReportPage() {
+    await i18n.loadPreferred();
+    i18n.translatePage();
+    await loadReport();
+}
+
+initReportPage();
+
+// End of file
@@ -0,0 +1,129 @@
+// report_archive.js - IndexedDB archive of generated Full View reports.
+// Every generated report is stored as a snapshot (see case_snapshot.js), keyed by
+// [recordNumber, generatedAt], so past reports can be reopened without Salesforce. Its listing
+// fields are stored apart, under the same key: listing the archive doesn't read the snapshots.
+// Used by the background script (to save) and by archive.html (to browse).
+
+if (typeof globalThis.psmhArchive === 'undefined') {
+    const DB_NAME = 'psmh-archive';
+    const DB_VERSION = 2;
+    const REPORTS_STORE = 'reports';
+    // Since version 2.
+    const SUMMARIES_STORE = 'summaries';
+
+    const { promisifyRequest } = globalThis.psmhIdb;
+    const withStore = globalThis.psmhIdb.storeRunner({
+        dbName: DB_NAME,
+        version: DB_VERSION,
+        storeName: [REPORTS_STORE, SUMMARIES_STORE],
+        label: 'Archive',
+        upgrade(db, transaction, oldVersion) {
+            if (!db.objectStoreNames.contains(REPORTS_STORE)) {
+                const store = db.createObjectStore(REPORTS_STORE, { keyPath: ['recordNumber', 'generatedAt'] });
+                store.createIndex('generatedAt', 'generatedAt');
+            }
+            if (!db.objectStoreNames.contains(SUMMARIES_STORE)) {
+                const summaries = db.createObjectStore(SUMMARIES_STORE, { keyPath: ['recordNumber', 'generatedAt'] });
+                if (oldVersion > 0) {
+                    // Reports archived with version 1: their summaries are written once, here.
+                    const request = transaction.objectStore(REPORTS_STORE).openCursor();
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) return;
+                        summaries.put(toSummary(cursor.value));
+                        cursor.continue();
+                    };
+                }
+            }
+        }
+    });
+
+    /**
+     * Key range covering every report of one case.
+     */
+    function caseRange(recordNumber) {
+        return IDBKeyRange.bound([recordNumber, ''], [recordNumber, '\uffff']);
+    }
+
+    /**
+     * The listing fields of a stored record (everything but the snapshot itself): what the summaries store keeps.
+     */
+    function toSummary(record) {
+        const { snapshot, ...summary } = record;
+        return summary;
+    }
+
+    const psmhArchive = {
+        /**
+         * Stores a snapshot. A snapshot with the same case number and generation time replaces the previous one.
+         * @param {object} snapshot - A snapshot created by psmhSnapshot.create().
+         * @returns {Promise<Array>} The key of the stored report: [recordNumber, generatedAt].
+         */
+        async save(snapshot) {
+            const details = snapshot.caseDetails || {};
+            const summary = {
+                recordNumber: details.recordNumber || 'unknown',
+                generatedAt: snapshot.generatedAt,
+                objectType: details.objectType || null,
+                subject: details.subject || null,
+                status: details.status || null,
+                itemCount: Array.isArray(snapshot.timeline) ? snapshot.timeline.length : 0
+            };
+            await withStore('readwrite', (reports, summaries) => Promise.all([
+                promisifyRequest(reports.put({ ...summary, snapshot })),
+                promisifyRequest(summaries.put(summary))
+            ]));
+            globalThis.psmhLogger?.info(`Archive: Saved report for ${summary.objectType} ${summary.recordNumber} (${summary.generatedAt}).`);
+            return [summary.recordNumber, summary.generatedAt];
+        },
+
+        /**
+         * Lists the archived reports, newest first, without their snapshots.
+         * @param {string} [recordNumber] - Only list the reports of this case.
+         * @returns {Promise<Array<{recordNumber, generatedAt, objectType, subject, status, itemCount}>>}
+         */
+        async list(recordNumber) {
+            // Snapshots can be large (embedded images): only the summaries store is read.
+            const found = await withStore('readonly', (reports, summaries) => new Promise((resolve, reject) => {
+                const results = [];
+                const request = summaries.openCursor(recordNumber ? caseRange(recordNumber) : null);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return resolve(results);
+                    results.push(cursor.value);
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            }));
+            return found.sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+        },
+
+        /**
+         * Reads the snapshot of one archived report.
+         * @param {string} recordNumber
+         * @param {string} generatedAt - ISO 8601 generation time, as returned by list().
+         * @returns {Promise<object|null>} The snapshot, or null if it does not exist.
+         */
+        async get(recordNumber, generatedAt) {
+            const record = await withStore('readonly', reports => promisifyRequest(reports.get([recordNumber, generatedAt])));
+            return record ? record.snapshot : null;
+        },
+
+        /**
+         * Deletes one archived report.
+         * @param {string} recordNumber
+         * @param {string} generatedAt
+         * @returns {Promise<void>}
+         */
+        async delete(recordNumber, generatedAt) {
+            await withStore('readwrite', (reports, summaries) => Promise.all([
+                promisifyRequest(reports.delete([recordNumber, generatedAt])),
+                promisifyRequest(summaries.delete([recordNumber, generatedAt]))
+            ]));
+            globalThis.psmhLogger?.info(`Archive: Deleted report for ${recordNumber} (${generatedAt}).`);
+        }
+    };
+
+    globalThis.psmhArchive = psmhArchive;
+}
+// End of file
@@ -0,0 +1,14 @@
+// report_frame.js - Sandboxed frame of the report page (see report.js).
+// Reports carry their own inline script (filters, sorting, downloads), which the extension's
+// content security policy only allows in sandboxed pages. The frame has no access to chrome.* APIs:
+// it receives the complete report document from its parent and replaces itself with it.
+
+window.addEventListener('message', (event) => {
+    if (event.source !== window.parent || event.data?.action !== 'renderReport') return;
+    document.open();
+    document.write(event.data.html);
+    document.close();
+    window.parent.postMessage({ action: 'reportRendered', title: document.title }, '*');
+});
+
+// End of file
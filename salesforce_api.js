@@ -0,0 +1,276 @@
+// salesforce_api.js - Reads a Case (or Work Order), its PSM notes, emails, Work Orders and files through the
+// Salesforce REST API, instead of opening a tab for every note and email.
+// Injected into the record page with content.js: requests are sent from the page, with the Salesforce session
+// of the user. fetchRecordData() returns the same data model as the tab scrapers (see collectReportData()
+// in background.js). Objects and fields are found with the describe calls, by relationship name and field label
+// (as the scrapers find them on the page), so the module does not depend on custom field API names.
+//
+// The base URL can be changed to run it against a mock API (see dev/mock_salesforce_api.js).
+// Without a DOM (e.g. in Node.js), email bodies are not split from their quoted history.
+
+if (typeof globalThis.psmhSalesforceApi === 'undefined') {
+    const API_VERSION = 'v59.0';
+    const ID_REGEX = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+    // Record IDs per query in "IN (...)" conditions, to keep URLs short.
+    const IDS_PER_QUERY = 100;
+
+    // The PSM notes related list, as in the "View All" URL of the page (/related/PSM_Notes__r/view).
+    const NOTES_RELATIONSHIP = 'PSM_Notes__r';
+    // Field labels of a PSM note, as read by note_scraper.js.
+    const NOTE_DESCRIPTION_LABEL = 'Description';
+    const NOTE_VISIBILITY_LABEL = 'Visible to Customer';
+
+    // How each record type is read. Emails are linked to a Case by ParentId, to other records by RelatedToId.
+    const RECORD_TYPES = {
+        Case: { numberField: 'CaseNumber', emailParentField: 'ParentId', hasWorkOrders: true },
+        WorkOrder: { numberField: 'WorkOrderNumber', emailParentField: 'RelatedToId', hasWorkOrders: false }
+    };
+    // Work Order fields shown in the report's Work Orders table.
+    const WORK_ORDER_COLUMNS = ['WorkOrderNumber', 'Subject', 'Status'];
+
+    const escapeHtml = (text) => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const textToHtml = (text) => (text ? escapeHtml(text).replace(/\r?\n/g, '<br>') : '');
+    const quote = (id) => `'${id}'`;
+
+    /**
+     * Splits a list into chunks.
+     */
+    function chunk(list, size) {
+        const chunks = [];
+        for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+        return chunks;
+    }
+
+    /**
+     * Formats a file size like Salesforce displays it ("12 KB").
+     */
+    function formatSize(bytes) {
+        if (typeof bytes !== 'number') return null;
+        if (bytes < 1024) return `${bytes} bytes`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Splits an email body from its quoted history with email_cleaner.js, when a DOM is available.
+     * The body comes from the sender: it is parsed with DOMParser, whose document runs no script and loads nothing.
+     * @returns {{bodyHTML: string, quotedHTML: string}}
+     */
+    function cleanEmailBody(html) {
+        const cleaner = globalThis.psmhEmailCleaner;
+        if (!cleaner || typeof DOMParser === 'undefined') return { bodyHTML: html, quotedHTML: '' };
+        return cleaner.clean(new DOMParser().parseFromString(String(html ?? ''), 'text/html').body);
+    }
+
+    const psmhSalesforceApi = {
+        API_VERSION,
+
+        /**
+         * Creates a REST API client.
+         * @param {object} options
+         * @param {string} options.baseUrl - e.g. https://myatos.lightning.force.com, or a mock API.
+         * @param {function} [options.fetchImpl=fetch]
+         * @param {string} [options.apiVersion=API_VERSION]
+         * @returns {{baseUrl: string, request: function(string): Promise<object>, query: function(string): Promise<Array>, describe: function(string): Promise<object>}}
+         */
+        createClient({ baseUrl, fetchImpl = (...args) => fetch(...args), apiVersion = API_VERSION }) {
+            const origin = String(baseUrl).replace(/\/+$/, '');
+            const root = `${origin}/services/data/${apiVersion}`;
+            const descriptions = new Map();
+
+            const request = async (path) => {
+                // Next pages of a query come as absolute paths (/services/data/...).
+                const url = path.startsWith('/services/') ? `${origin}${path}` : `${root}${path}`;
+                const response = await fetchImpl(url, { credentials: 'include', headers: { Accept: 'application/json' } });
+                if (!response.ok) {
+                    const body = await response.json().catch(() => null);
+                    const error = new Error(`Salesforce API error ${response.status}: ${body?.[0]?.message || response.statusText || 'no details'}`);
+                    error.status = response.status;
+                    throw error;
+                }
+                return response.json();
+            };
+
+            const query = async (soql) => {
+                const records = [];
+                let page = await request(`/query?q=${encodeURIComponent(soql)}`);
+                records.push(...page.records);
+                while (!page.done && page.nextRecordsUrl) {
+                    page = await request(page.nextRecordsUrl);
+                    records.push(...page.records);
+                }
+                return records;
+            };
+
+            const describe = async (objectName) => {
+                if (!descriptions.has(objectName)) descriptions.set(objectName, await request(`/sobjects/${objectName}/describe`));
+                return descriptions.get(objectName);
+            };
+
+            return { baseUrl: origin, request, query, describe };
+        },
+
+        /**
+         * Reads a record and everything the report shows about it.
+         * @param {object} options
+         * @param {string} options.baseUrl - The Salesforce (or mock API) address; record links are built on it too.
+         * @param {string} options.recordId - The Case or Work Order ID.
+         * @param {'Case'|'WorkOrder'} [options.objectType='Case']
+         * @param {boolean} [options.includeWorkOrderItems=false] - Also read the notes and emails of each Work Order (deep mode).
+         * @param {function} [options.fetchImpl=fetch]
+         * @returns {Promise<{caseDetails: object, timelineItems: Array, workOrdersData: object}>} Dates are ISO 8601 strings.
+         * @throws {Error} If the API can't be used (no session, no access, missing relationship...).
+         */
+        async fetchRecordData({ baseUrl, recordId, objectType = 'Case', includeWorkOrderItems = false, fetchImpl }) {
+            const recordType = RECORD_TYPES[objectType];
+            if (!recordType) throw new Error(`The Salesforce API backend does not support ${objectType} records.`);
+            if (!ID_REGEX.test(recordId || '')) throw new Error(`Invalid record ID: "${recordId}".`);
+
+            const client = this.createClient({ baseUrl, fetchImpl });
+            const recordUrl = (id) => `${client.baseUrl}/lightning/r/${id}/view`;
+
+            const [record] = await client.query(`SELECT Id, ${recordType.numberField}, Subject, Status, Owner.Name, CreatedBy.Name, CreatedDate, Description, Account.Name FROM ${objectType} WHERE Id = ${quote(recordId)}`);
+            if (!record) throw new Error(`${objectType} ${recordId} not found through the API.`);
+
+            const timelineItems = await this.fetchTimelineItems(client, objectType, [recordId], recordUrl);
+
+            let workOrdersData = { count: 0, columns: [], rows: [] };
+            if (recordType.hasWorkOrders) {
+                const workOrderDescription = await client.describe('WorkOrder');
+                const labels = new Map(workOrderDescription.fields.map(field => [field.name, field.label]));
+                const workOrderRecords = await client.query(`SELECT Id, ${WORK_ORDER_COLUMNS.join(', ')} FROM WorkOrder WHERE CaseId = ${quote(recordId)} ORDER BY WorkOrderNumber`);
+                workOrdersData = {
+                    count: workOrderRecords.length,
+                    columns: WORK_ORDER_COLUMNS.map(name => labels.get(name) || name),
+                    rows: workOrderRecords.map(workOrder => ({
+                        url: recordUrl(workOrder.Id),
+                        cells: WORK_ORDER_COLUMNS.map((name, index) => ({ text: String(workOrder[name] ?? ''), url: index === 0 ? recordUrl(workOrder.Id) : null }))
+                    }))
+                };
+                if (includeWorkOrderItems && workOrderRecords.length > 0) {
+                    const numbers = new Map(workOrderRecords.map(workOrder => [workOrder.Id, workOrder.WorkOrderNumber]));
+                    const workOrderItems = await this.fetchTimelineItems(client, 'WorkOrder', [...numbers.keys()], recordUrl);
+                    workOrderItems.forEach(item => { item.workOrder = numbers.get(item.parentId); });
+                    timelineItems.push(...workOrderItems);
+                }
+            }
+
+            const attachments = await this.fetchAttachments(client, [recordId, ...timelineItems.map(item => item.id)]);
+            timelineItems.forEach(item => {
+                item.attachments = attachments.get(item.id) || [];
+                delete item.id;
+                delete item.parentId;
+            });
+
+            return {
+                caseDetails: {
+                    subject: record.Subject || null,
+                    recordNumber: record[recordType.numberField] || null,
+                    status: record.Status || null,
+                    owner: record.Owner?.Name || null,
+                    creatorName: record.CreatedBy?.Name || null,
+                    accountName: record.Account?.Name || null,
+                    createdDateStr: record.CreatedDate ? new Date(record.CreatedDate).toISOString() : null,
+                    description: textToHtml(record.Description),
+                    objectType,
+                    attachments: attachments.get(recordId) || []
+                },
+                timelineItems,
+                workOrdersData
+            };
+        },
+
+        /**
+         * Reads the PSM notes and emails of records of one type.
+         * @param {object} client - From createClient().
+         * @param {'Case'|'WorkOrder'} objectType
+         * @param {Array<string>} parentIds
+         * @param {function(string): string} recordUrl - Builds a record's page URL from its ID.
+         * @returns {Promise<Array>} Timeline items, with their record `id` and `parentId` for the caller.
+         */
+        async fetchTimelineItems(client, objectType, parentIds, recordUrl) {
+            const parentDescription = await client.describe(objectType);
+            const notesRelationship = parentDescription.childRelationships.find(relationship => relationship.relationshipName === NOTES_RELATIONSHIP);
+            if (!notesRelationship) throw new Error(`${objectType} has no ${NOTES_RELATIONSHIP} related list in the API.`);
+
+            const noteDescription = await client.describe(notesRelationship.childSObject);
+            const fieldByLabel = (label) => noteDescription.fields.find(field => field.label === label) || null;
+            const descriptionField = fieldByLabel(NOTE_DESCRIPTION_LABEL);
+            const visibilityField = fieldByLabel(NOTE_VISIBILITY_LABEL);
+            const noteFields = ['Id', 'Name', 'CreatedDate', 'CreatedBy.Name', notesRelationship.field, descriptionField?.name, visibilityField?.name].filter(Boolean);
+            const emailParentField = RECORD_TYPES[objectType].emailParentField;
+
+            const items = [];
+            for (const ids of chunk(parentIds, IDS_PER_QUERY)) {
+                const idList = ids.map(quote).join(', ');
+                const notes = await client.query(`SELECT ${noteFields.join(', ')} FROM ${notesRelationship.childSObject} WHERE ${notesRelationship.field} IN (${idList}) ORDER BY CreatedDate`);
+                notes.forEach(note => {
+                    const description = descriptionField ? note[descriptionField.name] : null;
+                    items.push({
+                        id: note.Id,
+                        parentId: note[notesRelationship.field],
+                        type: 'Note',
+                        title: note.Name || 'Note',
+                        author: note.CreatedBy?.Name || 'Unknown Author',
+                        content: (descriptionField?.extraTypeInfo === 'richtextarea' ? description : textToHtml(description)) || '[No Content]',
+                        isPublic: visibilityField ? Boolean(note[visibilityField.name]) : null,
+                        dateObject: new Date(note.CreatedDate).toISOString(),
+                        url: recordUrl(note.Id)
+                    });
+                });
+
+                const emails = await client.query(`SELECT Id, ${emailParentField}, Subject, FromName, FromAddress, ToAddress, HtmlBody, TextBody, MessageDate, CreatedDate FROM EmailMessage WHERE ${emailParentField} IN (${idList}) ORDER BY MessageDate`);
+                emails.forEach(email => {
+                    const { bodyHTML, quotedHTML } = cleanEmailBody(email.HtmlBody || textToHtml(email.TextBody));
+                    items.push({
+                        id: email.Id,
+                        parentId: email[emailParentField],
+                        type: 'Email',
+                        title: email.Subject || 'Email Subject Not Found',
+                        // With the address: the customer view keeps emails exchanged with outside addresses.
+                        author: email.FromName && email.FromAddress ? `${email.FromName} <${email.FromAddress}>` : (email.FromName || email.FromAddress || 'Unknown Sender'),
+                        content: bodyHTML || '[Email Body Not Found]',
+                        quotedContent: quotedHTML || null,
+                        to: email.ToAddress || 'Unknown Recipient(s)',
+                        isPublic: null,
+                        dateObject: new Date(email.MessageDate || email.CreatedDate).toISOString(),
+                        url: recordUrl(email.Id)
+                    });
+                });
+            }
+            return items;
+        },
+
+        /**
+         * Reads the files linked to records.
+         * @param {object} client - From createClient().
+         * @param {Array<string>} recordIds
+         * @returns {Promise<Map<string, Array<{name: string, size: string|null, type: string|null, url: string, viewUrl: string}>>>} By record ID.
+         */
+        async fetchAttachments(client, recordIds) {
+            const attachments = new Map();
+            const downloadUrl = (documentId) => globalThis.psmhAttachments?.downloadUrl(documentId)
+                || `${client.baseUrl}/sfc/servlet.shepherd/document/download/${documentId}`;
+            for (const ids of chunk(recordIds, IDS_PER_QUERY)) {
+                const links = await client.query(`SELECT LinkedEntityId, ContentDocumentId, ContentDocument.Title, ContentDocument.FileExtension, ContentDocument.ContentSize FROM ContentDocumentLink WHERE LinkedEntityId IN (${ids.map(quote).join(', ')})`);
+                links.forEach(link => {
+                    if (!attachments.has(link.LinkedEntityId)) attachments.set(link.LinkedEntityId, []);
+                    const file = link.ContentDocument || {};
+                    const extension = file.FileExtension ? String(file.FileExtension).toLowerCase() : null;
+                    const title = file.Title || link.ContentDocumentId;
+                    attachments.get(link.LinkedEntityId).push({
+                        name: extension && !title.toLowerCase().endsWith(`.${extension}`) ? `${title}.${extension}` : title,
+                        size: formatSize(file.ContentSize),
+                        type: extension,
+                        url: downloadUrl(link.ContentDocumentId),
+                        viewUrl: `${client.baseUrl}/lightning/r/ContentDocument/${link.ContentDocumentId}/view`
+                    });
+                });
+            }
+            return attachments;
+        }
+    };
+
+    globalThis.psmhSalesforceApi = psmhSalesforceApi;
+}
+// End of file
@@ -0,0 +1,134 @@
+// scraper_window.js - The browser window the background script opens its scraping tabs in (record pages, list
+// pages, notes and emails, case lookups), so that they neither take the focus nor crowd the user's window. The
+// window is minimized and never focused: its pages are hidden, and the scrapers don't rely on them being rendered.
+// It is created on first use, reused by the next jobs and closed after a minute without tabs, by an alarm: the
+// service worker may be stopped meanwhile. Its ID is kept in session storage, to reuse or close it after such a stop.
+
+if (typeof globalThis.psmhScraperWindow === 'undefined') {
+    const IDLE_CLOSE_MINUTES = 1;
+    const IDLE_ALARM = 'psmhCloseScraperWindow';
+    const SESSION_KEY = 'scraperWindowId';
+
+    let windowPromise = null;
+    let currentWindowId = null;
+    const openTabIds = new Set();
+
+    /**
+     * Creates the window, with a blank tab that keeps it open between jobs.
+     * @returns {Promise<number>} The window ID.
+     */
+    async function createWindow() {
+        const scraperWindow = await chrome.windows.create({ url: 'about:blank', type: 'normal', focused: false, state: 'minimized' });
+        await chrome.storage.session.set({ [SESSION_KEY]: scraperWindow.id });
+        globalThis.psmhLogger?.info(`Scraper window: Created window ${scraperWindow.id}.`);
+        return scraperWindow.id;
+    }
+
+    /**
+     * The ID of the window, created or found again once per service worker run.
+     * @returns {Promise<number>}
+     */
+    function getWindowId() {
+        if (!windowPromise) {
+            windowPromise = (async () => {
+                const { [SESSION_KEY]: savedId } = await chrome.storage.session.get(SESSION_KEY);
+                const existing = savedId ? await chrome.windows.get(savedId).catch(() => null) : null;
+                currentWindowId = existing ? existing.id : await createWindow();
+                return currentWindowId;
+            })().catch(error => {
+                windowPromise = null;
+                throw error;
+            });
+        }
+        return windowPromise;
+    }
+
+    // Closed by the user: the next tab opens a new window.
+    chrome.windows.onRemoved.addListener(windowId => {
+        if (windowId !== currentWindowId) return;
+        globalThis.psmhLogger?.debug(`Scraper window: Window ${windowId} closed.`);
+        windowPromise = null;
+        currentWindowId = null;
+        openTabIds.clear();
+        chrome.alarms.clear(IDLE_ALARM).catch(() => {});
+        chrome.storage.session.remove(SESSION_KEY).catch(() => {});
+    });
+
+    // Idle for IDLE_CLOSE_MINUTES: close the window, even if the service worker was restarted meanwhile.
+    chrome.alarms.onAlarm.addListener(alarm => {
+        if (alarm.name === IDLE_ALARM) psmhScraperWindow.close();
+    });
+
+    const psmhScraperWindow = {
+        IDLE_CLOSE_MINUTES,
+
+        /**
+         * Opens a page in the scraper window.
+         * @param {string} url
+         * @param {object} [options]
+         * @param {boolean} [options.active=false] - Make it the active tab of the window.
+         * @returns {Promise<chrome.tabs.Tab>}
+         */
+        async openTab(url, { active = false } = {}) {
+            chrome.alarms.clear(IDLE_ALARM).catch(() => {});
+            let tab;
+            try {
+                tab = await chrome.tabs.create({ windowId: await getWindowId(), url, active });
+            } catch (error) {
+                // The window was closed just before: open another one.
+                globalThis.psmhLogger?.warn(`Scraper window: Could not open a tab (${error.message}), opening a new window.`);
+                windowPromise = null;
+                tab = await chrome.tabs.create({ windowId: await getWindowId(), url, active });
+            }
+            openTabIds.add(tab.id);
+            return tab;
+        },
+
+        /**
+         * Closes a tab opened by openTab(). The scraper window closes once it has had no tab for IDLE_CLOSE_MINUTES.
+         * @param {number} tabId
+         * @returns {Promise<void>}
+         */
+        async closeTab(tabId) {
+            openTabIds.delete(tabId);
+            try {
+                await chrome.tabs.remove(tabId);
+            } catch (error) {
+                globalThis.psmhLogger?.warn(`Scraper window: Could not close tab ${tabId}: ${error.message}`);
+            }
+            if (openTabIds.size === 0) {
+                await chrome.alarms.create(IDLE_ALARM, { delayInMinutes: IDLE_CLOSE_MINUTES }).catch(error => globalThis.psmhLogger?.warn(`Scraper window: Could not schedule its closing: ${error.message}`));
+            }
+        },
+
+        /**
+         * Moves a tab out of the scraper window into a new focused window, e.g. to show a failed lookup.
+         * @param {number} tabId
+         * @returns {Promise<void>}
+         */
+        async showTab(tabId) {
+            openTabIds.delete(tabId);
+            await chrome.windows.create({ tabId, focused: true, type: 'normal' });
+        },
+
+        /**
+         * Closes the window and its tabs. After a service worker restart, the window is found in session storage.
+         * @returns {Promise<void>}
+         */
+        async close() {
+            chrome.alarms.clear(IDLE_ALARM).catch(() => {});
+            const { [SESSION_KEY]: savedId } = currentWindowId === null ? await chrome.storage.session.get(SESSION_KEY) : {};
+            const windowId = currentWindowId ?? savedId;
+            // A job opened a tab meanwhile: it keeps the window.
+            if (!windowId || openTabIds.size > 0) return;
+            windowPromise = null;
+            currentWindowId = null;
+            openTabIds.clear();
+            await chrome.storage.session.remove(SESSION_KEY).catch(() => {});
+            await chrome.windows.remove(windowId).catch(error => globalThis.psmhLogger?.warn(`Scraper window: Could not close the window: ${error.message}`));
+        }
+    };
+
+    globalThis.psmhScraperWindow = psmhScraperWindow;
+}
+// End of file
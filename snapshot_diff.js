@@ -0,0 +1,101 @@
+// snapshot_diff.js - Compares two case snapshots (see case_snapshot.js) to find what changed
+// between two generations of the same report: new and edited timeline items, case field
+// changes and work order changes. Relies on work_orders.js for the work orders of older snapshots.
+
+if (typeof globalThis.psmhSnapshotDiff === 'undefined') {
+    // Case fields whose changes are shown in the report's summary banner.
+    const WATCHED_FIELDS = [
+        ['status', 'Status'],
+        ['owner', 'Owner'],
+        ['subject', 'Subject']
+    ];
+
+    /**
+     * Reads the work order rows of a snapshot as arrays of cell texts.
+     * @param {object} workOrders - The snapshot's "workOrders" (any snapshot version).
+     * @returns {Array<Array<string>>}
+     */
+    function readWorkOrderRows(workOrders) {
+        return globalThis.psmhWorkOrders.normalize(workOrders).rows.map(row => row.cells.map(cell => cell.text));
+    }
+
+    /**
+     * Everything that makes an item "edited" when it changes.
+     * null for an item that could not be read: its content is a placeholder, and can't be compared.
+     */
+    function itemFingerprint(item) {
+        if (item.fetchError) return null;
+        return JSON.stringify([
+            item.title ?? null, item.author ?? null, item.content ?? null, item.quotedContent ?? null,
+            item.to ?? null, item.isPublic ?? null, (item.attachments || []).map(attachment => attachment.url)
+        ]);
+    }
+
+    const psmhSnapshotDiff = {
+        /**
+         * Identifies a timeline item across generations.
+         * Works with snapshot items ({date}) and report items ({dateObject}).
+         * @param {object} item
+         * @returns {string} The item's Salesforce URL, or its type, title and date when it has none.
+         */
+        itemKey(item) {
+            if (item.url) return item.url;
+            const date = item.date ?? (item.dateObject ? new Date(item.dateObject).toISOString() : '');
+            return `${item.type}|${item.title}|${date}`;
+        },
+
+        /**
+         * Compares a previous snapshot of a case with the current one.
+         * @param {object} previous - The snapshot of the previous generation.
+         * @param {object} current - The snapshot being generated.
+         * @returns {{previousGeneratedAt: string, items: Object<string, 'new'|'edited'>, newCount: number,
+         *   editedCount: number, removedCount: number, fieldChanges: Array<{field: string, label: string, before: string|null, after: string|null}>,
+         *   workOrders: {countBefore: number, countAfter: number, added: Array<string>, removed: Array<string>, changed: Array<string>}}}
+         */
+        compare(previous, current) {
+            const previousItems = new Map(previous.timeline.map(item => [this.itemKey(item), itemFingerprint(item)]));
+            const currentKeys = new Set();
+            const items = {};
+            let newCount = 0;
+            let editedCount = 0;
+
+            current.timeline.forEach(item => {
+                const key = this.itemKey(item);
+                currentKeys.add(key);
+                if (!previousItems.has(key)) {
+                    items[key] = 'new';
+                    newCount++;
+                } else {
+                    // An item read in one generation only (see fetchError) is not known to have changed.
+                    const previousFingerprint = previousItems.get(key);
+                    const currentFingerprint = itemFingerprint(item);
+                    if (previousFingerprint !== null && currentFingerprint !== null && previousFingerprint !== currentFingerprint) {
+                        items[key] = 'edited';
+                        editedCount++;
+                    }
+                }
+            });
+            const removedCount = [...previousItems.keys()].filter(key => !currentKeys.has(key)).length;
+
+            const fieldChanges = WATCHED_FIELDS
+                .filter(([field]) => (previous.caseDetails[field] ?? null) !== (current.caseDetails[field] ?? null))
+                .map(([field, label]) => ({ field, label, before: previous.caseDetails[field] ?? null, after: current.caseDetails[field] ?? null }));
+
+            // Work orders are matched on their first column (the Work Order number).
+            const previousRows = new Map(readWorkOrderRows(previous.workOrders).map(cells => [cells[0], cells.join('|')]));
+            const currentRows = new Map(readWorkOrderRows(current.workOrders).map(cells => [cells[0], cells.join('|')]));
+            const workOrders = {
+                countBefore: Number(previous.workOrders?.count) || 0,
+                countAfter: Number(current.workOrders?.count) || 0,
+                added: [...currentRows.keys()].filter(number => !previousRows.has(number)),
+                removed: [...previousRows.keys()].filter(number => !currentRows.has(number)),
+                changed: [...currentRows.keys()].filter(number => previousRows.has(number) && previousRows.get(number) !== currentRows.get(number))
+            };
+
+            return { previousGeneratedAt: previous.generatedAt, items, newCount, editedCount, removedCount, fieldChanges, workOrders };
+        }
+    };
+
+    globalThis.psmhSnapshotDiff = psmhSnapshotDiff;
+}
+// End of file
@@ -0,0 +1,142 @@
+// timeline_metrics.js - Response-time metrics computed from a case timeline.
+// Items are classified as customer or support messages; the metrics measure how long the
+// customer waited for support replies and how long the case stayed without any activity.
+
+if (typeof globalThis.psmhMetrics === 'undefined') {
+    // The PSM support mailboxes (the "From" addresses offered in the panel preferences).
+    const DEFAULT_SUPPORT_ADDRESSES = [
+        'PSM-Support-Email <psm-support-email@atos.net>',
+        'PSM-Support-Email <psm-support-email@eviden.com>'
+    ];
+
+    const HOUR = 60 * 60 * 1000;
+    const EMAIL_ADDRESS_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+    const DEFAULT_IDLE_THRESHOLD = 72 * HOUR;
+
+    /**
+     * Splits "Display Name <address@x>" into lower-cased tokens to look for in a sender field.
+     */
+    function senderTokens(fromAddress) {
+        const match = String(fromAddress).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+        const tokens = match ? [match[2], match[1]] : [fromAddress];
+        return tokens.map(token => token.trim().toLowerCase()).filter(Boolean);
+    }
+
+    /**
+     * The lower-cased domains of the email addresses found in a text, e.g. a "To" field.
+     */
+    function addressDomains(text) {
+        return (String(text || '').match(EMAIL_ADDRESS_REGEX) || []).map(address => address.split('@')[1].toLowerCase());
+    }
+
+    const psmhMetrics = {
+        DEFAULT_SUPPORT_ADDRESSES,
+
+        /**
+         * Tells who a timeline item comes from.
+         * Support emails are recognized from the support From addresses; public notes are support
+         * replies (the customer sees them); internal notes are not messages to or from the customer.
+         * @param {object} item - A unified timeline item.
+         * @param {Array<string>} supportAddresses - e.g. 'PSM-Support-Email <psm-support-email@atos.net>'.
+         * @returns {'customer'|'support'|'internal'}
+         */
+        classify(item, supportAddresses = DEFAULT_SUPPORT_ADDRESSES) {
+            if (item.type === 'Note') return item.isPublic === true ? 'support' : 'internal';
+            const sender = String(item.author || '').toLowerCase();
+            const tokens = supportAddresses.flatMap(senderTokens);
+            return tokens.some(token => sender.includes(token)) ? 'support' : 'customer';
+        },
+
+        /**
+         * Tells whether the customer has seen a timeline item: a public note, or an email with at least one
+         * address outside the domains of the support addresses. Emails between internal addresses only are
+         * internal. An email whose sender or recipients show no address (a display name only) is kept: it may
+         * be the customer's.
+         * @param {object} item - A unified timeline item.
+         * @param {Array<string>} supportAddresses
+         * @returns {boolean}
+         */
+        isCustomerFacing(item, supportAddresses = DEFAULT_SUPPORT_ADDRESSES) {
+            if (item.isPublic === true) return true;
+            if (item.type !== 'Email' || item.isPublic === false) return false;
+            const senderDomains = addressDomains(item.author);
+            const recipientDomains = addressDomains(item.to);
+            if (senderDomains.length === 0 || recipientDomains.length === 0) return true;
+            const internalDomains = supportAddresses.flatMap(addressDomains);
+            const isInternal = domain => internalDomains.some(internal => domain === internal || domain.endsWith(`.${internal}`));
+            return [...senderDomains, ...recipientDomains].some(domain => !isInternal(domain));
+        },
+
+        /**
+         * Computes the response-time metrics of a timeline.
+         * @param {Array} timelineItems - Unified items with a valid dateObject.
+         * @param {object} [options]
+         * @param {Date|null} [options.caseCreatedAt] - Start of the first wait, when known.
+         * @param {Array<string>} [options.supportAddresses]
+         * @param {Date} [options.now=new Date()] - Used for a customer message still waiting for a reply.
+         * @param {number} [options.idleThreshold] - Minimum gap (ms) reported as an idle period.
+         * @returns {{customerCount: number, supportCount: number, firstResponse: number|null, averageResponse: number|null,
+         *   maxResponse: number|null, responseCount: number, waitingSince: Date|null, idlePeriods: Array<{start: Date, end: Date, duration: number}>}}
+         *   Durations are in milliseconds; idle periods are sorted from the longest.
+         */
+        compute(timelineItems, options = {}) {
+            const { caseCreatedAt = null, supportAddresses = DEFAULT_SUPPORT_ADDRESSES, now = new Date(), idleThreshold = DEFAULT_IDLE_THRESHOLD } = options;
+            const items = timelineItems
+                .filter(item => item.dateObject && !isNaN(new Date(item.dateObject).getTime()))
+                .map(item => ({ date: new Date(item.dateObject), side: this.classify(item, supportAddresses) }))
+                .sort((a, b) => a.date - b.date);
+
+            // A wait starts with the first unanswered customer message and ends with the next support reply.
+            const waits = [];
+            let waitStart = caseCreatedAt && !isNaN(caseCreatedAt.getTime()) ? caseCreatedAt : null;
+            let firstResponse = null;
+            items.forEach(item => {
+                if (item.side === 'customer' && !waitStart) {
+                    waitStart = item.date;
+                } else if (item.side === 'support' && waitStart) {
+                    const duration = Math.max(0, item.date - waitStart);
+                    if (firstResponse === null) firstResponse = duration;
+                    waits.push(duration);
+                    waitStart = null;
+                }
+            });
+
+            const idlePeriods = [];
+            const activityDates = [...(caseCreatedAt && !isNaN(caseCreatedAt.getTime()) ? [caseCreatedAt] : []), ...items.map(item => item.date)].sort((a, b) => a - b);
+            for (let i = 1; i < activityDates.length; i++) {
+                const duration = activityDates[i] - activityDates[i - 1];
+                if (duration >= idleThreshold) idlePeriods.push({ start: activityDates[i - 1], end: activityDates[i], duration });
+            }
+            idlePeriods.sort((a, b) => b.duration - a.duration);
+
+            return {
+                customerCount: items.filter(item => item.side === 'customer').length,
+                supportCount: items.filter(item => item.side === 'support').length,
+                firstResponse,
+                averageResponse: waits.length ? waits.reduce((sum, wait) => sum + wait, 0) / waits.length : null,
+                maxResponse: waits.length ? Math.max(...waits) : null,
+                responseCount: waits.length,
+                waitingSince: waitStart && waitStart <= now ? waitStart : null,
+                idlePeriods
+            };
+        },
+
+        /**
+         * Formats a duration for display, e.g. "2d 4h", "3h 15m" or "12m".
+         * @param {number|null} duration - Milliseconds.
+         * @returns {string}
+         */
+        formatDuration(duration) {
+            if (duration === null || typeof duration === 'undefined') return 'N/A';
+            const minutes = Math.round(duration / 60000);
+            const days = Math.floor(minutes / 1440);
+            const hours = Math.floor((minutes % 1440) / 60);
+            if (days > 0) return `${days}d ${hours}h`;
+            if (hours > 0) return `${hours}h ${minutes % 60}m`;
+            return `${minutes}m`;
+        }
+    };
+
+    globalThis.psmhMetrics = psmhMetrics;
+}
+// End of file
@@ -0,0 +1,57 @@
+// viewer.js - Re-renders a Full View report from a JSON snapshot file (see case_snapshot.js).
+const logger = globalThis.psmhLogger;
+const i18n = globalThis.psmhI18n;
+logger.info("Viewer: Script loaded.");
+
+const fileInput = document.getElementById('psmh-snapshot-file');
+const dropZone = document.getElementById('psmh-drop-zone');
+const statusDiv = document.getElementById('psmh-viewer-status');
+
+function setViewerStatus(message, type = '') {
+    statusDiv.textContent = message;
+    statusDiv.className = type;
+}
+
+/**
+ * Reads a snapshot file and asks the background script to render it.
+ * Validation of the snapshot itself is done by the background script.
+ * @param {File} file - The selected .json file.
+ */
+async function openSnapshotFile(file) {
+    if (!file) return;
+    logger.info(`Viewer: Opening snapshot file "${file.name}" (${file.size} bytes).`);
+    setViewerStatus(i18n.t('viewerReading', file.name));
+
+    let snapshot;
+    try {
+        snapshot = JSON.parse(await file.text());
+    } catch (e) {
+        logger.error("Viewer: File is not valid JSON.", e);
+        setViewerStatus(i18n.t('viewerInvalidJson', file.name), 'error');
+        return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: "openSnapshotReport", snapshot });
+    if (response?.status === 'success') {
+        setViewerStatus(i18n.t('viewerOpened', file.name), 'success');
+    } else {
+        setViewerStatus(i18n.t('statusError', response?.message || i18n.t('errorUnknown')), 'error');
+    }
+}
+
+fileInput.addEventListener('change', () => openSnapshotFile(fileInput.files[0]));
+
+dropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    dropZone.classList.add('psmh-drag-over');
+});
+dropZone.addEventListener('dragleave', () => dropZone.classList.remove('psmh-drag-over'));
+dropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    dropZone.classList.remove('psmh-drag-over');
+    openSnapshotFile(e.dataTransfer.files[0]);
+});
+
+i18n.loadPreferred().then(() => i18n.translatePage());
+
+// End of file
@@ -24,89 +24,60 @@ function waitForElement(selector, baseElement = document, timeout = 10000) {
     });
 }
 
-function escapeHtml(unsafe) {
-    if (typeof unsafe !== 'string') return '';
-    return unsafe.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
-}
-
 /**
- * Reads the data from the live Salesforce table and builds a new, clean HTML table from scratch.
+ * Reads the data from the live Salesforce table as structured rows (see work_orders.js for the format).
  */
-async function scrapeAndRebuildWorkOrderTable() {
+async function scrapeWorkOrderTable() {
     logger.info("WORK_ORDERS_LOG (Scraper): Starting scrape of work order table.");
     
     const sourceTable = await waitForElement('lightning-datatable table[role="grid"]');
     if (!sourceTable) {
         logger.error("WORK_ORDERS_LOG (Scraper): Could not find the source data table.");
-        chrome.runtime.sendMessage({ type: 'workOrderScrapeResult', data: { html: '<table><tr><td>Error: Work Order table not found.</td></tr></table>', count: 0 } });
+        chrome.runtime.sendMessage({ type: 'workOrderScrapeResult', data: { count: 0, columns: [], rows: [], error: 'Work Order table not found.' } });
         return;
     }
     
-    logger.info("WORK_ORDERS_LOG (Scraper): Found source table. Reading headers and rows to rebuild a clean version.", sourceTable);
+    logger.info("WORK_ORDERS_LOG (Scraper): Found source table. Reading headers and rows.", sourceTable);
 
-    const headers = [];
+    const columns = [];
     const columnIndicesToKeep = [];
     // Get headers, but skip unwanted columns like "Row Number", Checkboxes, and "Action"
     sourceTable.querySelectorAll('thead th').forEach((th, index) => {
         const label = th.getAttribute('aria-label');
         if (label && label !== 'Row Number' && label !== 'Choose a Row' && label !== 'Action') {
-            headers.push(label);
+            columns.push(label);
             columnIndicesToKeep.push(index);
         }
     });
-    logger.info(`WORK_ORDERS_LOG (Scraper): Identified ${headers.length} valid columns to keep.`, headers);
+    logger.info(`WORK_ORDERS_LOG (Scraper): Identified ${columns.length} valid columns to keep.`, columns);
 
-    const rowsData = [];
-    const sourceRows = sourceTable.querySelectorAll('tbody tr');
-    sourceRows.forEach(row => {
-        const rowData = [];
+    const rows = [];
+    sourceTable.querySelectorAll('tbody tr').forEach(row => {
         const cells = row.querySelectorAll('th, td');
-        columnIndicesToKeep.forEach(index => {
+        const rowCells = columnIndicesToKeep.map(index => {
             const cell = cells[index];
-            if (cell) {
-                const link = cell.querySelector('a[href]');
-                if (link) {
-                    const absoluteUrl = new URL(link.getAttribute('href'), window.location.origin).href;
-                    rowData.push(`<a href="${absoluteUrl}" target="_blank">${escapeHtml(link.textContent?.trim())}</a>`);
-                } else {
-                    rowData.push(escapeHtml(cell.textContent?.trim()));
-                }
-            }
-        });
-        rowsData.push(rowData);
-    });
-
-    logger.info(`WORK_ORDERS_LOG (Scraper): Extracted data for ${rowsData.length} rows. Building clean HTML table.`);
-
-    // Build the new, clean HTML string
-    let tableHtml = '<table class="slds-table slds-table_bordered">';
-    // Add header
-    tableHtml += '<thead><tr>';
-    headers.forEach(header => {
-        tableHtml += `<th>${escapeHtml(header)}</th>`;
-    });
-    tableHtml += '</tr></thead>';
-    // Add body
-    tableHtml += '<tbody>';
-    rowsData.forEach(row => {
-        tableHtml += '<tr>';
-        row.forEach(cellData => {
-            tableHtml += `<td>${cellData}</td>`;
+            const link = cell?.querySelector('a[href]');
+            return {
+                text: (link || cell)?.textContent?.trim() || '',
+                url: link ? new URL(link.getAttribute('href'), window.location.origin).href : null
+            };
         });
-        tableHtml += '</tr>';
+        // The record link is the one pointing to the Work Order itself (usually the first column).
+        const recordCell = rowCells.find(cell => cell.url?.includes('/lightning/r/WorkOrder/')) || rowCells.find(cell => cell.url);
+        rows.push({ url: recordCell?.url || null, cells: rowCells });
     });
-    tableHtml += '</tbody></table>';
 
-    logger.info(`WORK_ORDERS_LOG (Scraper): Successfully scraped and rebuilt work order table.`);
+    logger.info(`WORK_ORDERS_LOG (Scraper): Successfully scraped ${rows.length} work order row(s).`);
     chrome.runtime.sendMessage({
         type: 'workOrderScrapeResult',
         data: {
-            html: tableHtml,
-            count: rowsData.length
+            count: rows.length,
+            columns,
+            rows
         }
     });
 }
 
-scrapeAndRebuildWorkOrderTable();
+scrapeWorkOrderTable();
 
 // End of file
@@ -0,0 +1,101 @@
+// work_orders.js - The structured Work Orders data of a report.
+//
+// work_order_list_scraper.js returns:
+// {
+//   "count": 2,
+//   "columns": ["Work Order Number", "Status", ...],     // Column labels of the related list
+//   "rows": [
+//     { "url": "https://.../lightning/r/WorkOrder/0WO.../view" | null,   // The Work Order record
+//       "cells": [{ "text": "WO-00123", "url": string | null }, ...] }   // One cell per column
+//   ]
+// }
+// Reports and snapshots created before this format only have "html" (a prebuilt table):
+// normalize() reads those tables back into rows. Relies on html_parser.js for that.
+
+if (typeof globalThis.psmhWorkOrders === 'undefined') {
+    const toStringOrNull = (value) => (value === null || typeof value === 'undefined' ? null : String(value));
+
+    /**
+     * Reads a table built by the former work_order_list_scraper.js.
+     * @param {string} html
+     * @returns {{columns: Array<string>, rows: Array}}
+     */
+    function readLegacyTable(html) {
+        const parser = globalThis.psmhHtmlParser;
+        const columns = [];
+        const rows = [];
+        const cellText = (cell) => parser.textContent(cell).replace(/\s+/g, ' ').trim();
+        const findLink = (node) => {
+            if (node.tag === 'a' && node.attrs?.href) return node.attrs.href;
+            for (const child of node.children || []) {
+                const href = findLink(child);
+                if (href) return href;
+            }
+            return null;
+        };
+        const visit = (node, section) => {
+            if (node.type !== 'element' && node.type !== 'root') return;
+            if (node.tag === 'tr') {
+                const cells = node.children.filter(child => child.tag === 'td' || child.tag === 'th');
+                if (section === 'thead') {
+                    cells.forEach(cell => columns.push(cellText(cell)));
+                } else if (section === 'tbody') {
+                    const rowCells = cells.map(cell => ({ text: cellText(cell), url: findLink(cell) }));
+                    rows.push({ url: rowCells.find(cell => cell.url)?.url || null, cells: rowCells });
+                }
+                return;
+            }
+            node.children.forEach(child => visit(child, node.tag === 'thead' || node.tag === 'tbody' ? node.tag : section));
+        };
+        visit(parser.parse(html || ''), null);
+        return { columns, rows };
+    }
+
+    const psmhWorkOrders = {
+        /**
+         * Returns Work Orders data in the structured format, whatever version produced it.
+         * @param {object} [workOrdersData] - Structured data, or legacy {count, html}.
+         * @returns {{count: number, columns: Array<string>, rows: Array<{url: string|null, cells: Array<{text: string, url: string|null}>}>}}
+         */
+        normalize(workOrdersData) {
+            const { columns, rows } = Array.isArray(workOrdersData?.rows)
+                ? { columns: workOrdersData.columns || [], rows: workOrdersData.rows }
+                : readLegacyTable(workOrdersData?.html);
+            return {
+                count: Number(workOrdersData?.count) || rows.length,
+                columns: columns.map(column => String(column)),
+                rows: rows.map(row => ({
+                    url: toStringOrNull(row.url),
+                    cells: (row.cells || []).map(cell => ({ text: String(cell?.text ?? ''), url: toStringOrNull(cell?.url) }))
+                }))
+            };
+        },
+
+        /**
+         * The Work Order number of a row (its first column).
+         * @param {object} row
+         * @returns {string}
+         */
+        recordNumber(row) {
+            return row.cells[0]?.text || '';
+        },
+
+        /**
+         * Builds the "View All" URLs of a Work Order's Notes and Emails related lists from its record URL.
+         * Work Orders use the same related lists as Cases.
+         * @param {string} recordUrl - e.g. https://myatos.lightning.force.com/lightning/r/WorkOrder/0WO.../view
+         * @returns {{notesViewAllUrl: string, emailsViewAllUrl: string}|null} null if the URL is not a Work Order record.
+         */
+        relatedListUrls(recordUrl) {
+            const match = String(recordUrl || '').match(/^(https:\/\/[^/]+\/lightning\/r\/WorkOrder\/[a-zA-Z0-9]{15,18})(\/|$)/);
+            if (!match) return null;
+            return {
+                notesViewAllUrl: `${match[1]}/related/PSM_Notes__r/view`,
+                emailsViewAllUrl: `${match[1]}/related/EmailMessages/view`
+            };
+        }
+    };
+
+    globalThis.psmhWorkOrders = psmhWorkOrders;
+}
+// End of file